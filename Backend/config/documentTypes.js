@@ -0,0 +1,97 @@
+/**
+ * Default document types.
+ * Copied to database/documentTypes.json on first start; after that the
+ * registry is edited through /api/document-types.
+ *
+ * - key:       internal type name; documents live in student.documents[`${key}Links`]
+ * - folderName: Drive subfolder inside the student's folder
+ * - keywords:  filename/content hints for the classifier (spaces match any
+ *              whitespace; the longest matching keyword wins)
+ * - mimeTypes: accepted upload types (empty = any allowed upload type)
+ * - maxSizeMB: largest upload for the type (null = UPLOAD_MAX_MB only)
+ */
+const PDF = 'application/pdf';
+const IMAGES = ['image/jpeg', 'image/png', 'image/gif'];
+const WORD = [
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const EXCEL = [
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const DEFAULT_DOCUMENT_TYPES = [
+    {
+        key: 'assignment',
+        label: 'Assignments',
+        icon: 'fa-book',
+        folderName: 'assignments',
+        keywords: ['assignment', 'homework', 'project', 'submission', 'task', 'lab report', 'practical'],
+        mimeTypes: [PDF, ...IMAGES, ...WORD, ...EXCEL]
+    },
+    {
+        key: 'idCard',
+        label: 'ID Cards',
+        icon: 'fa-id-card',
+        folderName: 'idCards',
+        keywords: ['id card', 'identity', 'student id', 'college id', 'photo id'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'certificate',
+        label: 'Certificates',
+        icon: 'fa-certificate',
+        folderName: 'certificates',
+        keywords: ['certificate', 'diploma', 'degree', 'award', 'achievement', 'completion', 'merit'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'feeReceipt',
+        label: 'Fee Receipts',
+        icon: 'fa-receipt',
+        folderName: 'feeReceipts',
+        keywords: ['fee', 'receipt', 'payment', 'invoice', 'challan', 'transaction', 'bill'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'marksheet',
+        label: 'Marksheets',
+        icon: 'fa-square-poll-vertical',
+        folderName: 'marksheets',
+        keywords: ['marksheet', 'mark sheet', 'grade card', 'gradesheet', 'transcript', 'result', 'sgpa', 'cgpa'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'bonafide',
+        label: 'Bonafide Certificates',
+        icon: 'fa-file-signature',
+        folderName: 'bonafideCertificates',
+        keywords: ['bonafide', 'bona fide', 'bonafide certificate'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'casteCertificate',
+        label: 'Caste Certificates',
+        icon: 'fa-stamp',
+        folderName: 'casteCertificates',
+        keywords: ['caste', 'caste certificate', 'caste validity', 'non creamy', 'non-creamy'],
+        mimeTypes: [PDF, ...IMAGES]
+    },
+    {
+        key: 'internshipLetter',
+        label: 'Internship Letters',
+        icon: 'fa-briefcase',
+        folderName: 'internshipLetters',
+        keywords: ['internship', 'offer letter', 'joining letter', 'experience letter'],
+        mimeTypes: [PDF, ...IMAGES, ...WORD]
+    }
+];
+
+// Documents that match no type land here
+const DEFAULT_TYPE_KEY = 'assignment';
+
+module.exports = {
+    DEFAULT_DOCUMENT_TYPES,
+    DEFAULT_TYPE_KEY
+};
@@ -0,0 +1,37 @@
+/**
+ * Role → permission map
+ *
+ * Permissions only say WHAT a role may do. WHICH students it may do it to
+ * is decided by the scope rules in middleware/permissions.js:
+ * - admin:   every student
+ * - teacher: students in one of the teacher's departments
+ * - student: only their own record
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    teacher: [
+        'students:read',
+        'students:create',
+        'students:update',
+        'documents:read',
+        'documents:upload',
+        'documents:update',
+        'chat:use'
+    ],
+    student: [
+        'students:read',
+        'documents:read',
+        'documents:upload',
+        'chat:use'
+    ]
+};
+
+function hasPermission(role, permission) {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    hasPermission
+};
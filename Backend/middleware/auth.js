@@ -0,0 +1,33 @@
+const tokenService = require('../services/tokenService');
+
+/**
+ * Require a valid session token on the request.
+ * Accepts "Authorization: Bearer <token>" and attaches the
+ * decoded user to req.user.
+ */
+function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const payload = tokenService.verifyAccessToken(token);
+        req.user = {
+            id: payload.sub,
+            name: payload.name,
+            email: payload.email,
+            role: payload.role,
+            studentId: payload.studentId || null,
+            departments: payload.departments || [],
+            sessionId: payload.sid
+        };
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid or expired token' });
+    }
+}
+
+module.exports = { requireAuth };
@@ -0,0 +1,115 @@
+const { hasPermission } = require('../config/permissions');
+const Student = require('../models/Student');
+
+/**
+ * Send the standard 403 response
+ */
+function forbidden(res, permission) {
+    return res.status(403).json({
+        error: 'Forbidden',
+        permission
+    });
+}
+
+/**
+ * Can this user act on this student record?
+ */
+function canAccessStudent(user, student) {
+    if (!user || !student) return false;
+
+    if (user.role === 'admin') return true;
+
+    if (user.role === 'teacher') {
+        return canAccessDepartment(user, student.department);
+    }
+
+    if (user.role === 'student') {
+        return !!user.studentId &&
+            user.studentId.toLowerCase() === String(student.studentId).toLowerCase();
+    }
+
+    return false;
+}
+
+/**
+ * Can this user manage students of a department?
+ */
+function canAccessDepartment(user, department) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (user.role !== 'teacher' || !department) return false;
+
+    const departments = (user.departments || []).map(d => d.toLowerCase());
+    return departments.includes(String(department).toLowerCase());
+}
+
+/**
+ * Can this user upload a document for a student ID? If the record does not
+ * exist yet it would be created in `department` by the upload.
+ */
+function canUploadFor(user, studentId, department) {
+    if (!user || !studentId) return false;
+
+    const student = Student.findByStudentId(studentId);
+    if (student) return canAccessStudent(user, student);
+
+    if (user.role === 'student') {
+        return canAccessStudent(user, { studentId });
+    }
+    return canAccessDepartment(user, department);
+}
+
+/**
+ * Keep only the students the user is allowed to see
+ */
+function filterStudents(user, students) {
+    return students.filter(s => canAccessStudent(user, s));
+}
+
+/**
+ * Route guard: require a permission for the user's role
+ */
+function authorize(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return forbidden(res, permission);
+        }
+        next();
+    };
+}
+
+/**
+ * Route guard: require a permission AND access to the student in
+ * req.params.studentId. Attaches the record to req.student.
+ */
+function authorizeStudent(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return forbidden(res, permission);
+        }
+
+        const student = Student.findByStudentId(req.params.studentId);
+        if (!student) {
+            // Students must not learn which other IDs exist
+            if (req.user.role === 'student') return forbidden(res, permission);
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        if (!canAccessStudent(req.user, student)) {
+            return forbidden(res, permission);
+        }
+
+        req.student = student;
+        next();
+    };
+}
+
+module.exports = {
+    authorize,
+    authorizeStudent,
+    canAccessStudent,
+    canAccessDepartment,
+    canUploadFor,
+    filterStudents,
+    forbidden
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const requestContext = require('../utils/requestContext');
+const { csvEscape } = require('../utils/csv');
+
+const LOG_PATH = path.join(__dirname, '../database/audit.jsonl');
+
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['updatedAt'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Append-only audit trail of student and document mutations.
+ * One JSON event per line; events are never rewritten or removed.
+ *
+ * Event format:
+ * {
+ *   id, timestamp, action,             // e.g. "student.update"
+ *   actor: { id, name, email, role },
+ *   target: { type, studentId, documentId, documentType, fileId },
+ *   changes: { field: { before, after } },
+ *   ip
+ * }
+ */
+class AuditLogModel {
+    /**
+     * Field-level diff between two plain objects
+     */
+    diff(before, after) {
+        const changes = {};
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        keys.forEach(key => {
+            if (IGNORED_FIELDS.includes(key)) return;
+
+            const oldValue = before && before[key] !== undefined ? before[key] : null;
+            const newValue = after && after[key] !== undefined ? after[key] : null;
+
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[key] = { before: oldValue, after: newValue };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Append an event. The actor and IP come from the current request.
+     */
+    record(action, target, before = null, after = null) {
+        const { actor, ip } = requestContext.current();
+
+        const event = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            action,
+            actor,
+            target,
+            changes: this.diff(before, after),
+            ip
+        };
+
+        try {
+            fs.appendFileSync(LOG_PATH, JSON.stringify(event) + '\n');
+        } catch (error) {
+            // Never fail the mutation itself because the trail could not be written
+            console.error('❌ Audit log write failed:', error.message);
+        }
+
+        return event;
+    }
+
+    /**
+     * Call `fn(event)` for every event, oldest first, reading the log a
+     * line at a time
+     */
+    async forEach(fn) {
+        if (!fs.existsSync(LOG_PATH)) return;
+
+        const lines = readline.createInterface({ input: fs.createReadStream(LOG_PATH), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                continue; // Torn last line after a crash
+            }
+            fn(event);
+        }
+    }
+
+    /**
+     * Query events, newest first.
+     * Filters: studentId, actor (id or email), action (exact or prefix like
+     * "document."), from / to (ISO dates; a plain `to` date includes that
+     * whole day), limit, offset. Only the requested page is kept in memory.
+     */
+    async query(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to
+            ? new Date(new Date(filters.to).getTime() + (DATE_ONLY.test(filters.to) ? DAY_MS - 1 : 0))
+            : null;
+        const studentId = filters.studentId ? filters.studentId.toLowerCase() : null;
+        const actor = filters.actor ? filters.actor.toLowerCase() : null;
+
+        const matches = e => {
+            if (studentId && String(e.target.studentId || '').toLowerCase() !== studentId) return false;
+            if (actor && e.actor.id.toLowerCase() !== actor &&
+                String(e.actor.email || '').toLowerCase() !== actor) return false;
+            if (filters.action) {
+                const matches = filters.action.endsWith('.')
+                    ? e.action.startsWith(filters.action)
+                    : e.action === filters.action;
+                if (!matches) return false;
+            }
+            const at = new Date(e.timestamp);
+            if (from && at < from) return false;
+            if (to && at > to) return false;
+            return true;
+        };
+
+        // Newest first: the page is among the last offset + limit matches
+        const offset = parseInt(filters.offset, 10) || 0;
+        const limit = parseInt(filters.limit, 10) || Infinity;
+        const keep = offset + limit;
+
+        let total = 0;
+        const newest = [];
+        await this.forEach(event => {
+            if (!matches(event)) return;
+            total++;
+            newest.push(event);
+            if (newest.length > keep) newest.shift();
+        });
+
+        return { total, events: newest.reverse().slice(offset, keep) };
+    }
+
+    /**
+     * Flatten events to CSV for the college office
+     */
+    toCsv(events) {
+        const header = ['timestamp', 'action', 'actor', 'actor_email', 'actor_role',
+            'student_id', 'target_type', 'document_id', 'document_type', 'file_id', 'changes', 'ip'];
+
+        const rows = events.map(e => [
+            e.timestamp,
+            e.action,
+            e.actor.name || e.actor.id,
+            e.actor.email,
+            e.actor.role,
+            e.target.studentId,
+            e.target.type,
+            e.target.documentId,
+            e.target.documentType,
+            e.target.fileId,
+            Object.entries(e.changes || {})
+                .map(([field, c]) => `${field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`)
+                .join('; '),
+            e.ip
+        ].map(csvEscape).join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = new AuditLogModel();
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+const { DEFAULT_DOCUMENT_TYPES, DEFAULT_TYPE_KEY } = require('../config/documentTypes');
+
+const DB_PATH = path.join(__dirname, '../database/documentTypes.json');
+
+// Seed the registry from the defaults on first start
+if (!fs.existsSync(DB_PATH)) {
+    writeJsonAtomic(DB_PATH, { defaultType: DEFAULT_TYPE_KEY, types: DEFAULT_DOCUMENT_TYPES });
+}
+
+const FIELDS = ['label', 'icon', 'folderName', 'keywords', 'mimeTypes', 'maxSizeMB'];
+
+/**
+ * Registry of document types (see config/documentTypes.js for the fields).
+ * Every module that needs to know the types reads them from here.
+ */
+class DocumentTypeModel {
+    loadData() {
+        this.data = readJson(DB_PATH);
+        return this.data;
+    }
+
+    saveData() {
+        writeJsonAtomic(DB_PATH, this.data);
+    }
+
+    /**
+     * Get all document types
+     */
+    findAll() {
+        return this.loadData().types;
+    }
+
+    /**
+     * Get a type by key
+     */
+    get(key) {
+        return this.findAll().find(t => t.key === key);
+    }
+
+    keys() {
+        return this.findAll().map(t => t.key);
+    }
+
+    /**
+     * Type used when the classifier cannot tell
+     */
+    defaultType() {
+        const data = this.loadData();
+        return data.types.some(t => t.key === data.defaultType)
+            ? data.defaultType
+            : (data.types[0] && data.types[0].key);
+    }
+
+    /**
+     * Name of the collection in student.documents (e.g. feeReceiptLinks)
+     */
+    linkKey(key) {
+        return this.get(key) ? `${key}Links` : null;
+    }
+
+    /**
+     * Drive subfolder name for a type
+     */
+    folderName(key) {
+        const type = this.get(key) || this.get(this.defaultType());
+        return type ? type.folderName : null;
+    }
+
+    /**
+     * Every MIME type accepted by at least one document type
+     */
+    allowedMimeTypes() {
+        return [...new Set(this.findAll().flatMap(t => t.mimeTypes || []))];
+    }
+
+    /**
+     * Is this MIME type accepted for the document type?
+     */
+    acceptsMimeType(key, mimeType) {
+        const type = this.get(key);
+        if (!type) return false;
+        return !type.mimeTypes || type.mimeTypes.length === 0 || type.mimeTypes.includes(mimeType);
+    }
+
+    /**
+     * Largest upload accepted for the type in bytes, or null (UPLOAD_MAX_MB applies)
+     */
+    maxBytes(key) {
+        const type = this.get(key);
+        return type && type.maxSizeMB ? type.maxSizeMB * 1024 * 1024 : null;
+    }
+
+    /**
+     * Validate type data. Returns an error message or null.
+     */
+    validate(typeData, existingKey = null) {
+        if (!existingKey) {
+            if (!/^[a-z][a-zA-Z0-9]*$/.test(typeData.key || '')) {
+                return 'Key must start with a lowercase letter and contain only letters and digits';
+            }
+            if (this.get(typeData.key)) return 'Document type already exists';
+            if (!typeData.label) return 'Label is required';
+        }
+
+        if (typeData.folderName !== undefined && !/^[\w .-]+$/.test(typeData.folderName)) {
+            return 'Folder name may only contain letters, digits, spaces, ".", "_" and "-"';
+        }
+
+        for (const field of ['keywords', 'mimeTypes']) {
+            if (typeData[field] !== undefined &&
+                (!Array.isArray(typeData[field]) || typeData[field].some(v => typeof v !== 'string'))) {
+                return `${field} must be a list of strings`;
+            }
+        }
+
+        if (typeData.maxSizeMB !== undefined && typeData.maxSizeMB !== null &&
+            !(typeof typeData.maxSizeMB === 'number' && typeData.maxSizeMB > 0)) {
+            return 'maxSizeMB must be a positive number, or null for no limit of its own';
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a new document type
+     */
+    create(typeData) {
+        return withLock(DB_PATH, () => {
+            this.loadData();
+
+            const type = {
+                key: typeData.key,
+                label: typeData.label,
+                icon: typeData.icon || 'fa-file',
+                folderName: typeData.folderName || typeData.key,
+                keywords: typeData.keywords || [],
+                mimeTypes: typeData.mimeTypes || [],
+                maxSizeMB: typeData.maxSizeMB || null
+            };
+
+            this.data.types.push(type);
+            this.saveData();
+            return type;
+        });
+    }
+
+    /**
+     * Update a document type (the key cannot change)
+     */
+    update(key, updateData) {
+        return withLock(DB_PATH, () => {
+            this.loadData();
+            const index = this.data.types.findIndex(t => t.key === key);
+            if (index === -1) return null;
+
+            FIELDS.forEach(field => {
+                if (updateData[field] !== undefined) this.data.types[index][field] = updateData[field];
+            });
+
+            this.saveData();
+            return this.data.types[index];
+        });
+    }
+
+    /**
+     * Delete a document type
+     */
+    delete(key) {
+        return withLock(DB_PATH, () => {
+            this.loadData();
+            const index = this.data.types.findIndex(t => t.key === key);
+            if (index === -1) return false;
+
+            this.data.types.splice(index, 1);
+            this.saveData();
+            return true;
+        });
+    }
+}
+
+module.exports = new DocumentTypeModel();
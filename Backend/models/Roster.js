@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const Student = require('./Student');
+const User = require('./User');
+
+const DB_PATH = path.join(__dirname, '../database/roster.json');
+
+// Initialize empty roster if not exists
+if (!fs.existsSync(DB_PATH)) {
+    fs.writeFileSync(DB_PATH, JSON.stringify({ users: [] }, null, 2));
+}
+
+/**
+ * Server-side roster: which signed-in email gets which role.
+ * A user account with the same email (models/User.js) takes precedence.
+ *
+ * Entry format:
+ * { "email": "x@ltce.in", "role": "teacher", "departments": ["Electronics"] }
+ * { "email": "y@ltce.in", "role": "student", "studentId": "ST101" }
+ *
+ * Emails missing from the roster fall back to a Student record with the
+ * same email (role: student).
+ */
+class RosterModel {
+    constructor() {
+        this.loadData();
+    }
+
+    loadData() {
+        try {
+            const data = fs.readFileSync(DB_PATH, 'utf8');
+            this.data = JSON.parse(data);
+        } catch (error) {
+            this.data = { users: [] };
+        }
+    }
+
+    /**
+     * Find roster entry by email
+     */
+    findByEmail(email) {
+        this.loadData();
+        const lowerEmail = String(email || '').toLowerCase();
+        return this.data.users.find(u => u.email.toLowerCase() === lowerEmail);
+    }
+
+    /**
+     * Resolve the role and scope for an email.
+     * Returns null if the email is not known to the college.
+     */
+    resolve(email) {
+        const account = User.findByEmail(email);
+        if (account) {
+            if (account.disabled) return null;
+            return {
+                userId: account.id,
+                role: account.role,
+                studentId: account.studentId || null,
+                departments: account.departments || []
+            };
+        }
+
+        const entry = this.findByEmail(email);
+
+        if (entry) {
+            return {
+                role: entry.role,
+                studentId: entry.studentId || null,
+                departments: entry.departments || []
+            };
+        }
+
+        const lowerEmail = String(email || '').toLowerCase();
+        const student = Student.findAll().find(s =>
+            s.email && s.email.toLowerCase() === lowerEmail
+        );
+
+        if (student) {
+            return { role: 'student', studentId: student.studentId, departments: [] };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new RosterModel();
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const DB_PATH = path.join(__dirname, '../database/sessions.json');
+
+// Ensure database directory exists
+const dbDir = path.dirname(DB_PATH);
+if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+}
+
+/**
+ * Login sessions backing the refresh tokens.
+ * Access tokens carry the session id (sid), so revoking a session
+ * also invalidates every access token issued for it.
+ * Every change is a locked read-modify-write, so concurrent refreshes
+ * (other requests or instances) never lose a rotation.
+ */
+class SessionModel {
+    constructor(dbPath = DB_PATH) {
+        this.dbPath = dbPath;
+    }
+
+    list() {
+        return fs.existsSync(this.dbPath) ? readJson(this.dbPath).sessions || [] : [];
+    }
+
+    update(fn) {
+        return withLock(this.dbPath, () => {
+            const sessions = this.list();
+            const result = fn(sessions);
+            writeJsonAtomic(this.dbPath, { sessions });
+            return result;
+        });
+    }
+
+    /**
+     * Create a new session for a user
+     */
+    create(user, refreshTokenHash, expiresAt) {
+        const session = {
+            id: uuidv4(),
+            user,
+            refreshTokenHash,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: new Date().toISOString(),
+            expiresAt: expiresAt.toISOString(),
+            revokedAt: null
+        };
+
+        this.update(sessions => {
+            this.pruneExpired(sessions);
+            sessions.push(session);
+        });
+        return session;
+    }
+
+    /**
+     * Find session by ID
+     */
+    findById(id) {
+        return this.list().find(s => s.id === id);
+    }
+
+    /**
+     * Check that a session exists, is not revoked and has not expired
+     */
+    isActive(id) {
+        const session = this.findById(id);
+        if (!session || session.revokedAt) return false;
+        return new Date(session.expiresAt) > new Date();
+    }
+
+    /**
+     * Replace the refresh token of a session (rotation), only if it still
+     * holds `currentHash`: of two refreshes with the same token, one wins.
+     */
+    rotate(id, currentHash, refreshTokenHash, expiresAt) {
+        return this.update(sessions => {
+            const session = sessions.find(s => s.id === id);
+            if (!session || session.revokedAt || session.refreshTokenHash !== currentHash) return null;
+
+            session.refreshTokenHash = refreshTokenHash;
+            session.expiresAt = expiresAt.toISOString();
+            session.lastUsedAt = new Date().toISOString();
+            return session;
+        });
+    }
+
+    /**
+     * Revoke a single session
+     */
+    revoke(id) {
+        return this.update(sessions => {
+            const session = sessions.find(s => s.id === id);
+            if (!session) return false;
+
+            session.revokedAt = session.revokedAt || new Date().toISOString();
+            return true;
+        });
+    }
+
+    /**
+     * Revoke every session of a user (e.g. after a password change)
+     */
+    revokeAllForUser(userId) {
+        const now = new Date().toISOString();
+
+        return this.update(sessions => {
+            let count = 0;
+            sessions.forEach(s => {
+                if (s.user && s.user.id === userId && !s.revokedAt) {
+                    s.revokedAt = now;
+                    count++;
+                }
+            });
+            return count;
+        });
+    }
+
+    /**
+     * Drop sessions that expired or were revoked more than a day ago
+     */
+    pruneExpired(sessions) {
+        const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+        const kept = sessions.filter(s => {
+            const endedAt = s.revokedAt ? new Date(s.revokedAt) : new Date(s.expiresAt);
+            return endedAt.getTime() > cutoff;
+        });
+        sessions.splice(0, sessions.length, ...kept);
+    }
+}
+
+module.exports = new SessionModel();
+module.exports.SessionModel = SessionModel;
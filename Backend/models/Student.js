@@ -1,130 +1,223 @@
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-
-const DB_PATH = path.join(__dirname, '../database/students.json');
-
-// Ensure database directory exists
-const dbDir = path.dirname(DB_PATH);
-if (!fs.existsSync(dbDir)) {
-    fs.mkdirSync(dbDir, { recursive: true });
-}
-
-// Initialize empty database if not exists
-if (!fs.existsSync(DB_PATH)) {
-    fs.writeFileSync(DB_PATH, JSON.stringify({ students: [] }, null, 2));
-}
-
-class StudentModel {
-    constructor() {
-        this.loadData();
+const AuditLog = require('./AuditLog');
+const DocumentType = require('./DocumentType');
+const requestContext = require('../utils/requestContext');
+const { createAdapter } = require('./adapters');
+
+// Month (1-12) in which the academic year starts, e.g. June → "2025-26"
+const ACADEMIC_YEAR_START_MONTH = parseInt(process.env.ACADEMIC_YEAR_START_MONTH, 10) || 6;
+const EDITABLE_STUDENT_FIELDS = ['name', 'department', 'email', 'phone'];
+const EDITABLE_DOCUMENT_FIELDS = ['tags', 'notes', 'semester', 'academicYear'];
+const MAX_TAGS = 20;
+const MAX_SEMESTER = 8;
+// Listing: sort keys, page size limits
+const SORT_FIELDS = {
+    name: s => (s.name || '').toLowerCase(),
+    studentId: s => s.studentId.toLowerCase(),
+    createdAt: s => s.createdAt || '',
+    documentCount: s => s.documentCount
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields that belong to one stored file; a document keeps older sets in `versions`
+const VERSION_FIELDS = ['fileName', 'shareableLink', 'downloadLink', 'storage', 'fileId', 'size', 'mimeType', 'checksum', 'uploadedBy', 'uploadedAt'];
+
+/**
+ * Student records. Emits 'change' (studentId) after every write, so
+ * derived data such as the search index can follow along.
+ */
+class StudentModel extends EventEmitter {
+    constructor(store = createAdapter()) {
+        super();
+        this.store = store;
     }
 
-    loadData() {
-        try {
-            const data = fs.readFileSync(DB_PATH, 'utf8');
-            this.data = JSON.parse(data);
-        } catch (error) {
-            this.data = { students: [] };
-            this.saveData();
-        }
-    }
+    /**
+     * Make sure every registered document collection exists on a record,
+     * so types added to the registry show up on existing students
+     */
+    normalize(student) {
+        if (!student) return student;
+
+        const documents = { ...(student.documents || {}) };
+        DocumentType.keys().forEach(key => {
+            const linkType = `${key}Links`;
+            if (!documents[linkType]) documents[linkType] = [];
+        });
 
-    saveData() {
-        fs.writeFileSync(DB_PATH, JSON.stringify(this.data, null, 2));
+        return { ...student, documents };
     }
 
     /**
      * Create a new student
      */
     create(studentData) {
-        const student = {
+        const student = this.normalize({
             id: uuidv4(),
             studentId: studentData.studentId,
             name: studentData.name || '',
             department: studentData.department || '',
             email: studentData.email || '',
             phone: studentData.phone || '',
-            documents: {
-                assignmentLinks: [],
-                idCardLinks: [],
-                certificateLinks: [],
-                feeReceiptLinks: []
-            },
+            documents: {},
             driveFolderId: studentData.driveFolderId || null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
-        };
+        });
+
+        this.store.insert(student);
+        this.emit('change', student.studentId);
 
-        this.data.students.push(student);
-        this.saveData();
+        AuditLog.record('student.create', { type: 'student', studentId: student.studentId }, null, student);
         return student;
     }
 
     /**
-     * Find student by studentId
+     * Find student by studentId (trashed students only with includeTrashed)
      */
-    findByStudentId(studentId) {
-        this.loadData();
-        return this.data.students.find(s =>
-            s.studentId.toLowerCase() === studentId.toLowerCase()
-        );
+    findByStudentId(studentId, { includeTrashed = false } = {}) {
+        if (!studentId) return undefined;
+        const student = this.store.findByStudentId(studentId);
+        if (!student || (student.deletedAt && !includeTrashed)) return undefined;
+        return this.normalize(student);
     }
 
     /**
      * Find student by internal ID
      */
     findById(id) {
-        this.loadData();
-        return this.data.students.find(s => s.id === id);
+        const student = this.store.findById(id);
+        if (!student || student.deletedAt) return undefined;
+        return this.normalize(student);
     }
 
     /**
-     * Get all students
+     * Get all students (trashed students are left out)
      */
     findAll() {
-        this.loadData();
-        return this.data.students;
+        return this.store.all().filter(s => !s.deletedAt).map(s => this.normalize(s));
     }
 
     /**
-     * Update student
+     * Update a student's profile (name, department, email, phone; other
+     * fields are ignored)
      */
     update(studentId, updateData) {
-        this.loadData();
-        const index = this.data.students.findIndex(s =>
-            s.studentId.toLowerCase() === studentId.toLowerCase()
-        );
-
-        if (index === -1) return null;
+        const changes = {};
+        EDITABLE_STUDENT_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) changes[field] = updateData[field];
+        });
+
+        let before = null;
+        const student = this.applyUpdate(studentId, current => {
+            before = current;
+            return changes;
+        });
+
+        if (student) {
+            AuditLog.record('student.update', { type: 'student', studentId: student.studentId }, before, student);
+        }
+        return student;
+    }
 
-        this.data.students[index] = {
-            ...this.data.students[index],
-            ...updateData,
-            updatedAt: new Date().toISOString()
-        };
+    /**
+     * Write an update without an audit event (callers record their own).
+     * `changes` is an object or a function of the current record.
+     */
+    applyUpdate(studentId, changes) {
+        const student = this.store.update(studentId, current => {
+            const updateData = typeof changes === 'function'
+                ? changes(this.normalize(JSON.parse(JSON.stringify(current))))
+                : changes;
+
+            return {
+                ...current,
+                ...updateData,
+                id: current.id,
+                updatedAt: new Date().toISOString()
+            };
+        });
+
+        if (student) {
+            this.emit('change', studentId);
+            if (student.studentId !== studentId) this.emit('change', student.studentId);
+        }
+        return this.normalize(student);
+    }
 
-        this.saveData();
-        return this.data.students[index];
+    /**
+     * Academic year for a date, e.g. "2025-26"
+     */
+    academicYearOf(date = new Date()) {
+        const year = date.getMonth() + 1 >= ACADEMIC_YEAR_START_MONTH
+            ? date.getFullYear()
+            : date.getFullYear() - 1;
+        return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
     }
 
     /**
-     * Add document link to student
+     * Validate and clean user-editable document fields
+     * (tags, notes, semester, academicYear).
+     * Returns { fields } or { error }.
      */
-    addDocumentLink(studentId, documentType, linkData) {
-        this.loadData();
-        const student = this.findByStudentId(studentId);
+    cleanDocumentFields(input = {}) {
+        const fields = {};
+
+        if (input.tags !== undefined) {
+            const tags = typeof input.tags === 'string' ? input.tags.split(',') : input.tags;
+            if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+                return { error: 'Tags must be a list of strings' };
+            }
+            fields.tags = [...new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+            if (fields.tags.length > MAX_TAGS || fields.tags.some(t => t.length > 40)) {
+                return { error: `At most ${MAX_TAGS} tags of up to 40 characters` };
+            }
+        }
 
-        if (!student) return null;
+        if (input.notes !== undefined) {
+            if (typeof input.notes !== 'string' || input.notes.length > 2000) {
+                return { error: 'Notes must be text of up to 2000 characters' };
+            }
+            fields.notes = input.notes.trim();
+        }
 
-        const linkTypeMap = {
-            'assignment': 'assignmentLinks',
-            'idCard': 'idCardLinks',
-            'certificate': 'certificateLinks',
-            'feeReceipt': 'feeReceiptLinks'
-        };
+        if (input.semester !== undefined) {
+            const semester = input.semester === null || input.semester === '' ? null : Number(input.semester);
+            if (semester !== null && !(Number.isInteger(semester) && semester >= 1 && semester <= MAX_SEMESTER)) {
+                return { error: `Semester must be a number from 1 to ${MAX_SEMESTER}` };
+            }
+            fields.semester = semester;
+        }
+
+        if (input.academicYear !== undefined) {
+            const year = input.academicYear || null;
+            if (year !== null && !/^\d{4}-\d{2}$/.test(year)) {
+                return { error: 'Academic year must look like 2025-26' };
+            }
+            fields.academicYear = year;
+        }
 
-        const linkType = linkTypeMap[documentType];
+        return { fields };
+    }
+
+    /**
+     * Find a document entry on a student record
+     */
+    findDocument(student, documentType, documentId) {
+        const linkType = DocumentType.linkKey(documentType);
+        if (!student || !linkType) return undefined;
+        return (student.documents[linkType] || []).find(d => d.id === documentId);
+    }
+
+    /**
+     * Add document link to student.
+     * `metadata`: size, mimeType, checksum, uploadedBy, plus the editable
+     * fields (tags, notes, semester, academicYear; already cleaned).
+     */
+    addDocumentLink(studentId, documentType, linkData, metadata = {}) {
+        const linkType = DocumentType.linkKey(documentType);
         if (!linkType) return null;
 
         const documentEntry = {
@@ -132,65 +225,431 @@ class StudentModel {
             fileName: linkData.fileName,
             shareableLink: linkData.shareableLink,
             downloadLink: linkData.downloadLink,
+            // Storage provider holding the file (services/storage)
+            storage: linkData.storage || 'drive',
             fileId: linkData.fileId,
+            size: metadata.size !== undefined ? metadata.size : null,
+            mimeType: metadata.mimeType || null,
+            checksum: metadata.checksum || null,
+            uploadedBy: metadata.uploadedBy || null,
+            academicYear: metadata.academicYear || this.academicYearOf(),
+            semester: metadata.semester || null,
+            tags: metadata.tags || [],
+            notes: metadata.notes || '',
+            // Set when this entry points at a file another document already stored
+            ...(metadata.duplicateOf && { duplicateOf: metadata.duplicateOf }),
+            // Student ID, name and roll number read from the file's content
+            ...(metadata.extracted && { extracted: metadata.extracted }),
+            version: 1,
+            versions: [],
             uploadedAt: new Date().toISOString()
         };
 
-        student.documents[linkType].push(documentEntry);
-        this.update(studentId, { documents: student.documents });
+        // Read-modify-write happens inside the adapter, on the latest record
+        const student = this.applyUpdate(studentId, current => {
+            current.documents[linkType].push(documentEntry);
+            return { documents: current.documents };
+        });
+
+        if (!student) return null;
+
+        AuditLog.record('document.add', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId: documentEntry.id,
+            documentType
+        }, null, documentEntry);
 
         return documentEntry;
     }
 
     /**
-     * Remove document link from student
+     * Edit tags, notes, semester or academic year of a document.
+     * `changes` must already be cleaned with cleanDocumentFields().
      */
-    removeDocumentLink(studentId, documentType, documentId) {
-        this.loadData();
-        const student = this.findByStudentId(studentId);
+    updateDocument(studentId, documentType, documentId, changes) {
+        const linkType = DocumentType.linkKey(documentType);
+        if (!linkType) return null;
 
-        if (!student) return false;
+        let before = null;
+        let updated = null;
+        const student = this.applyUpdate(studentId, current => {
+            const document = current.documents[linkType].find(d => d.id === documentId);
+            if (document) {
+                before = { ...document };
+                EDITABLE_DOCUMENT_FIELDS.forEach(field => {
+                    if (changes[field] !== undefined) document[field] = changes[field];
+                });
+                updated = document;
+            }
+            return { documents: current.documents };
+        });
+
+        if (!student || !updated) return null;
+
+        AuditLog.record('document.update', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType
+        }, before, updated);
+
+        return updated;
+    }
 
-        const linkTypeMap = {
-            'assignment': 'assignmentLinks',
-            'idCard': 'idCardLinks',
-            'certificate': 'certificateLinks',
-            'feeReceipt': 'feeReceiptLinks'
-        };
+    /**
+     * Every version of a document, newest first (the current one has current: true).
+     * Documents stored before versioning count as version 1.
+     */
+    listVersions(document) {
+        const current = { version: document.version || 1, current: true };
+        VERSION_FIELDS.forEach(field => { current[field] = document[field]; });
+        return [current, ...(document.versions || []).map(v => ({ ...v, current: false }))]
+            .sort((a, b) => b.version - a.version);
+    }
+
+    /**
+     * Write a new file set on a document, moving the current one into its history.
+     * Used for new uploads and for restoring an older version.
+     */
+    replaceDocumentFile(studentId, documentType, documentId, fileData, extra = {}) {
+        const linkType = DocumentType.linkKey(documentType);
+        if (!linkType) return null;
+
+        let before = null;
+        let updated = null;
+        const student = this.applyUpdate(studentId, current => {
+            const document = current.documents[linkType].find(d => d.id === documentId);
+            if (document) {
+                before = { ...document };
+
+                const previous = { version: document.version || 1 };
+                VERSION_FIELDS.forEach(field => { previous[field] = document[field] !== undefined ? document[field] : null; });
+                const versions = [...(document.versions || []), previous];
+                const latest = Math.max(...versions.map(v => v.version));
+
+                VERSION_FIELDS.forEach(field => {
+                    document[field] = fileData[field] !== undefined ? fileData[field] : null;
+                });
+                delete document.restoredFrom;
+                Object.assign(document, extra, { version: latest + 1, versions });
+                updated = document;
+            }
+            return { documents: current.documents };
+        });
+
+        if (!student || !updated) return null;
+        return { student, before, updated };
+    }
+
+    /**
+     * Store a new version of a document
+     */
+    addDocumentVersion(studentId, documentType, documentId, linkData, metadata = {}) {
+        const result = this.replaceDocumentFile(studentId, documentType, documentId, {
+            ...linkData,
+            size: metadata.size,
+            mimeType: metadata.mimeType,
+            checksum: metadata.checksum,
+            uploadedBy: metadata.uploadedBy,
+            uploadedAt: new Date().toISOString()
+        });
+        if (!result) return null;
+
+        AuditLog.record('document.version', {
+            type: 'document',
+            studentId: result.student.studentId,
+            documentId,
+            documentType
+        }, result.before, result.updated);
+
+        return result.updated;
+    }
 
-        const linkType = linkTypeMap[documentType];
+    /**
+     * Make an older version current again. The restore is recorded as a new
+     * version, so the history stays complete.
+     */
+    restoreDocumentVersion(studentId, documentType, documentId, version) {
+        const document = this.findDocument(this.findByStudentId(studentId), documentType, documentId);
+        if (!document) return null;
+
+        const target = (document.versions || []).find(v => v.version === version);
+        if (!target) return null;
+
+        const result = this.replaceDocumentFile(studentId, documentType, documentId, target, { restoredFrom: version });
+        if (!result) return null;
+
+        AuditLog.record('document.rollback', {
+            type: 'document',
+            studentId: result.student.studentId,
+            documentId,
+            documentType
+        }, result.before, result.updated);
+
+        return result.updated;
+    }
+
+    /**
+     * Remove document link from student
+     */
+    removeDocumentLink(studentId, documentType, documentId) {
+        const linkType = DocumentType.linkKey(documentType);
         if (!linkType) return false;
 
-        const index = student.documents[linkType].findIndex(d => d.id === documentId);
-        if (index === -1) return false;
+        let removed = null;
+        const student = this.applyUpdate(studentId, current => {
+            const index = current.documents[linkType].findIndex(d => d.id === documentId);
+            if (index !== -1) {
+                [removed] = current.documents[linkType].splice(index, 1);
+            }
+            return { documents: current.documents };
+        });
+
+        if (!student || !removed) return false;
 
-        student.documents[linkType].splice(index, 1);
-        this.update(studentId, { documents: student.documents });
+        AuditLog.record('document.remove', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType
+        }, removed, null);
 
         return true;
     }
 
     /**
-     * Delete student
+     * Drop one older version from a document's history (e.g. its file is
+     * gone). Looks in the trash too.
      */
-    delete(studentId) {
-        this.loadData();
-        const index = this.data.students.findIndex(s =>
-            s.studentId.toLowerCase() === studentId.toLowerCase()
-        );
+    removeDocumentVersion(studentId, documentType, documentId, version) {
+        const linkType = DocumentType.linkKey(documentType);
+        if (!linkType) return null;
+
+        let before = null;
+        let updated = null;
+        const student = this.applyUpdate(studentId, current => {
+            const document = [
+                ...current.documents[linkType],
+                ...(current.trash || []).map(t => t.document)
+            ].find(d => d.id === documentId);
+            const index = document ? (document.versions || []).findIndex(v => v.version === version) : -1;
+            if (index === -1) return {};
+
+            before = JSON.parse(JSON.stringify(document));
+            document.versions.splice(index, 1);
+            updated = document;
+            return { documents: current.documents, trash: current.trash };
+        });
+
+        if (!student || !updated) return null;
+
+        AuditLog.record('document.update', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType
+        }, before, updated);
+
+        return updated;
+    }
+
+    /**
+     * Point every document and version stored at `from` ({ storage, fileId })
+     * at another stored file (`to`: storage, fileId and links), trash
+     * included. Returns the number of entries changed.
+     */
+    relinkFile(from, to) {
+        const matches = entry => entry.fileId === from.fileId && (entry.storage || 'drive') === from.storage;
+        const entriesOf = student => [
+            ...Object.values(student.documents || {}).flat(),
+            ...(student.trash || []).map(t => t.document)
+        ].flatMap(document => [document, ...(document.versions || [])]);
+
+        let changed = 0;
+        this.store.all().filter(student => entriesOf(student).some(matches)).forEach(student => {
+            this.applyUpdate(student.studentId, current => {
+                entriesOf(current).filter(matches).forEach(entry => {
+                    Object.assign(entry, {
+                        storage: to.storage,
+                        fileId: to.fileId,
+                        shareableLink: to.shareableLink,
+                        downloadLink: to.downloadLink
+                    });
+                    changed++;
+                });
+                return { documents: current.documents, trash: current.trash };
+            });
+        });
+
+        if (changed) {
+            AuditLog.record('file.relink', { type: 'file', storage: from.storage, fileId: from.fileId },
+                { storage: from.storage, fileId: from.fileId }, { ...to, documents: changed });
+        }
+        return changed;
+    }
+
+    /**
+     * Move a student to the trash. Records and files stay until purged.
+     */
+    trash(studentId) {
+        let before = null;
+        const student = this.applyUpdate(studentId, current => {
+            before = current;
+            return { deletedAt: new Date().toISOString(), deletedBy: requestContext.current().actor };
+        });
+
+        if (student) {
+            AuditLog.record('student.trash', { type: 'student', studentId: student.studentId }, before, student);
+        }
+        return student;
+    }
+
+    /**
+     * Take a student out of the trash
+     */
+    restore(studentId) {
+        let before = null;
+        const student = this.applyUpdate(studentId, current => {
+            before = current;
+            return { deletedAt: null, deletedBy: null };
+        });
+
+        if (student) {
+            AuditLog.record('student.restore', { type: 'student', studentId: student.studentId }, before, student);
+        }
+        return student;
+    }
+
+    /**
+     * Move a document to the student's trash (student.trash)
+     */
+    trashDocument(studentId, documentType, documentId) {
+        const linkType = DocumentType.linkKey(documentType);
+        if (!linkType) return null;
+
+        let entry = null;
+        const student = this.applyUpdate(studentId, current => {
+            const index = current.documents[linkType].findIndex(d => d.id === documentId);
+            if (index === -1) return {};
+
+            const [document] = current.documents[linkType].splice(index, 1);
+            entry = {
+                documentType,
+                document,
+                deletedAt: new Date().toISOString(),
+                deletedBy: requestContext.current().actor
+            };
+            return { documents: current.documents, trash: [...(current.trash || []), entry] };
+        });
+
+        if (!student || !entry) return null;
+
+        AuditLog.record('document.trash', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType
+        }, entry.document, null);
+
+        return entry;
+    }
+
+    /**
+     * Put a trashed document back. Its type falls back to the default
+     * type if the original one has been removed from the registry.
+     */
+    restoreDocument(studentId, documentId) {
+        let restored = null;
+        const student = this.applyUpdate(studentId, current => {
+            const trash = current.trash || [];
+            const index = trash.findIndex(t => t.document.id === documentId);
+            if (index === -1) return {};
+
+            const [entry] = trash.splice(index, 1);
+            const documentType = DocumentType.get(entry.documentType) ? entry.documentType : DocumentType.defaultType();
+            current.documents[`${documentType}Links`].push(entry.document);
+            restored = { documentType, document: entry.document };
+            return { documents: current.documents, trash };
+        });
+
+        if (!student || !restored) return null;
+
+        AuditLog.record('document.restore', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType: restored.documentType
+        }, null, restored.document);
+
+        return restored;
+    }
+
+    /**
+     * Permanently drop a trashed document record (files are the caller's job)
+     */
+    purgeDocument(studentId, documentId) {
+        let purged = null;
+        const student = this.applyUpdate(studentId, current => {
+            const trash = current.trash || [];
+            const index = trash.findIndex(t => t.document.id === documentId);
+            if (index === -1) return {};
+
+            [purged] = trash.splice(index, 1);
+            return { trash };
+        });
+
+        if (!student || !purged) return null;
+
+        AuditLog.record('document.purge', {
+            type: 'document',
+            studentId: student.studentId,
+            documentId,
+            documentType: purged.documentType
+        }, purged.document, null);
+
+        return purged;
+    }
+
+    /**
+     * Everything in the trash: trashed students, and trashed documents of
+     * students that are not trashed themselves
+     */
+    findTrash() {
+        const all = this.store.all().map(s => this.normalize(s));
+        return {
+            students: all.filter(s => s.deletedAt),
+            documents: all
+                .filter(s => !s.deletedAt)
+                .flatMap(s => (s.trash || []).map(entry => ({ studentId: s.studentId, studentName: s.name, ...entry })))
+        };
+    }
 
-        if (index === -1) return false;
+    /**
+     * Permanently delete a student record (see trash() for the normal path)
+     */
+    delete(studentId) {
+        const removed = this.store.remove(studentId);
+        if (!removed) return false;
+        this.emit('change', removed.studentId);
 
-        this.data.students.splice(index, 1);
-        this.saveData();
+        AuditLog.record('student.delete', { type: 'student', studentId: removed.studentId }, removed, null);
         return true;
     }
 
     /**
-     * Check if student exists
+     * Check if student exists (a trashed student still holds its ID)
      */
     exists(studentId) {
-        return !!this.findByStudentId(studentId);
+        return !!this.findByStudentId(studentId, { includeTrashed: true });
+    }
+
+    /**
+     * Is this student in the trash?
+     */
+    isTrashed(studentId) {
+        const student = this.findByStudentId(studentId, { includeTrashed: true });
+        return !!(student && student.deletedAt);
     }
 
     /**
@@ -205,37 +664,204 @@ class StudentModel {
      * Set student's drive folder ID
      */
     setDriveFolderId(studentId, folderId) {
-        return this.update(studentId, { driveFolderId: folderId });
+        return this.applyUpdate(studentId, { driveFolderId: folderId });
     }
 
     /**
-     * Search students by name or department
+     * Search students by name, department, ID or email
      */
     search(query) {
-        this.loadData();
         const lowerQuery = query.toLowerCase();
-        return this.data.students.filter(s =>
-            s.name.toLowerCase().includes(lowerQuery) ||
-            s.department.toLowerCase().includes(lowerQuery) ||
-            s.studentId.toLowerCase().includes(lowerQuery)
-        );
+        return this.findAll().filter(s => this.matchesText(s, lowerQuery));
+    }
+
+    matchesText(student, lowerQuery) {
+        return [student.name, student.department, student.studentId, student.email]
+            .some(value => (value || '').toLowerCase().includes(lowerQuery));
     }
 
     /**
-     * Get document statistics for a student
+     * Lightweight listing record: no document arrays, only counts per type
+     */
+    toListItem(student) {
+        const documentCounts = {};
+        DocumentType.keys().forEach(key => {
+            documentCounts[key] = (student.documents[`${key}Links`] || []).length;
+        });
+
+        return {
+            id: student.id,
+            studentId: student.studentId,
+            name: student.name,
+            department: student.department,
+            email: student.email,
+            phone: student.phone,
+            createdAt: student.createdAt,
+            updatedAt: student.updatedAt,
+            documentCounts,
+            documentCount: Object.values(documentCounts).reduce((sum, n) => sum + n, 0)
+        };
+    }
+
+    /**
+     * Validate listing parameters (query string values).
+     * Returns { query } or { error }.
+     */
+    cleanQuery(params = {}) {
+        const query = {
+            page: params.page === undefined ? 1 : Number(params.page),
+            pageSize: params.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(params.pageSize),
+            sort: params.sort || 'name',
+            order: params.order || 'asc',
+            q: (params.q || '').trim().toLowerCase(),
+            department: (params.department || '').trim().toLowerCase(),
+            hasType: params.hasType || null,
+            missingType: params.missingType || null,
+            fields: params.fields || 'list'
+        };
+
+        if (!Number.isInteger(query.page) || query.page < 1) return { error: 'page must be a positive number' };
+        if (!Number.isInteger(query.pageSize) || query.pageSize < 1 || query.pageSize > MAX_PAGE_SIZE) {
+            return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+        }
+        if (!SORT_FIELDS[query.sort]) return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+        if (!['asc', 'desc'].includes(query.order)) return { error: 'order must be asc or desc' };
+        if (!['list', 'full'].includes(query.fields)) return { error: 'fields must be list or full' };
+
+        for (const key of ['hasType', 'missingType']) {
+            if (query[key] && !DocumentType.get(query[key])) return { error: `Unknown document type: ${query[key]}` };
+        }
+
+        // Dates: ISO timestamps, or YYYY-MM-DD (a "to" date includes the whole day)
+        for (const key of ['createdFrom', 'createdTo', 'uploadedFrom', 'uploadedTo']) {
+            if (!params[key]) continue;
+            const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(params[key]);
+            const date = new Date(dayOnly && key.endsWith('To') ? `${params[key]}T23:59:59.999Z` : params[key]);
+            if (isNaN(date)) return { error: `${key} is not a valid date` };
+            query[key] = date.toISOString();
+        }
+
+        return { query };
+    }
+
+    /**
+     * Filter, sort and page a list of students (already scoped by the caller).
+     * `query` comes from cleanQuery().
+     */
+    query(query, students = this.findAll()) {
+        const inRange = (value, from, to) => !!value && (!from || value >= from) && (!to || value <= to);
+        const uploadFilter = query.uploadedFrom || query.uploadedTo;
+
+        let results = students.filter(s => {
+            if (query.q && !this.matchesText(s, query.q)) return false;
+            if (query.department && (s.department || '').toLowerCase() !== query.department) return false;
+            if (query.hasType && s.documents[`${query.hasType}Links`].length === 0) return false;
+            if (query.missingType && s.documents[`${query.missingType}Links`].length > 0) return false;
+            if ((query.createdFrom || query.createdTo) && !inRange(s.createdAt, query.createdFrom, query.createdTo)) return false;
+            if (uploadFilter && !Object.values(s.documents).flat()
+                .some(d => inRange(d.uploadedAt, query.uploadedFrom, query.uploadedTo))) return false;
+            return true;
+        }).map(s => ({ student: s, item: this.toListItem(s) }));
+
+        const key = SORT_FIELDS[query.sort];
+        const direction = query.order === 'desc' ? -1 : 1;
+        results.sort((a, b) => {
+            const x = key(a.item);
+            const y = key(b.item);
+            if (x < y) return -direction;
+            if (x > y) return direction;
+            return a.item.studentId.localeCompare(b.item.studentId);
+        });
+
+        const total = results.length;
+        const start = (query.page - 1) * query.pageSize;
+        results = results.slice(start, start + query.pageSize);
+
+        return {
+            students: results.map(r => (query.fields === 'full' ? r.student : r.item)),
+            total,
+            page: query.page,
+            pageSize: query.pageSize,
+            totalPages: Math.max(1, Math.ceil(total / query.pageSize)),
+            sort: query.sort,
+            order: query.order
+        };
+    }
+
+    /**
+     * Documents with the given content hash, as { studentId, documentType, document }.
+     * `studentIds` limits the search (default: every student).
+     */
+    findByChecksum(checksum, studentIds = null) {
+        if (!checksum) return [];
+
+        const matches = [];
+        this.findAll().forEach(student => {
+            if (studentIds && !studentIds.includes(student.studentId)) return;
+            DocumentType.keys().forEach(key => {
+                student.documents[`${key}Links`]
+                    .filter(document => document.checksum === checksum)
+                    .forEach(document => matches.push({ studentId: student.studentId, documentType: key, document }));
+            });
+        });
+        return matches;
+    }
+
+    /**
+     * Stored files of a document: the current one and every older version
+     */
+    documentFileIds(document) {
+        return [...new Set([document, ...(document.versions || [])].map(d => d.fileId).filter(Boolean))];
+    }
+
+    /**
+     * Stored files of a document as { storage, fileId }. Entries written
+     * before providers were recorded are on Drive.
+     */
+    documentFiles(document) {
+        const seen = new Set();
+        return [document, ...(document.versions || [])]
+            .filter(d => d.fileId)
+            .map(d => ({ storage: d.storage || 'drive', fileId: d.fileId }))
+            .filter(file => {
+                const key = `${file.storage}:${file.fileId}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Number of documents pointing at a stored file, in any version,
+     * trashed ones included (linked duplicates share one file)
+     */
+    countFileReferences(fileId) {
+        if (!fileId) return 0;
+        return this.store.all().reduce((count, student) => {
+            const documents = [
+                ...Object.values(student.documents || {}).flat(),
+                ...(student.trash || []).map(t => t.document)
+            ];
+            return count + documents.filter(d => this.documentFileIds(d).includes(fileId)).length;
+        }, 0);
+    }
+
+    /**
+     * Get document statistics for a student (count per type key + total)
      */
     getDocumentStats(studentId) {
         const student = this.findByStudentId(studentId);
         if (!student) return null;
 
-        return {
-            assignments: student.documents.assignmentLinks.length,
-            idCards: student.documents.idCardLinks.length,
-            certificates: student.documents.certificateLinks.length,
-            feeReceipts: student.documents.feeReceiptLinks.length,
-            total: Object.values(student.documents).reduce((sum, arr) => sum + arr.length, 0)
-        };
+        const stats = {};
+        DocumentType.keys().forEach(key => {
+            stats[key] = student.documents[`${key}Links`].length;
+        });
+        stats.total = Object.values(student.documents).reduce((sum, arr) => sum + arr.length, 0);
+
+        return stats;
     }
 }
 
 module.exports = new StudentModel();
+module.exports.StudentModel = StudentModel;
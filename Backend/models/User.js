@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const DB_PATH = path.join(__dirname, '../database/users.json');
+// Where a generated initial admin password is left (never logged), next to the store
+const INITIAL_PASSWORD_FILE = 'initial-admin-password.txt';
+
+const ROLES = ['admin', 'teacher', 'student'];
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES, 10) || 15;
+const RESET_TOKEN_HOURS = 24;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with scrypt.
+ * Stored format: scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    if (!stored) return false;
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked for unknown usernames, so a miss takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Login accounts (admins, faculty, and students with a password login).
+ * Google / Firebase users can also have an account without a password:
+ * it then only carries their role and scope.
+ */
+class UserModel {
+    constructor(dbPath = DB_PATH) {
+        this.dbPath = dbPath;
+        // Initialize empty user store if not exists
+        if (!fs.existsSync(dbPath)) {
+            fs.writeFileSync(dbPath, JSON.stringify({ users: [] }, null, 2));
+        }
+        this.loadData();
+        this.ensureAdmin();
+    }
+
+    loadData() {
+        // Throws on a corrupted file: resetting it would wipe every account
+        this.data = readJson(this.dbPath);
+    }
+
+    saveData() {
+        writeJsonAtomic(this.dbPath, this.data);
+    }
+
+    /**
+     * Locked read-modify-write: `fn(users)` changes the list in place
+     */
+    modify(fn) {
+        return withLock(this.dbPath, () => {
+            this.loadData();
+            const result = fn(this.data.users);
+            this.saveData();
+            return result;
+        });
+    }
+
+    /**
+     * Create the first admin account on an empty store. Password comes
+     * from ADMIN_PASSWORD, or is generated and written to
+     * database/initial-admin-password.txt (readable by the owner only).
+     */
+    ensureAdmin() {
+        if (this.data.users.some(u => u.role === 'admin')) return;
+
+        let password = process.env.ADMIN_PASSWORD;
+        if (!password) {
+            password = crypto.randomBytes(9).toString('base64url');
+            const passwordPath = path.join(path.dirname(this.dbPath), INITIAL_PASSWORD_FILE);
+            fs.writeFileSync(passwordPath, `${password}\n`, { mode: 0o600 });
+            console.log(`🔑 Created initial admin account "admin"; its password is in ${passwordPath} (change it, then delete the file)`);
+        }
+
+        this.create({
+            username: process.env.ADMIN_USERNAME || 'admin',
+            name: 'Admin User',
+            email: process.env.ADMIN_EMAIL || '',
+            role: 'admin',
+            password
+        });
+    }
+
+    /**
+     * Validate user data. Returns an error message or null.
+     */
+    validate(userData, existingId = null) {
+        if (userData.role !== undefined && !ROLES.includes(userData.role)) {
+            return `Role must be one of: ${ROLES.join(', ')}`;
+        }
+
+        if (userData.username !== undefined) {
+            if (!/^[a-z0-9._-]{3,}$/i.test(userData.username)) {
+                return 'Username must be at least 3 letters, digits, ".", "_" or "-"';
+            }
+            const taken = this.findByUsername(userData.username);
+            if (taken && taken.id !== existingId) return 'Username already exists';
+        }
+
+        if (userData.email) {
+            const taken = this.findByEmail(userData.email);
+            if (taken && taken.id !== existingId) return 'Email already exists';
+        }
+
+        if (userData.password !== undefined && String(userData.password).length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+
+        if (userData.departments !== undefined && !Array.isArray(userData.departments)) {
+            return 'Departments must be a list';
+        }
+
+        if (userData.disabled !== undefined && typeof userData.disabled !== 'boolean') {
+            return 'Disabled must be true or false';
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a new user
+     */
+    create(userData) {
+        const user = {
+            id: uuidv4(),
+            username: userData.username || null,
+            name: userData.name || '',
+            email: userData.email || '',
+            role: userData.role || 'student',
+            studentId: userData.studentId || null,
+            departments: userData.departments || [],
+            passwordHash: userData.password ? hashPassword(userData.password) : null,
+            disabled: false,
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+            resetTokenHash: null,
+            resetTokenExpiresAt: null,
+            lastLoginAt: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.modify(users => { users.push(user); });
+        return user;
+    }
+
+    /**
+     * Find user by internal ID
+     */
+    findById(id) {
+        this.loadData();
+        return this.data.users.find(u => u.id === id);
+    }
+
+    /**
+     * Find user by username
+     */
+    findByUsername(username) {
+        this.loadData();
+        const lower = String(username || '').toLowerCase();
+        return this.data.users.find(u => u.username && u.username.toLowerCase() === lower);
+    }
+
+    /**
+     * Find user by email
+     */
+    findByEmail(email) {
+        this.loadData();
+        const lower = String(email || '').toLowerCase();
+        if (!lower) return undefined;
+        return this.data.users.find(u => u.email && u.email.toLowerCase() === lower);
+    }
+
+    /**
+     * Get all users
+     */
+    findAll() {
+        this.loadData();
+        return this.data.users;
+    }
+
+    /**
+     * Update user. A `password` field is hashed; secrets cannot be set directly.
+     */
+    update(id, updateData) {
+        const { password, passwordHash, resetTokenHash, ...fields } = updateData;
+        const changes = { ...fields };
+        if (password) changes.passwordHash = hashPassword(password);
+
+        return this.modify(users => {
+            const index = users.findIndex(u => u.id === id);
+            if (index === -1) return null;
+
+            users[index] = {
+                ...users[index],
+                ...changes,
+                id,
+                updatedAt: new Date().toISOString()
+            };
+            return users[index];
+        });
+    }
+
+    /**
+     * Delete user
+     */
+    delete(id) {
+        return this.modify(users => {
+            const index = users.findIndex(u => u.id === id);
+            if (index === -1) return false;
+
+            users.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Is this the only enabled admin? Deleting, demoting or disabling it
+     * would leave nobody to manage accounts.
+     */
+    isLastAdmin(user) {
+        if (!user || user.role !== 'admin' || user.disabled) return false;
+        return !this.findAll().some(u => u.id !== user.id && u.role === 'admin' && !u.disabled);
+    }
+
+    /**
+     * Would applying `fields` demote or disable the last enabled admin?
+     */
+    removesLastAdmin(user, fields) {
+        const demoted = (fields.role !== undefined && fields.role !== 'admin') || Boolean(fields.disabled);
+        return demoted && this.isLastAdmin(user);
+    }
+
+    isLocked(user) {
+        return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+    }
+
+    /**
+     * Check a username/password pair.
+     * Returns { user } on success or { error, locked } on failure.
+     */
+    authenticate(username, password) {
+        const found = this.findByUsername(username);
+
+        if (!found || !found.passwordHash || found.disabled) {
+            verifyPassword(password, DUMMY_PASSWORD_HASH);
+            return { error: 'Invalid credentials' };
+        }
+
+        if (this.isLocked(found)) {
+            return { error: 'Account locked after too many failed attempts. Try again later.', locked: true };
+        }
+
+        const valid = verifyPassword(password, found.passwordHash);
+
+        return this.modify(users => {
+            const user = users.find(u => u.id === found.id);
+            if (!user) return { error: 'Invalid credentials' };
+
+            if (!valid) {
+                user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+
+                if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+                    user.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+                    user.failedLoginAttempts = 0;
+                    return { error: 'Account locked after too many failed attempts. Try again later.', locked: true };
+                }
+                return { error: 'Invalid credentials' };
+            }
+
+            user.failedLoginAttempts = 0;
+            user.lockedUntil = null;
+            user.lastLoginAt = new Date().toISOString();
+            return { user };
+        });
+    }
+
+    /**
+     * Issue a one-time password reset token (admin initiated).
+     * Only the hash is stored; the plain token is returned once.
+     */
+    createResetToken(id) {
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_HOURS * 60 * 60 * 1000);
+
+        return this.modify(users => {
+            const user = users.find(u => u.id === id);
+            if (!user) return null;
+
+            user.resetTokenHash = hashResetToken(token);
+            user.resetTokenExpiresAt = expiresAt.toISOString();
+            user.updatedAt = new Date().toISOString();
+            return { token, expiresAt: user.resetTokenExpiresAt };
+        });
+    }
+
+    /**
+     * Set a new password using a reset token. Also clears any lockout.
+     */
+    resetPassword(token, newPassword) {
+        const invalid = this.validate({ password: newPassword });
+        if (invalid) return { error: invalid };
+
+        const tokenHash = hashResetToken(String(token || ''));
+        const passwordHash = hashPassword(newPassword);
+
+        return this.modify(users => {
+            const user = users.find(u => u.resetTokenHash === tokenHash);
+            if (!user || new Date(user.resetTokenExpiresAt) < new Date()) {
+                return { error: 'Invalid or expired reset token' };
+            }
+
+            user.passwordHash = passwordHash;
+            user.resetTokenHash = null;
+            user.resetTokenExpiresAt = null;
+            user.failedLoginAttempts = 0;
+            user.lockedUntil = null;
+            user.updatedAt = new Date().toISOString();
+            return { user };
+        });
+    }
+
+    /**
+     * Strip secrets before sending a user to the client
+     */
+    toPublic(user) {
+        if (!user) return null;
+        const { passwordHash, resetTokenHash, resetTokenExpiresAt, ...rest } = user;
+        return {
+            ...rest,
+            hasPassword: !!passwordHash,
+            locked: this.isLocked(user)
+        };
+    }
+
+    /**
+     * Claims that go into the session token
+     */
+    toSessionUser(user) {
+        return {
+            id: user.id,
+            name: user.name || user.username,
+            email: user.email,
+            role: user.role,
+            studentId: user.studentId,
+            departments: user.departments
+        };
+    }
+}
+
+module.exports = new UserModel();
+module.exports.UserModel = UserModel;
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, withLock, rotateBackup } = require('../../utils/jsonFile');
+
+/**
+ * JSON file storage for student records (default adapter).
+ *
+ * - Reads parse the whole file; a corrupted file throws instead of being
+ *   reset to an empty database.
+ * - Every change is a locked read-modify-write cycle, so concurrent
+ *   requests (or processes) cannot overwrite each other's changes.
+ * - Files are replaced atomically (temp file + rename), and the previous
+ *   version is copied to database/backups/ before writing.
+ */
+class JsonAdapter {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.backup = {
+            backupDir: options.backupDir || path.join(path.dirname(filePath), 'backups'),
+            keep: options.backupCount !== undefined ? options.backupCount : 20,
+            minIntervalMs: options.backupIntervalMs !== undefined ? options.backupIntervalMs : 5 * 60 * 1000
+        };
+
+        // Ensure database directory exists
+        const dbDir = path.dirname(this.filePath);
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true });
+        }
+
+        // Initialize empty database if not exists
+        withLock(this.filePath, () => {
+            if (!fs.existsSync(this.filePath)) {
+                writeJsonAtomic(this.filePath, { students: [] });
+            }
+        });
+
+        // Fail at startup rather than on the first request
+        this.loadData();
+    }
+
+    loadData() {
+        const data = readJson(this.filePath);
+        if (!data || !Array.isArray(data.students)) {
+            throw new Error(`Database file ${this.filePath} has no "students" list`);
+        }
+        return data;
+    }
+
+    /**
+     * Locked read-modify-write. `fn(data)` mutates data and returns a result.
+     */
+    mutate(fn) {
+        return withLock(this.filePath, () => {
+            const data = this.loadData();
+            const result = fn(data);
+
+            rotateBackup(this.filePath, this.backup);
+            writeJsonAtomic(this.filePath, data);
+            return result;
+        });
+    }
+
+    indexOf(data, studentId) {
+        const lowerId = String(studentId).toLowerCase();
+        return data.students.findIndex(s => s.studentId.toLowerCase() === lowerId);
+    }
+
+    all() {
+        return this.loadData().students;
+    }
+
+    findByStudentId(studentId) {
+        const data = this.loadData();
+        return data.students[this.indexOf(data, studentId)] || null;
+    }
+
+    findById(id) {
+        return this.loadData().students.find(s => s.id === id) || null;
+    }
+
+    insert(student) {
+        return this.mutate(data => {
+            data.students.push(student);
+            return student;
+        });
+    }
+
+    update(studentId, mutator) {
+        return this.mutate(data => {
+            const index = this.indexOf(data, studentId);
+            if (index === -1) return null;
+
+            data.students[index] = mutator(data.students[index]);
+            return data.students[index];
+        });
+    }
+
+    remove(studentId) {
+        return this.mutate(data => {
+            const index = this.indexOf(data, studentId);
+            if (index === -1) return null;
+
+            const [removed] = data.students.splice(index, 1);
+            return removed;
+        });
+    }
+}
+
+module.exports = JsonAdapter;
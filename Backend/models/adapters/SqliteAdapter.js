@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+// Student fields with their own column; everything else goes into `extra`
+const STUDENT_COLUMNS = {
+    id: 'id',
+    studentId: 'student_id',
+    name: 'name',
+    department: 'department',
+    email: 'email',
+    phone: 'phone',
+    driveFolderId: 'drive_folder_id',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+const DOCUMENT_COLUMNS = {
+    id: 'id',
+    fileName: 'file_name',
+    shareableLink: 'shareable_link',
+    downloadLink: 'download_link',
+    fileId: 'file_id',
+    uploadedAt: 'uploaded_at'
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS students (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT DEFAULT '',
+        department TEXT DEFAULT '',
+        email TEXT DEFAULT '',
+        phone TEXT DEFAULT '',
+        drive_folder_id TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        student_pk TEXT NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        collection TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        file_name TEXT,
+        file_id TEXT,
+        shareable_link TEXT,
+        download_link TEXT,
+        uploaded_at TEXT,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_documents_student ON documents(student_pk, collection, position);
+    CREATE INDEX IF NOT EXISTS idx_documents_file ON documents(file_id);
+    CREATE INDEX IF NOT EXISTS idx_students_department ON students(department);
+`;
+
+/**
+ * Split an object into column values and a JSON blob of the remaining fields
+ */
+function toColumns(record, columns, skip = []) {
+    const row = {};
+    const extra = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+        if (skip.includes(key)) return;
+        if (columns[key]) {
+            row[columns[key]] = value === undefined ? null : value;
+        } else {
+            extra[key] = value;
+        }
+    });
+
+    Object.values(columns).forEach(column => {
+        if (!(column in row)) row[column] = null;
+    });
+
+    row.extra = JSON.stringify(extra);
+    return row;
+}
+
+function fromColumns(row, columns) {
+    const record = {};
+    Object.entries(columns).forEach(([key, column]) => {
+        record[key] = row[column];
+    });
+    return { ...record, ...JSON.parse(row.extra || '{}') };
+}
+
+/**
+ * Embedded SQLite storage for student records.
+ * Students and documents live in their own tables; the model still sees
+ * the same nested `{ ...student, documents: { assignmentLinks: [...] } }`
+ * shape as with the JSON adapter.
+ */
+class SqliteAdapter {
+    constructor(filePath) {
+        const Database = require('better-sqlite3');
+
+        const dbDir = path.dirname(filePath);
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true });
+        }
+
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            all: this.db.prepare('SELECT * FROM students ORDER BY rowid'),
+            byStudentId: this.db.prepare('SELECT * FROM students WHERE student_id = ?'),
+            byId: this.db.prepare('SELECT * FROM students WHERE id = ?'),
+            documentsFor: this.db.prepare('SELECT * FROM documents WHERE student_pk = ? ORDER BY collection, position'),
+            allDocuments: this.db.prepare('SELECT * FROM documents ORDER BY student_pk, collection, position'),
+            insertStudent: this.db.prepare(`
+                INSERT INTO students (id, student_id, name, department, email, phone, drive_folder_id, created_at, updated_at, extra)
+                VALUES (@id, @student_id, @name, @department, @email, @phone, @drive_folder_id, @created_at, @updated_at, @extra)
+            `),
+            updateStudent: this.db.prepare(`
+                UPDATE students SET student_id = @student_id, name = @name, department = @department,
+                    email = @email, phone = @phone, drive_folder_id = @drive_folder_id,
+                    created_at = @created_at, updated_at = @updated_at, extra = @extra
+                WHERE id = @id
+            `),
+            insertDocument: this.db.prepare(`
+                INSERT INTO documents (id, student_pk, collection, position, file_name, file_id, shareable_link, download_link, uploaded_at, extra)
+                VALUES (@id, @student_pk, @collection, @position, @file_name, @file_id, @shareable_link, @download_link, @uploaded_at, @extra)
+            `),
+            deleteDocuments: this.db.prepare('DELETE FROM documents WHERE student_pk = ?'),
+            deleteStudent: this.db.prepare('DELETE FROM students WHERE id = ?')
+        };
+    }
+
+    /**
+     * Build the nested student object from its rows
+     */
+    hydrate(row, documentRows) {
+        const student = fromColumns(row, STUDENT_COLUMNS);
+        student.documents = {};
+
+        documentRows.forEach(docRow => {
+            if (!student.documents[docRow.collection]) {
+                student.documents[docRow.collection] = [];
+            }
+            student.documents[docRow.collection].push(fromColumns(docRow, DOCUMENT_COLUMNS));
+        });
+
+        return student;
+    }
+
+    writeDocuments(student) {
+        Object.entries(student.documents || {}).forEach(([collection, docs]) => {
+            docs.forEach((doc, position) => {
+                this.statements.insertDocument.run({
+                    ...toColumns(doc, DOCUMENT_COLUMNS),
+                    student_pk: student.id,
+                    collection,
+                    position
+                });
+            });
+        });
+    }
+
+    all() {
+        const byStudent = new Map();
+        this.statements.allDocuments.all().forEach(docRow => {
+            if (!byStudent.has(docRow.student_pk)) byStudent.set(docRow.student_pk, []);
+            byStudent.get(docRow.student_pk).push(docRow);
+        });
+
+        return this.statements.all.all().map(row => this.hydrate(row, byStudent.get(row.id) || []));
+    }
+
+    findByStudentId(studentId) {
+        const row = this.statements.byStudentId.get(String(studentId));
+        return row ? this.hydrate(row, this.statements.documentsFor.all(row.id)) : null;
+    }
+
+    findById(id) {
+        const row = this.statements.byId.get(id);
+        return row ? this.hydrate(row, this.statements.documentsFor.all(row.id)) : null;
+    }
+
+    insert(student) {
+        this.db.transaction(() => {
+            this.statements.insertStudent.run(toColumns(student, STUDENT_COLUMNS, ['documents']));
+            this.writeDocuments(student);
+        })();
+        return student;
+    }
+
+    update(studentId, mutator) {
+        return this.db.transaction(() => {
+            const current = this.findByStudentId(studentId);
+            if (!current) return null;
+
+            const next = { ...mutator(current), id: current.id };
+            this.statements.updateStudent.run(toColumns(next, STUDENT_COLUMNS, ['documents']));
+            this.statements.deleteDocuments.run(current.id);
+            this.writeDocuments(next);
+            return next;
+        })();
+    }
+
+    remove(studentId) {
+        return this.db.transaction(() => {
+            const current = this.findByStudentId(studentId);
+            if (!current) return null;
+
+            this.statements.deleteStudent.run(current.id);
+            return current;
+        })();
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,36 @@
+const path = require('path');
+const JsonAdapter = require('./JsonAdapter');
+require('dotenv').config();
+
+const DATABASE_DIR = path.join(__dirname, '../../database');
+
+/**
+ * Storage adapter for student records, selected by DB_ADAPTER:
+ * - json   (default): database/students.json
+ * - sqlite: SQLITE_PATH (default database/campus.db)
+ *
+ * Every adapter implements:
+ *   all()                       → student[]
+ *   findByStudentId(studentId)  → student | null (case-insensitive)
+ *   findById(id)                → student | null
+ *   insert(student)             → student
+ *   update(studentId, mutator)  → student | null; mutator(current) returns the new record
+ *   remove(studentId)           → removed student | null
+ */
+function createAdapter(type = process.env.DB_ADAPTER || 'json') {
+    switch (type) {
+        case 'json':
+            return new JsonAdapter(process.env.JSON_DB_PATH || path.join(DATABASE_DIR, 'students.json'), {
+                backupCount: parseInt(process.env.JSON_BACKUP_COUNT || '20', 10),
+                backupIntervalMs: parseInt(process.env.JSON_BACKUP_INTERVAL_MINUTES || '5', 10) * 60 * 1000
+            });
+        case 'sqlite': {
+            const SqliteAdapter = require('./SqliteAdapter');
+            return new SqliteAdapter(process.env.SQLITE_PATH || path.join(DATABASE_DIR, 'campus.db'));
+        }
+        default:
+            throw new Error(`Unknown DB_ADAPTER "${type}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = { createAdapter };
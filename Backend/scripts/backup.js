@@ -0,0 +1,66 @@
+/**
+ * Back up or restore the database and mock-drive files.
+ *
+ * Usage:
+ *   node scripts/backup.js [create]          write a new archive
+ *   node scripts/backup.js list              list stored archives
+ *   node scripts/backup.js verify <archive>  check an archive against its manifest
+ *   node scripts/backup.js restore <archive> replace the current state (stop the server first)
+ *
+ * <archive> is a file name in BACKUP_DIR (default database/backups) or a path.
+ * `create` is meant to run from cron when BACKUP_INTERVAL_HOURS is not used.
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const [command = 'create', target] = process.argv.slice(2);
+const COMMANDS = ['create', 'list', 'verify', 'restore'];
+
+if (!COMMANDS.includes(command)) {
+    console.error(`❌ Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+    process.exit(1);
+}
+if (['verify', 'restore'].includes(command) && !target) {
+    console.error(`❌ ${command} needs an archive`);
+    process.exit(1);
+}
+
+const backupService = require('../services/backupService');
+
+function resolveArchive(name) {
+    const archivePath = backupService.archivePath(name) || path.resolve(name);
+    if (!fs.existsSync(archivePath)) {
+        console.error(`❌ Archive not found: ${name}`);
+        process.exit(1);
+    }
+    return archivePath;
+}
+
+async function run() {
+    switch (command) {
+        case 'create':
+            await backupService.create('manual');
+            break;
+        case 'list':
+            backupService.list().forEach(b => {
+                console.log(`${b.name}  ${(b.size / 1024).toFixed(1)} KB`);
+            });
+            break;
+        case 'verify': {
+            const manifest = await backupService.verify(resolveArchive(target));
+            console.log(`✅ ${manifest.files.length} files match the manifest (${manifest.createdAt})`);
+            break;
+        }
+        case 'restore': {
+            const result = await backupService.restore(resolveArchive(target));
+            console.log(`   Previous state saved as ${result.safetyBackup}`);
+            break;
+        }
+    }
+}
+
+run().catch(error => {
+    console.error(`❌ ${command} failed:`, error.message);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+/**
+ * One-shot migration: import database/students.json into SQLite.
+ *
+ * Usage:
+ *   node scripts/migrate-json-to-sqlite.js [--source path/to/students.json] [--force]
+ *
+ * Writes to SQLITE_PATH (default database/campus.db). Refuses to run if the
+ * SQLite database already has students unless --force is given, in which
+ * case students with an existing studentId are skipped.
+ * Afterwards set DB_ADAPTER=sqlite in .env.
+ */
+const fs = require('fs');
+const path = require('path');
+const SqliteAdapter = require('../models/adapters/SqliteAdapter');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const args = process.argv.slice(2);
+const sourceIndex = args.indexOf('--source');
+const source = sourceIndex !== -1
+    ? path.resolve(args[sourceIndex + 1])
+    : path.join(__dirname, '../database/students.json');
+const target = process.env.SQLITE_PATH || path.join(__dirname, '../database/campus.db');
+const force = args.includes('--force');
+
+if (!fs.existsSync(source)) {
+    console.error(`❌ Source not found: ${source}`);
+    process.exit(1);
+}
+
+const { students } = JSON.parse(fs.readFileSync(source, 'utf8'));
+const db = new SqliteAdapter(target);
+
+if (db.all().length > 0 && !force) {
+    console.error(`❌ ${target} already contains students. Re-run with --force to import the missing ones.`);
+    db.close();
+    process.exit(1);
+}
+
+let imported = 0;
+let skipped = 0;
+let documents = 0;
+
+db.db.transaction(() => {
+    students.forEach(student => {
+        if (db.findByStudentId(student.studentId)) {
+            skipped++;
+            return;
+        }
+        db.insert(student);
+        imported++;
+        documents += Object.values(student.documents || {}).reduce((sum, docs) => sum + docs.length, 0);
+    });
+})();
+
+db.close();
+
+console.log(`✅ Imported ${imported} students (${documents} documents) into ${target}`);
+if (skipped) console.log(`   Skipped ${skipped} students that already existed`);
+console.log('👉 Set DB_ADAPTER=sqlite in .env to use it.');
@@ -0,0 +1,34 @@
+/**
+ * Permanently remove trashed students and documents past the retention
+ * period (TRASH_RETENTION_DAYS, default 30), files included.
+ *
+ * Usage:
+ *   node scripts/purge-trash.js [--older-than <days>]
+ *
+ * Meant to run from cron, e.g. nightly.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const args = process.argv.slice(2);
+const daysIndex = args.indexOf('--older-than');
+const olderThanDays = daysIndex !== -1 ? parseInt(args[daysIndex + 1], 10) : undefined;
+
+if (daysIndex !== -1 && !(olderThanDays >= 0)) {
+    console.error('❌ --older-than needs a number of days');
+    process.exit(1);
+}
+
+const trashService = require('../services/trashService');
+
+trashService.purge({ olderThanDays })
+    .then(result => {
+        console.log(`🗑️  Purged ${result.students} students, ${result.documents} documents, ${result.files} files`);
+        if (result.deferred) console.log(`⏳ ${result.deferred} items wait for Google Drive to be reachable`);
+        if (result.unreachable.length) console.log(`⚠️  ${result.unreachable.length} Drive files and folders left on Drive (not configured)`);
+        if (result.failed.length) process.exitCode = 1;
+    })
+    .catch(error => {
+        console.error('❌ Purge failed:', error.message);
+        process.exit(1);
+    });
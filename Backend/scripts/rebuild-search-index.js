@@ -0,0 +1,29 @@
+/**
+ * Regenerate the full-text search index from the student records,
+ * re-extracting the text of every stored PDF/DOCX/XLSX file and image
+ * (OCR, when OCR_LANG_PATH is set).
+ *
+ * Usage:
+ *   node scripts/rebuild-search-index.js
+ *
+ * Run after restoring a database or if database/searchIndex.json is lost.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const searchIndex = require('../services/searchIndex');
+const textExtractor = require('../services/textExtractor');
+
+searchIndex.rebuild()
+    .then(stats => {
+        console.log(`🔎 Indexed ${stats.students} students, ${stats.documents} documents (text from ${stats.extracted} files)`);
+    })
+    .catch(error => {
+        console.error('❌ Rebuild failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        textExtractor.stopOcr();
+        // An OCR worker that failed to start can't be stopped otherwise
+        process.exit();
+    });
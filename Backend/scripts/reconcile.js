@@ -0,0 +1,70 @@
+/**
+ * Check the student records against the stored files, and optionally repair.
+ *
+ * Usage:
+ *   node scripts/reconcile.js                     report missing, orphan and mock files
+ *   node scripts/reconcile.js --json              the report as JSON
+ *   node scripts/reconcile.js --repair <actions>  apply actions to every issue offering them;
+ *                                                 comma-separated, first that applies wins: upload, relink, remove, delete
+ *
+ * `upload` needs Drive to be connected. Stop the server before repairing
+ * from here, or use POST /api/reconcile/repair instead.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const args = process.argv.slice(2);
+const repairIndex = args.indexOf('--repair');
+const actions = repairIndex !== -1 ? String(args[repairIndex + 1] || '').split(',').filter(Boolean) : [];
+
+const reconcileService = require('../services/reconcileService');
+
+const unknown = actions.filter(action => !reconcileService.REPAIR_ACTIONS.includes(action));
+if (repairIndex !== -1 && (actions.length === 0 || unknown.length)) {
+    console.error(`❌ --repair needs actions from: ${reconcileService.REPAIR_ACTIONS.join(', ')}`);
+    process.exit(1);
+}
+
+function describe(issue) {
+    const where = `${issue.storage}:${issue.fileId}`;
+    if (issue.type === 'orphan') {
+        const kept = issue.repairs.length ? '' : `  (kept: may be the file of ${issue.candidateFor || 'a missing document'})`;
+        return `orphan   ${where}  "${issue.fileName}"${kept}`;
+    }
+
+    const documents = issue.references
+        .map(ref => `${ref.studentId}/${ref.documentType}${ref.version !== null ? ` v${ref.version}` : ''}${ref.inTrash ? ' (trash)' : ''}`)
+        .join(', ');
+    const candidate = issue.candidate ? `  → relink to ${issue.candidate.storage}:${issue.candidate.fileId}` : '';
+    return `${issue.type.padEnd(8)} ${where}  "${issue.fileName}"  [${documents}]${candidate}`;
+}
+
+async function run() {
+    const report = await reconcileService.scan();
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        const { summary } = report;
+        console.log(`🔎 ${summary.checked} of ${summary.files} files checked (Drive ${report.driveLive ? 'connected' : 'not connected'})`);
+        report.scanned.forEach(s => console.log(`   ${s.storage}: ${s.files === null ? `not listed${s.error ? ` (${s.error})` : ''}` : `${s.files} stored files`}`));
+        console.log(`   ${summary.missing} missing, ${summary.orphan} orphan, ${summary.mock} in mock storage, ${summary.unchecked} unchecked`);
+        report.issues.forEach(issue => console.log(`   ${describe(issue)}`));
+    }
+
+    if (actions.length === 0) return;
+
+    const repairs = report.issues.flatMap(issue => actions
+        .filter(action => issue.repairs.includes(action))
+        .slice(0, 1)
+        .map(action => ({ id: issue.id, action })));
+    const results = await reconcileService.repair(repairs);
+
+    results.forEach(r => console.log(`${r.ok ? '✅' : '❌'} ${r.action} ${r.id}${r.ok ? '' : `: ${r.error}`}`));
+    console.log(`♻️  ${results.filter(r => r.ok).length} of ${results.length} repairs applied`);
+}
+
+run().catch(error => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+});
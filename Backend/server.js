@@ -6,9 +6,38 @@ const fs = require('fs');
 require('dotenv').config();
 
 // Import services and models
-const driveService = require('./services/driveService');
+const fileStorage = require('./services/storage');
 const aiClassifier = require('./AI/aiClassifier');
 const Student = require('./models/Student');
+const Roster = require('./models/Roster');
+const User = require('./models/User');
+const Session = require('./models/Session');
+const AuditLog = require('./models/AuditLog');
+const DocumentType = require('./models/DocumentType');
+const tokenService = require('./services/tokenService');
+const firebaseAuth = require('./services/firebaseAuth');
+const trashService = require('./services/trashService');
+const searchIndex = require('./services/searchIndex');
+const rosterService = require('./services/rosterService');
+const backupService = require('./services/backupService');
+const reconcileService = require('./services/reconcileService');
+const driveSyncQueue = require('./services/driveSyncQueue');
+const uploadService = require('./services/uploadService');
+const uploadSessions = require('./services/uploadSessions');
+const batchUploads = require('./services/batchUploads');
+const uploadJobs = require('./services/uploadJobs');
+const quarantine = require('./services/quarantine');
+const fileInspector = require('./services/fileInspector');
+const { requireAuth } = require('./middleware/auth');
+const requestContext = require('./utils/requestContext');
+const { hasPermission } = require('./config/permissions');
+const {
+    authorize,
+    authorizeStudent,
+    canAccessDepartment,
+    filterStudents,
+    forbidden
+} = require('./middleware/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,23 +46,34 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext.middleware);
 app.use(express.static(path.join(__dirname, '../public')));
 // Serve login page for clean URL
 app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/login.html'));
 });
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Stored files are served as what they are, never sniffed into pages; only
+// PDFs and images whose bytes match their name open in the browser
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
+    setHeaders: (res, filePath) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (!fileInspector.isSafeInline(filePath)) res.setHeader('Content-Disposition', 'attachment');
+    }
+}));
 
 const os = require('os');
 
 // Ensure uploads directory exists (Use /tmp in production/serverless)
 const uploadsDir = process.env.VERCEL ? os.tmpdir() : path.join(__dirname, 'uploads');
 
-if (!fs.existsSync(uploadsDir)) {
+// Files being received and checked; a dot directory, so /uploads never serves them
+const incomingDir = path.join(uploadsDir, '.incoming');
+
+if (!fs.existsSync(incomingDir)) {
     // try/catch for read-only filesystem issues
     try {
-        fs.mkdirSync(uploadsDir, { recursive: true });
+        fs.mkdirSync(incomingDir, { recursive: true });
     } catch (e) {
         console.log('Uploads dir creation skipped (likely read-only fs)');
     }
@@ -42,7 +82,7 @@ if (!fs.existsSync(uploadsDir)) {
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, uploadsDir);
+        cb(null, incomingDir);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -52,20 +92,12 @@ const storage = multer.diskStorage({
 
 const upload = multer({
     storage: storage,
-    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+    limits: { fileSize: uploadSessions.MAX_UPLOAD_BYTES }, // UPLOAD_MAX_MB, 50MB by default
     fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-            'application/pdf',
-            'image/jpeg',
-            'image/png',
-            'image/gif',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'application/vnd.ms-excel',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        ];
-
-        if (allowedTypes.includes(file.mimetype)) {
+        // Union of the MIME types of all registered document types; the
+        // content is checked against the claim and the per-type check runs
+        // once the type is known
+        if (DocumentType.allowedMimeTypes().includes(file.mimetype)) {
             cb(null, true);
         } else {
             cb(new Error('Invalid file type'), false);
@@ -73,6 +105,26 @@ const upload = multer({
     }
 });
 
+// Batch uploads take any file; types are checked per file so one bad file
+// does not fail the batch
+const batchUpload = multer({
+    storage: storage,
+    limits: { fileSize: uploadSessions.MAX_UPLOAD_BYTES, files: batchUploads.MAX_BATCH_FILES }
+});
+
+// Roster spreadsheets are parsed in memory, never stored
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (rosterService.isSpreadsheet(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Roster must be a .csv or .xlsx file'), false);
+        }
+    }
+});
+
 // ===============================
 // ROUTES
 // ===============================
@@ -88,17 +140,37 @@ app.get('/api/config', (req, res) => {
 app.post('/api/login', (req, res) => {
     const { username, password } = req.body;
 
-    // Simple Hardcoded Auth (Demo Purpose)
-    if (username === 'admin' && password === 'admin123') {
-        const token = 'mock-jwt-token-' + Date.now();
-        res.json({
-            success: true,
-            token,
-            user: { name: 'Admin User', email: 'admin@college.edu', role: 'admin' }
-        });
-    } else {
-        res.status(401).json({ error: 'Invalid credentials' });
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
     }
+
+    const result = User.authenticate(username, password);
+
+    if (result.error) {
+        return res.status(result.locked ? 423 : 401).json({ error: result.error });
+    }
+
+    const user = User.toSessionUser(result.user);
+    const session = tokenService.issueSession(user);
+    res.json({
+        success: true,
+        ...session,
+        user
+    });
+});
+
+// Set a new password with an admin-issued reset token
+app.post('/api/auth/reset-password', (req, res) => {
+    const { token, password } = req.body;
+    const result = User.resetPassword(token, password);
+
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    Session.revokeAllForUser(result.user.id);
+    res.json({ success: true, message: 'Password updated. Please log in again.' });
 });
 
 app.post('/api/auth/google', async (req, res) => {
@@ -118,16 +190,25 @@ app.post('/api/auth/google', async (req, res) => {
             return res.status(403).json({ error: 'Access restricted to @ltce.in emails only' });
         }
 
-        const token = 'google-session-' + Date.now();
+        const access = Roster.resolve(payload.email);
+        if (!access) {
+            return res.status(403).json({ error: 'This account is not registered with the college' });
+        }
+
+        const user = {
+            id: access.userId || 'google-' + payload.sub,
+            name: payload.name,
+            email: payload.email,
+            avatar: payload.picture,
+            role: access.role,
+            studentId: access.studentId,
+            departments: access.departments
+        };
+        const session = tokenService.issueSession(user);
         res.json({
             success: true,
-            token,
-            user: {
-                name: payload.name,
-                email: payload.email,
-                avatar: payload.picture,
-                role: 'student' // Default role
-            }
+            ...session,
+            user
         });
 
     } catch (error) {
@@ -136,6 +217,73 @@ app.post('/api/auth/google', async (req, res) => {
     }
 });
 
+// Exchange a Firebase ID token (from login.html) for a server session
+app.post('/api/auth/firebase', async (req, res) => {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+        return res.status(400).json({ error: 'ID token is required' });
+    }
+
+    try {
+        const claims = await firebaseAuth.verifyIdToken(idToken);
+
+        // Role comes from the server roster, never from the login tab
+        const access = Roster.resolve(claims.email);
+        if (!access) {
+            return res.status(403).json({ error: 'This account is not registered with the college' });
+        }
+
+        const user = {
+            id: access.userId || 'firebase-' + claims.sub,
+            name: claims.name || claims.email,
+            email: claims.email,
+            avatar: claims.picture,
+            role: access.role,
+            studentId: access.studentId,
+            departments: access.departments
+        };
+        const session = tokenService.issueSession(user);
+        res.json({
+            success: true,
+            ...session,
+            user
+        });
+
+    } catch (error) {
+        if (error.code === 'domain-not-allowed') {
+            return res.status(403).json({ error: error.message });
+        }
+        if (error.code === 'not-configured') {
+            return res.status(503).json({ error: 'Firebase sign-in is not configured' });
+        }
+        console.error('Firebase Auth Error:', error.message);
+        res.status(401).json({ error: 'Firebase authentication failed' });
+    }
+});
+
+app.post('/api/auth/refresh', (req, res) => {
+    const session = tokenService.refreshSession(req.body.refreshToken);
+
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ success: true, ...session });
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    tokenService.revokeSession(req.user.sessionId);
+    res.json({ success: true });
+});
+
+// Every API route below this line requires a valid session token
+app.use(['/api', '/upload'], requireAuth);
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
 // Serve main page (Protected View)
 app.get('/', (req, res) => {
     // Note: In a real app, we might check cookies here or handle it client-side.
@@ -148,125 +296,395 @@ app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../public', 'login.html'));
 });
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', authorize('chat:use'), async (req, res) => {
     const { message } = req.body;
     const response = await aiClassifier.chat(message);
     res.json({ reply: response });
 });
 
 // ===============================
-// FILE UPLOAD ROUTE (MAIN)
+// STORED FILE ROUTES
 // ===============================
 
-app.post('/upload', upload.single('file'), async (req, res) => {
+// Links of providers without public URLs (S3) point here. Keys carry a
+// random part, so like Drive's shared links they are unguessable.
+app.get('/files/:provider/:fileId', async (req, res) => {
+    if (!fileStorage.PROVIDERS.includes(req.params.provider)) return res.status(404).json({ error: 'File not found' });
+
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+        const provider = fileStorage.get(req.params.provider);
+        if (!provider.linksThroughServer) return res.status(404).json({ error: 'File not found' });
+
+        const file = await provider.getFile(req.params.fileId);
+        const stream = file && await provider.createReadStream(file.id);
+        if (!stream) return res.status(404).json({ error: 'File not found' });
+
+        const mimeType = file.mimeType || 'application/octet-stream';
+        const disposition = fileInspector.INLINE_TYPES.includes(mimeType) ? 'inline' : 'attachment';
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+        if (file.size !== undefined) res.setHeader('Content-Length', file.size);
+
+        stream.on('error', error => {
+            console.error('Error streaming file:', error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error reading stored file:', error.message);
+        res.status(500).json({ error: 'Could not read the file' });
+    }
+});
 
-        const { studentId } = req.body;
-        const filename = req.file.originalname;
-        const filePath = req.file.path;
-        const mimeType = req.file.mimetype;
+// ===============================
+// FILE UPLOAD ROUTE (MAIN)
+// ===============================
 
-        // AI Classification
-        const metadata = { studentId };
+// The /upload form fields that sessions, batches and jobs carry to the pipeline
+const UPLOAD_FIELDS = ['studentId', 'name', 'department', 'tags', 'notes', 'semester', 'academicYear', 'onDuplicate', 'duplicateScope'];
 
-        let student = Student.findByStudentId(studentId);
-        const folderExists = student && student.driveFolderId;
+function pickUploadFields(body) {
+    const fields = {};
+    UPLOAD_FIELDS.filter(field => body[field] !== undefined).forEach(field => { fields[field] = body[field]; });
+    return fields;
+}
 
-        const aiResponse = await aiClassifier.classify(filename, metadata, folderExists);
-        const parsedResponse = aiClassifier.parseResponse(aiResponse);
+// async=true (where a worker runs) answers 202 with the job once the file is
+// received; follow it at GET /api/jobs/:id
+function wantsJob(req) {
+    return uploadJobs.enabled && (req.body.async === true || req.body.async === 'true' || req.query.async === 'true');
+}
 
-        if (parsedResponse.action === 'error') {
-            fs.unlinkSync(filePath);
-            return res.status(400).json({
-                aiResponse,
-                error: parsedResponse.error
-            });
-        }
+app.post('/upload', authorize('documents:upload'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-        if (!student) {
-            student = Student.create({
-                studentId: parsedResponse.studentId,
-                name: req.body.name || '',
-                department: req.body.department || ''
-            });
+    if (wantsJob(req)) {
+        const fields = pickUploadFields(req.body);
+        const { error } = uploadService.validateFields(fields);
+        if (error) {
+            fs.rmSync(req.file.path, { force: true });
+            return res.status(400).json({ error });
         }
+        const job = uploadJobs.enqueue(req.file, fields, req.user);
+        return res.status(202).location(`/api/jobs/${job.id}`).json(uploadJobs.describe(job));
+    }
 
-        let studentFolderId = student.driveFolderId;
-        if (parsedResponse.needsFolder || !studentFolderId) {
-            studentFolderId = await driveService.createStudentFolder(parsedResponse.studentId);
-            Student.setDriveFolderId(parsedResponse.studentId, studentFolderId);
-        }
+    const { status, body } = await uploadService.process(req.file, req.body, req.user);
+    res.status(status).json(body);
+});
 
-        const docTypeFolderId = await driveService.getDocumentTypeFolder(
-            studentFolderId,
-            parsedResponse.documentType
-        );
+// ===============================
+// RESUMABLE UPLOAD ROUTES
+// ===============================
 
-        const uploadResult = await driveService.uploadFile(
-            filePath,
-            filename,
-            mimeType,
-            docTypeFolderId
-        );
+// Sessions are off on Vercel without shared storage; the client then sends
+// the file to /upload in one request
+function resumableUploads(req, res, next) {
+    if (uploadSessions.enabled) return next();
+    res.status(503).json({ error: 'Resumable uploads need UPLOAD_SESSION_DIR on shared storage on this host', resumable: false });
+}
 
-        const documentEntry = Student.addDocumentLink(
-            parsedResponse.studentId,
-            parsedResponse.documentType,
-            uploadResult
-        );
+function findUploadSession(req, res) {
+    const session = uploadSessions.get(req.params.id, req.user);
+    if (!session) res.status(404).json({ error: 'Upload session not found or expired' });
+    return session;
+}
 
-        res.json({
-            aiResponse,
-            success: true,
-            documentId: documentEntry.id,
-            documentType: parsedResponse.documentType
-        });
+// Body: { fileName, mimeType, size, chunkSize?, ...the /upload form fields }
+app.post('/upload/sessions', authorize('documents:upload'), resumableUploads, (req, res) => {
+    const { fileName, mimeType } = req.body;
+    const size = Number(req.body.size);
 
-    } catch (error) {
-        console.error('Upload error:', error);
+    if (!fileName || typeof fileName !== 'string') {
+        return res.status(400).json({ error: 'fileName is required' });
+    }
+    if (!DocumentType.allowedMimeTypes().includes(mimeType)) {
+        return res.status(400).json({ error: 'Invalid file type' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: 'size must be the file size in bytes' });
+    }
+    if (size > uploadSessions.MAX_UPLOAD_BYTES) {
+        return res.status(413).json({ error: `Files are limited to ${Math.round(uploadSessions.MAX_UPLOAD_BYTES / 1024 / 1024)}MB` });
+    }
+
+    const fields = pickUploadFields(req.body);
+    const { error } = uploadService.validateFields(fields);
+    if (error) return res.status(400).json({ error });
 
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+    const session = uploadSessions.create(req.user, { fileName, mimeType, size, chunkSize: req.body.chunkSize }, fields);
+    res.status(201).json(uploadSessions.progress(session));
+});
+
+// Where to resume: offset (bytes received) and nextChunk
+app.get('/upload/sessions/:id', authorize('documents:upload'), resumableUploads, (req, res) => {
+    const session = findUploadSession(req, res);
+    if (session) res.json(uploadSessions.progress(session));
+});
+
+// Chunk bytes as application/octet-stream; chunks are numbered from 0 and sent in order
+app.put('/upload/sessions/:id/chunks/:index', authorize('documents:upload'), resumableUploads,
+    express.raw({ type: 'application/octet-stream', limit: uploadSessions.MAX_CHUNK_SIZE }), (req, res) => {
+        const session = findUploadSession(req, res);
+        if (!session) return;
+
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(415).json({ error: 'Send the chunk as application/octet-stream' });
         }
 
-        res.status(500).json({
-            aiResponse: 'ERROR: UPLOAD_FAILED',
-            error: error.message
+        const { status, ...result } = uploadSessions.writeChunk(session, Number(req.params.index), req.body);
+        res.status(result.error ? status : 200).json(result);
+    });
+
+// Run the upload pipeline on the assembled file; answers like POST /upload.
+// Body: { async: true } to queue it as a job instead
+app.post('/upload/sessions/:id/complete', authorize('documents:upload'), resumableUploads, async (req, res) => {
+    const session = findUploadSession(req, res);
+    if (!session) return;
+
+    if (wantsJob(req)) {
+        const { status, body } = await uploadSessions.complete(session, file => {
+            const job = uploadJobs.enqueue(file, session.fields, req.user);
+            return { status: 202, body: job };
         });
+        if (status !== 202) return res.status(status).json(body);
+        return res.status(202).location(`/api/jobs/${body.id}`).json(uploadJobs.describe(body));
+    }
+
+    const { status, body } = await uploadSessions.complete(session, file => uploadService.process(file, session.fields, req.user));
+    res.status(status).json(body);
+});
+
+app.delete('/upload/sessions/:id', authorize('documents:upload'), resumableUploads, (req, res) => {
+    const session = findUploadSession(req, res);
+    if (!session) return;
+
+    uploadSessions.remove(session.id);
+    res.json({ success: true });
+});
+
+// ===============================
+// BATCH UPLOAD ROUTES
+// ===============================
+
+// Off on Vercel without shared storage, before any file is received
+function batchUploadsEnabled(req, res, next) {
+    if (batchUploads.enabled) return next();
+    res.status(503).json({ error: 'Batch uploads need UPLOAD_SESSION_DIR on shared storage on this host' });
+}
+
+function findBatch(req, res) {
+    const batch = batchUploads.get(req.params.id, req.user);
+    if (!batch) res.status(404).json({ error: 'Batch not found or expired' });
+    return batch;
+}
+
+// Fields: files (many; ZIP archives are unpacked), the /upload form fields
+// for every file (studentId is the default for names without an ID) and
+// createStudents=true to create unknown students instead of asking for review.
+// The request context is entered again after multer, whose multi-file
+// callback runs outside it (audit events would name no one)
+app.post('/upload/batch', authorize('documents:upload'), batchUploadsEnabled, batchUpload.array('files'), requestContext.middleware, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+
+    const fields = pickUploadFields(req.body);
+    const { error } = uploadService.validateFields(fields);
+    if (error) {
+        files.forEach(file => fs.rmSync(file.path, { force: true }));
+        return res.status(400).json({ error });
     }
+
+    try {
+        const { batch } = await batchUploads.create(req.user, files, fields, { createStudents: req.body.createStudents === 'true' });
+        res.json(batch);
+    } catch (error) {
+        console.error('Batch upload error:', error);
+        res.status(500).json({ error: 'Batch upload failed: ' + error.message });
+    }
+});
+
+app.get('/upload/batch/:id', authorize('documents:upload'), batchUploadsEnabled, (req, res) => {
+    const batch = findBatch(req, res);
+    if (batch) res.json(batchUploads.describe(batch));
+});
+
+// Body: { items: [{ id, studentId? }] } to pick files (and correct their
+// student); without it every failed and review file is tried again.
+// createStudents: true creates the students still unknown
+app.post('/upload/batch/:id/retry', authorize('documents:upload'), batchUploadsEnabled, async (req, res) => {
+    const batch = findBatch(req, res);
+    if (!batch) return;
+
+    const { items } = req.body;
+    if (items !== undefined && (!Array.isArray(items) || items.some(item => !item || item.id === undefined))) {
+        return res.status(400).json({ error: 'items must be a list of { id, studentId? }' });
+    }
+
+    try {
+        const result = await batchUploads.retry(batch, req.user, items || null, { createStudents: req.body.createStudents === true });
+        if (result.error) return res.status(409).json({ error: result.error });
+        res.json(result.batch);
+    } catch (error) {
+        console.error('Batch retry error:', error);
+        res.status(500).json({ error: 'Retry failed: ' + error.message });
+    }
+});
+
+// Drop the files kept for retries
+app.delete('/upload/batch/:id', authorize('documents:upload'), batchUploadsEnabled, (req, res) => {
+    const batch = findBatch(req, res);
+    if (!batch) return;
+
+    batchUploads.remove(batch.id);
+    res.json({ success: true });
+});
+
+// ===============================
+// UPLOAD JOB ROUTES
+// ===============================
+
+// The user's jobs, newest first (every user's for admins); ?status=queued|processing|retrying|done|failed
+app.get('/api/jobs', authorize('documents:upload'), (req, res) => {
+    const jobs = uploadJobs.list()
+        .filter(job => job.user.id === req.user.id || req.user.role === 'admin')
+        .filter(job => !req.query.status || job.status === req.query.status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ jobs: jobs.map(job => uploadJobs.describe(job)) });
+});
+
+// Stage (received, classified, stored, failed) and, once finished, the
+// /upload answer in result (resultStatus is its HTTP status)
+app.get('/api/jobs/:id', authorize('documents:upload'), (req, res) => {
+    const job = uploadJobs.get(req.params.id, req.user);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(uploadJobs.describe(job));
 });
 
 // ===============================
 // STUDENT CRUD ROUTES
 // ===============================
 
-app.get('/api/students', (req, res) => {
-    const students = Student.findAll();
+// Paged listing: page, pageSize, sort (name|studentId|createdAt|documentCount),
+// order, q, department, hasType, missingType, createdFrom/To, uploadedFrom/To,
+// fields (list|full)
+app.get('/api/students', authorize('students:read'), (req, res) => {
+    const { query, error } = Student.cleanQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    res.json(Student.query(query, filterStudents(req.user, Student.findAll())));
+});
+
+// ID + name of every visible student, for pickers
+app.get('/api/students/options', authorize('students:read'), (req, res) => {
+    const students = filterStudents(req.user, Student.findAll())
+        .map(s => ({ studentId: s.studentId, name: s.name }))
+        .sort((a, b) => a.studentId.localeCompare(b.studentId));
     res.json(students);
 });
 
-app.get('/api/students/:studentId', (req, res) => {
-    const student = Student.findByStudentId(req.params.studentId);
+// Roster import from CSV/XLSX. Fields: file, mapping (JSON { field: column },
+// guessed from the headers when left out), mode (upsert|skip) and
+// dryRun (default true: only report what would happen)
+app.post('/api/students/import', authorize('students:create'), rosterUpload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
-    if (!student) {
-        return res.status(404).json({ error: 'Student not found' });
+    const mode = req.body.mode || 'upsert';
+    if (!rosterService.MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${rosterService.MODES.join(', ')}` });
+    }
+    if (mode === 'upsert' && !hasPermission(req.user.role, 'students:update')) {
+        return forbidden(res, 'students:update');
     }
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
 
-    res.json(student);
+    let table;
+    try {
+        table = await rosterService.parse(req.file.buffer, req.file.originalname);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read the file: ${error.message}` });
+    }
+    if (table.headers.length === 0) return res.status(400).json({ error: 'The file is empty' });
+
+    let requested;
+    try {
+        requested = req.body.mapping ? JSON.parse(req.body.mapping) : rosterService.suggestMapping(table.headers);
+    } catch (error) {
+        return res.status(400).json({ error: 'mapping is not valid JSON' });
+    }
+
+    const { mapping, error } = rosterService.cleanMapping(requested, table.headers);
+    const response = { dryRun, mode, headers: table.headers, fields: rosterService.FIELDS };
+    // Let the UI show the mapping step even when the guess is incomplete
+    if (error) return res.status(400).json({ ...response, mapping: requested, error });
+
+    const plan = rosterService.plan(table, mapping, {
+        mode,
+        canWrite: department => canAccessDepartment(req.user, department)
+    });
+    if (!dryRun) rosterService.apply(plan);
+
+    res.json({ ...response, mapping, summary: rosterService.summarize(plan), rows: plan });
 });
 
-app.post('/api/students', (req, res) => {
+// Roster with per-type document counts: format=csv (default) or xlsx
+app.get('/api/students/export', authorize('students:read'), async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+
+    const students = filterStudents(req.user, Student.findAll());
+    const fileName = `students-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', rosterService.XLSX);
+        return res.send(Buffer.from(await rosterService.toXlsx(students)));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(rosterService.toCsv(students));
+});
+
+// Dashboard totals over the students the user can see
+app.get('/api/stats', authorize('students:read'), (req, res) => {
+    const students = filterStudents(req.user, Student.findAll()).map(s => Student.toListItem(s));
+    const byType = {};
+    DocumentType.keys().forEach(key => {
+        byType[key] = students.reduce((sum, s) => sum + s.documentCounts[key], 0);
+    });
+
+    res.json({
+        students: students.length,
+        documents: students.reduce((sum, s) => sum + s.documentCount, 0),
+        departments: new Set(students.map(s => s.department).filter(Boolean)).size,
+        byType
+    });
+});
+
+app.get('/api/students/:studentId', authorizeStudent('students:read'), (req, res) => {
+    res.json(req.student);
+});
+
+app.post('/api/students', authorize('students:create'), (req, res) => {
     const { studentId, name, department, email, phone } = req.body;
 
     if (!studentId) {
         return res.status(400).json({ error: 'Student ID is required' });
     }
 
+    if (!canAccessDepartment(req.user, department)) {
+        return forbidden(res, 'students:create');
+    }
+
     if (Student.exists(studentId)) {
-        return res.status(409).json({ error: 'Student already exists' });
+        const error = Student.isTrashed(studentId)
+            ? 'Student is in the trash; restore it instead'
+            : 'Student already exists';
+        return res.status(409).json({ error });
     }
 
     const student = Student.create({ studentId, name, department, email, phone });
@@ -274,7 +692,12 @@ app.post('/api/students', (req, res) => {
 });
 
 // Update student
-app.put('/api/students/:studentId', (req, res) => {
+app.put('/api/students/:studentId', authorizeStudent('students:update'), (req, res) => {
+    // Teachers cannot move a student out of their own departments
+    if (req.body.department !== undefined && !canAccessDepartment(req.user, req.body.department)) {
+        return forbidden(res, 'students:update');
+    }
+
     const student = Student.update(req.params.studentId, req.body);
 
     if (!student) {
@@ -284,64 +707,471 @@ app.put('/api/students/:studentId', (req, res) => {
     res.json(student);
 });
 
-app.delete('/api/students/:studentId', (req, res) => {
-    const deleted = Student.delete(req.params.studentId);
-    if (!deleted) return res.status(404).json({ error: 'Student not found' });
-    res.json({ message: 'Student deleted successfully' });
+// Moves the student to the trash; see TRASH ROUTES
+app.delete('/api/students/:studentId', authorizeStudent('students:delete'), (req, res) => {
+    const student = Student.trash(req.params.studentId);
+    if (!student) return res.status(404).json({ error: 'Student not found' });
+    res.json({ message: 'Student moved to trash', purgeAfter: trashService.purgeAfter(student.deletedAt) });
 });
 
-app.get('/api/students/:studentId/documents', (req, res) => {
-    const student = Student.findByStudentId(req.params.studentId);
-    if (!student) return res.status(404).json({ error: 'Student not found' });
-    res.json(student.documents);
+app.get('/api/students/:studentId/documents', authorizeStudent('documents:read'), (req, res) => {
+    res.json(req.student.documents);
 });
 
-app.get('/api/students/:studentId/stats', (req, res) => {
+app.get('/api/students/:studentId/stats', authorizeStudent('students:read'), (req, res) => {
     const stats = Student.getDocumentStats(req.params.studentId);
     if (!stats) return res.status(404).json({ error: 'Student not found' });
     res.json(stats);
 });
 
-app.delete('/api/students/:studentId/documents/:docType/:docId', async (req, res) => {
+// Edit tags, notes, semester or academic year of a document
+app.patch('/api/students/:studentId/documents/:docType/:docId', authorizeStudent('documents:update'), (req, res) => {
+    const { studentId, docType, docId } = req.params;
+
+    if (!Student.findDocument(req.student, docType, docId)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { tags, notes, semester, academicYear } = req.body;
+    const { fields, error } = Student.cleanDocumentFields({ tags, notes, semester, academicYear });
+    if (error) return res.status(400).json({ error });
+
+    const document = Student.updateDocument(studentId, docType, docId, fields);
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+
+    res.json(document);
+});
+
+// Moves the document to the student's trash; files stay until it is purged
+app.delete('/api/students/:studentId/documents/:docType/:docId', authorizeStudent('documents:delete'), (req, res) => {
     const { studentId, docType, docId } = req.params;
 
+    if (!Student.findDocument(req.student, docType, docId)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const entry = Student.trashDocument(studentId, docType, docId);
+    if (!entry) return res.status(404).json({ error: 'Document not found' });
+
+    res.json({ message: 'Document moved to trash', purgeAfter: trashService.purgeAfter(entry.deletedAt) });
+});
+
+// ===============================
+// DOCUMENT VERSION ROUTES
+// ===============================
+
+const DOCUMENT_PATH = '/api/students/:studentId/documents/:docType/:docId';
+
+
+app.get(`${DOCUMENT_PATH}/versions`, authorizeStudent('documents:read'), (req, res) => {
+    const document = Student.findDocument(req.student, req.params.docType, req.params.docId);
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+
+    res.json(Student.listVersions(document));
+});
+
+// Upload a new version of an existing document
+app.post(`${DOCUMENT_PATH}/versions`, authorizeStudent('documents:upload'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Content checks and quarantine as on /upload
+    const { docType, docId } = req.params;
+    const { status, body } = await uploadService.addVersion(req.file, req.student, docType, docId, req.user);
+    res.status(status).json(body);
+});
+
+app.get(`${DOCUMENT_PATH}/versions/:version/download`, authorizeStudent('documents:read'), (req, res) => {
+    const document = Student.findDocument(req.student, req.params.docType, req.params.docId);
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+
+    const version = Student.listVersions(document).find(v => v.version === Number(req.params.version));
+    if (!version) return res.status(404).json({ error: 'Version not found' });
+
+    res.redirect(version.downloadLink || version.shareableLink);
+});
+
+// Make an older version current again
+app.post(`${DOCUMENT_PATH}/versions/:version/restore`, authorizeStudent('documents:update'), (req, res) => {
+    const { studentId, docType, docId } = req.params;
+
+    if (!Student.findDocument(req.student, docType, docId)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const updated = Student.restoreDocumentVersion(studentId, docType, docId, Number(req.params.version));
+    if (!updated) return res.status(404).json({ error: 'Version not found' });
+
+    res.json(updated);
+});
+
+// ===============================
+// TRASH ROUTES
+// ===============================
+
+app.get('/api/trash', authorize('trash:manage'), (req, res) => {
+    const trash = Student.findTrash();
+    const withPurgeDate = item => ({ ...item, purgeAfter: trashService.purgeAfter(item.deletedAt) });
+
+    res.json({
+        retentionDays: trashService.retentionDays,
+        students: trash.students.map(s => withPurgeDate({
+            studentId: s.studentId,
+            name: s.name,
+            department: s.department,
+            documentCount: Object.values(s.documents).flat().length,
+            deletedAt: s.deletedAt,
+            deletedBy: s.deletedBy
+        })),
+        documents: trash.documents.map(withPurgeDate)
+    });
+});
+
+app.post('/api/trash/students/:studentId/restore', authorize('trash:manage'), (req, res) => {
+    if (!Student.isTrashed(req.params.studentId)) {
+        return res.status(404).json({ error: 'Student is not in the trash' });
+    }
+
+    res.json(Student.restore(req.params.studentId));
+});
+
+app.post('/api/trash/students/:studentId/documents/:docId/restore', authorize('trash:manage'), (req, res) => {
+    const restored = Student.restoreDocument(req.params.studentId, req.params.docId);
+    if (!restored) return res.status(404).json({ error: 'Document is not in the trash' });
+    res.json(restored);
+});
+
+// Permanently remove items past the retention period ({ "olderThanDays": 0 } empties the trash)
+app.post('/api/trash/purge', authorize('trash:manage'), async (req, res) => {
+    const { olderThanDays } = req.body;
+    if (olderThanDays !== undefined && !(Number.isInteger(olderThanDays) && olderThanDays >= 0)) {
+        return res.status(400).json({ error: 'olderThanDays must be a whole number of days' });
+    }
+
     try {
-        const student = Student.findByStudentId(studentId);
-        if (!student) return res.status(404).json({ error: 'Student not found' });
-
-        const linkTypeMap = {
-            'assignment': 'assignmentLinks',
-            'idCard': 'idCardLinks',
-            'certificate': 'certificateLinks',
-            'feeReceipt': 'feeReceiptLinks'
-        };
+        res.json(await trashService.purge({ olderThanDays }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const linkType = linkTypeMap[docType];
-        const document = student.documents[linkType]?.find(d => d.id === docId);
+// ===============================
+// USER ADMIN ROUTES
+// ===============================
 
-        if (!document) return res.status(404).json({ error: 'Document not found' });
+const USER_FIELDS = ['username', 'name', 'email', 'role', 'studentId', 'departments', 'password', 'disabled'];
 
-        if (document.fileId) {
-            await driveService.deleteFile(document.fileId);
-        }
+function pickUserFields(body) {
+    return USER_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+        return fields;
+    }, {});
+}
+
+app.get('/api/users', authorize('users:manage'), (req, res) => {
+    res.json(User.findAll().map(u => User.toPublic(u)));
+});
+
+app.get('/api/users/:id', authorize('users:manage'), (req, res) => {
+    const user = User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(User.toPublic(user));
+});
+
+app.post('/api/users', authorize('users:manage'), (req, res) => {
+    const fields = pickUserFields(req.body);
+
+    if (!fields.username && !fields.email) {
+        return res.status(400).json({ error: 'Username or email is required' });
+    }
+
+    const invalid = User.validate({ role: 'student', ...fields });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (fields.role === 'student' && !fields.studentId) {
+        return res.status(400).json({ error: 'Student accounts need a studentId' });
+    }
+
+    const user = User.create(fields);
+    res.status(201).json(User.toPublic(user));
+});
+
+app.put('/api/users/:id', authorize('users:manage'), (req, res) => {
+    const existing = User.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'User not found' });
+
+    const fields = pickUserFields(req.body);
+    const invalid = User.validate(fields, existing.id);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (User.removesLastAdmin(existing, fields)) {
+        return res.status(400).json({ error: 'The last admin account must stay an enabled admin' });
+    }
+
+    // { "locked": false } unlocks an account locked by failed logins
+    if (req.body.locked === false) {
+        fields.lockedUntil = null;
+        fields.failedLoginAttempts = 0;
+    }
+
+    const user = User.update(existing.id, fields);
+
+    // Role, scope or password changed: old tokens must not keep the old rights
+    if (['role', 'studentId', 'departments', 'password', 'disabled'].some(k => fields[k] !== undefined)) {
+        Session.revokeAllForUser(user.id);
+    }
+
+    res.json(User.toPublic(user));
+});
+
+app.delete('/api/users/:id', authorize('users:manage'), (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    if (User.isLastAdmin(User.findById(req.params.id))) {
+        return res.status(400).json({ error: 'The last admin account cannot be deleted' });
+    }
+
+    const deleted = User.delete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'User not found' });
+
+    Session.revokeAllForUser(req.params.id);
+    res.json({ message: 'User deleted successfully' });
+});
+
+// Admin-initiated password reset: returns a one-time token to hand to the user
+app.post('/api/users/:id/reset-token', authorize('users:manage'), (req, res) => {
+    const reset = User.createResetToken(req.params.id);
+    if (!reset) return res.status(404).json({ error: 'User not found' });
+    res.json(reset);
+});
+
+// ===============================
+// DOCUMENT TYPE REGISTRY ROUTES
+// ===============================
+
+app.get('/api/document-types', (req, res) => {
+    res.json(DocumentType.findAll());
+});
+
+app.post('/api/document-types', authorize('documentTypes:manage'), (req, res) => {
+    const invalid = DocumentType.validate(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const type = DocumentType.create(req.body);
+    res.status(201).json(type);
+});
+
+app.put('/api/document-types/:key', authorize('documentTypes:manage'), (req, res) => {
+    if (!DocumentType.get(req.params.key)) {
+        return res.status(404).json({ error: 'Document type not found' });
+    }
+
+    const invalid = DocumentType.validate(req.body, req.params.key);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    res.json(DocumentType.update(req.params.key, req.body));
+});
+
+app.delete('/api/document-types/:key', authorize('documentTypes:manage'), (req, res) => {
+    const { key } = req.params;
+    if (!DocumentType.get(key)) {
+        return res.status(404).json({ error: 'Document type not found' });
+    }
+
+    // Refuse to orphan stored documents
+    const inUse = Student.findAll().some(s =>
+        (s.documents[`${key}Links`] || []).length > 0 || (s.trash || []).some(t => t.documentType === key));
+    if (inUse) {
+        return res.status(409).json({ error: 'Document type still has documents; move or delete them first' });
+    }
+
+    DocumentType.delete(key);
+    res.json({ message: 'Document type deleted successfully' });
+});
+
+// ===============================
+// BACKUP ROUTES (admin)
+// ===============================
+
+app.get('/api/backups', authorize('backups:manage'), (req, res) => {
+    res.json({ keep: backupService.keep, backups: backupService.list() });
+});
+
+app.post('/api/backups', authorize('backups:manage'), async (req, res) => {
+    try {
+        res.status(201).json(await backupService.create('manual'));
+    } catch (error) {
+        console.error('Backup error:', error);
+        res.status(500).json({ error: 'Backup failed: ' + error.message });
+    }
+});
+
+app.get('/api/backups/:name/download', authorize('backups:manage'), (req, res) => {
+    const archivePath = backupService.archivePath(req.params.name);
+    if (!archivePath) return res.status(404).json({ error: 'Backup not found' });
+    res.download(archivePath);
+});
+
+// Verifies the archive, saves the current state as a pre-restore backup,
+// then swaps the archive's files in
+app.post('/api/backups/:name/restore', authorize('backups:manage'), async (req, res) => {
+    const archivePath = backupService.archivePath(req.params.name);
+    if (!archivePath) return res.status(404).json({ error: 'Backup not found' });
+
+    // The SQLite connection cannot have its file swapped underneath it
+    if ((process.env.DB_ADAPTER || 'json') === 'sqlite') {
+        return res.status(409).json({ error: 'With DB_ADAPTER=sqlite, stop the server and run npm run backup:restore' });
+    }
+
+    try {
+        res.json(await backupService.restore(archivePath));
+    } catch (error) {
+        console.error('Restore error:', error);
+        res.status(400).json({ error: 'Restore failed: ' + error.message });
+    }
+});
+
+// ===============================
+// QUARANTINE ROUTES (admin)
+// ===============================
+
+// Uploads held because their content did not match their type or name
+app.get('/api/quarantine', authorize('uploads:quarantine'), (req, res) => {
+    const files = quarantine.list().sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+    res.json({ files });
+});
+
+// Always an attachment of no particular type: the file is not trusted
+app.get('/api/quarantine/:id/download', authorize('uploads:quarantine'), (req, res) => {
+    const entry = quarantine.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'File not found in quarantine' });
+
+    res.download(quarantine.filePath(entry.id), entry.fileName, {
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Content-Type-Options': 'nosniff' }
+    });
+});
 
-        Student.removeDocumentLink(studentId, docType, docId);
+// Store the file after all, for the user who uploaded it; answers like POST /upload
+app.post('/api/quarantine/:id/release', authorize('uploads:quarantine'), async (req, res) => {
+    const entry = quarantine.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'File not found in quarantine' });
 
-        res.json({ message: 'Document deleted successfully' });
+    const { status, body } = await quarantine.release(entry);
+    res.status(status).json(body);
+});
+
+app.delete('/api/quarantine/:id', authorize('uploads:quarantine'), (req, res) => {
+    const entry = quarantine.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'File not found in quarantine' });
+
+    quarantine.delete(entry);
+    res.json({ success: true });
+});
+
+// ===============================
+// FILE RECONCILIATION ROUTES (admin)
+// ===============================
+
+// Missing files, orphan files and documents left in mock storage
+app.get('/api/reconcile', authorize('files:reconcile'), async (req, res) => {
+    try {
+        res.json(await reconcileService.scan());
+    } catch (error) {
+        console.error('Reconcile error:', error);
+        res.status(500).json({ error: 'Reconciliation failed: ' + error.message });
+    }
+});
+
+// Body: { repairs: [{ id, action }] } with issue ids from GET /api/reconcile
+app.post('/api/reconcile/repair', authorize('files:reconcile'), async (req, res) => {
+    const { repairs } = req.body;
+    if (!Array.isArray(repairs) || repairs.length === 0) {
+        return res.status(400).json({ error: 'repairs must be a non-empty list of { id, action }' });
+    }
+    const invalid = repairs.find(r => !r || typeof r.id !== 'string' || !reconcileService.REPAIR_ACTIONS.includes(r.action));
+    if (invalid) {
+        return res.status(400).json({ error: `Each repair needs an issue id and an action (${reconcileService.REPAIR_ACTIONS.join(', ')})` });
+    }
+
+    try {
+        res.json({ results: await reconcileService.repair(repairs) });
+    } catch (error) {
+        console.error('Repair error:', error);
+        res.status(500).json({ error: 'Repair failed: ' + error.message });
+    }
+});
+
+// Uploads that went to mock storage while Drive was failing
+app.get('/api/drive/sync', authorize('files:reconcile'), (req, res) => {
+    res.json({ drive: fileStorage.get('drive').status(), files: driveSyncQueue.list() });
+});
+
+// Move them to Drive now instead of waiting for the next scheduled sync
+app.post('/api/drive/sync', authorize('files:reconcile'), async (req, res) => {
+    if (!fileStorage.get('drive').live) {
+        return res.status(503).json({ error: 'Google Drive is not available', drive: fileStorage.get('drive').status() });
+    }
+
+    try {
+        res.json(await driveSyncQueue.flush());
+    } catch (error) {
+        console.error('Drive sync error:', error);
+        res.status(500).json({ error: 'Drive sync failed: ' + error.message });
+    }
+});
+
+// ===============================
+// AUDIT LOG ROUTES
+// ===============================
+
+// Filters: studentId, actor, action, from, to, limit, offset, format=csv
+app.get('/api/audit', authorize('audit:read'), async (req, res) => {
+    const { studentId, actor, action, from, to, limit, offset, format } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+
+    try {
+        if (format === 'csv') {
+            const { events } = await AuditLog.query({ studentId, actor, action, from, to });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(AuditLog.toCsv(events));
+        }
+
+        res.json(await AuditLog.query({ studentId, actor, action, from, to, limit: limit || 100, offset }));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/search', (req, res) => {
-    const { q } = req.query;
-    if (!q) return res.json([]);
-    const results = Student.search(q);
-    res.json(results);
+// Full-text search over students, file names, tags and document text
+app.get('/api/search', authorize('students:read'), (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const visible = new Set(filterStudents(req.user, Student.findAll()).map(s => s.studentId));
+    res.json(searchIndex.search(q, { studentIds: visible, limit }));
 });
 
+// mode: where new uploads go right now ('mock' while Drive is unavailable)
 app.get('/health', (req, res) => {
-    res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+    const provider = fileStorage.current();
+    const drive = fileStorage.get('drive').status();
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        storage: {
+            provider: provider.name,
+            mode: provider.name === 'drive' ? drive.mode : provider.name,
+            drive
+        }
+    });
 });
 
 // Error handling middleware
@@ -360,6 +1190,13 @@ app.listen(PORT, () => {
 ║  Auth Mode: Service Account                                ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
+
+    console.log(`📦 Storage provider: ${fileStorage.current().name}`);
+    if (!process.env.VERCEL) {
+        backupService.schedule();
+        driveSyncQueue.start();
+        uploadJobs.start();
+    }
 });
 
 module.exports = app;
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const { sha256File } = require('./fileInspector');
+const searchIndex = require('./searchIndex');
+const quarantine = require('./quarantine');
+const uploadJobs = require('./uploadJobs');
+const AuditLog = require('../models/AuditLog');
+const LocalDrive = require('./localDrive');
+const { readJson, withLock } = require('../utils/jsonFile');
+
+const DATABASE_DIR = path.join(__dirname, '../database');
+const MOCK_DRIVE_DIR = LocalDrive.DEFAULT_ROOT;
+
+const MANIFEST = 'manifest.json';
+const FORMAT = 1;
+const ARCHIVE_PATTERN = /^backup-(\d{4}-\d{2}-\d{2}T[\d-]+Z)-([a-z-]+)\.tar\.gz$/;
+
+// Database files that are not state worth restoring: locks, temp files,
+// the rolling JSON backups, the sessions (restoring those would revive
+// revoked logins), and the quarantine and upload jobs, whose files under
+// uploads/.quarantine and uploads/.jobs are not archived (the Drive sync
+// queue's files are in mock_drive, so it is kept)
+const SKIPPED = [/\.lock$/, /\.tmp-/, /\.db-(wal|shm|journal)$/, /^sessions\.json$/, /^quarantine\.json$/, /^uploadJobs\.json$/];
+
+// Kept as they are on restore: the audit trail is append-only
+const PRESERVED = ['audit.jsonl'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function databaseFiles(databaseDir) {
+    if (!fs.existsSync(databaseDir)) return [];
+    return fs.readdirSync(databaseDir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !SKIPPED.some(pattern => pattern.test(entry.name)))
+        .map(entry => entry.name);
+}
+
+function listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(fullPath, base);
+        return entry.isFile() ? [path.relative(base, fullPath).split(path.sep).join('/')] : [];
+    });
+}
+
+/**
+ * Link a file into the staging area (stored files are never modified in
+ * place, so a hard link is a consistent copy); copy when links fail
+ */
+function linkOrCopy(source, target) {
+    try {
+        fs.linkSync(source, target);
+    } catch (error) {
+        fs.copyFileSync(source, target);
+    }
+}
+
+/**
+ * Backups of the whole local state as one .tar.gz archive: the files in
+ * database/ and the mock-drive uploads, with a manifest of SHA-256
+ * checksums that is checked before anything is restored.
+ */
+class BackupService {
+    constructor({ databaseDir = DATABASE_DIR, mockDriveDir = MOCK_DRIVE_DIR, backupDir = process.env.BACKUP_DIR } = {}) {
+        this.databaseDir = databaseDir;
+        this.mockDriveDir = mockDriveDir;
+        this.backupDir = backupDir || path.join(databaseDir, 'backups');
+        this.keep = parseInt(process.env.BACKUP_KEEP || '14', 10);
+        this.timer = null;
+    }
+
+    archivePath(name) {
+        if (!ARCHIVE_PATTERN.test(name || '')) return null;
+        const archivePath = path.join(this.backupDir, name);
+        return fs.existsSync(archivePath) ? archivePath : null;
+    }
+
+    /**
+     * Stored archives, newest first
+     */
+    list() {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        return fs.readdirSync(this.backupDir)
+            .filter(name => ARCHIVE_PATTERN.test(name))
+            .sort()
+            .reverse()
+            .map(name => {
+                const [, stamp, reason] = name.match(ARCHIVE_PATTERN);
+                return {
+                    name,
+                    reason,
+                    createdAt: stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, 'T$1:$2:$3.$4Z'),
+                    size: fs.statSync(path.join(this.backupDir, name)).size
+                };
+            });
+    }
+
+    /**
+     * Write a new archive. `reason` is part of the file name
+     * (manual, scheduled, pre-restore).
+     */
+    async create(reason = 'manual') {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const staging = fs.mkdtempSync(path.join(this.backupDir, '.staging-'));
+
+        try {
+            // Snapshot into the staging area first so the checksums match
+            // the bytes that go into the archive
+            fs.mkdirSync(path.join(staging, 'database'));
+            for (const name of databaseFiles(this.databaseDir)) {
+                const target = path.join(staging, 'database', name);
+                if (name.endsWith('.db')) {
+                    const Database = require('better-sqlite3');
+                    const db = new Database(path.join(this.databaseDir, name), { readonly: true, fileMustExist: true });
+                    try {
+                        await db.backup(target);
+                    } finally {
+                        db.close();
+                    }
+                } else {
+                    fs.copyFileSync(path.join(this.databaseDir, name), target);
+                }
+            }
+
+            fs.mkdirSync(path.join(staging, 'mock_drive'));
+            listFiles(this.mockDriveDir).forEach(file => {
+                const target = path.join(staging, 'mock_drive', file);
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                linkOrCopy(path.join(this.mockDriveDir, file), target);
+            });
+
+            const files = [];
+            for (const file of listFiles(staging)) {
+                const fullPath = path.join(staging, file);
+                files.push({ path: file, size: fs.statSync(fullPath).size, sha256: await sha256File(fullPath) });
+            }
+
+            const createdAt = new Date().toISOString();
+            const manifest = { format: FORMAT, createdAt, reason, files };
+            fs.writeFileSync(path.join(staging, MANIFEST), JSON.stringify(manifest, null, 2));
+
+            const name = `backup-${createdAt.replace(/[:.]/g, '-')}-${reason}.tar.gz`;
+            const archivePath = path.join(this.backupDir, name);
+            await tar.create({ gzip: true, cwd: staging, file: `${archivePath}.tmp`, portable: true },
+                [MANIFEST, 'database', 'mock_drive']);
+            fs.renameSync(`${archivePath}.tmp`, archivePath);
+
+            // Never let the safety copy push out the archive being restored
+            const pruned = reason === 'pre-restore' ? [] : this.prune();
+            AuditLog.record('backup.create', { type: 'backup', name }, null, { reason, files: files.length });
+            console.log(`💾 Backup written: ${name} (${files.length} files)`);
+
+            return { ...this.list().find(b => b.name === name), files: files.length, pruned };
+        } finally {
+            fs.rmSync(staging, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Delete the oldest archives beyond BACKUP_KEEP
+     */
+    prune() {
+        if (this.keep <= 0) return [];
+        const expired = this.list().slice(this.keep).map(b => b.name);
+        expired.forEach(name => fs.rmSync(path.join(this.backupDir, name), { force: true }));
+        return expired;
+    }
+
+    /**
+     * Unpack an archive into `dir` and check it against its manifest.
+     * Throws with the reason if anything is missing, extra or altered.
+     */
+    async extractVerified(archivePath, dir) {
+        await tar.extract({
+            file: archivePath,
+            cwd: dir,
+            strict: true,
+            filter: (entryPath, entry) => ['File', 'Directory'].includes(entry.type)
+        });
+
+        const manifestPath = path.join(dir, MANIFEST);
+        if (!fs.existsSync(manifestPath)) throw new Error('Archive has no manifest');
+
+        const manifest = readJson(manifestPath);
+        if (manifest.format !== FORMAT || !Array.isArray(manifest.files)) {
+            throw new Error(`Unsupported manifest format ${manifest.format}`);
+        }
+
+        const listed = new Set(manifest.files.map(f => f.path));
+        const extra = listFiles(dir).filter(file => file !== MANIFEST && !listed.has(file));
+        if (extra.length) throw new Error(`Files not in the manifest: ${extra.join(', ')}`);
+
+        for (const file of manifest.files) {
+            if (!/^(database|mock_drive)\//.test(file.path)) throw new Error(`Unexpected path ${file.path}`);
+
+            const fullPath = path.join(dir, file.path);
+            if (!fs.existsSync(fullPath)) throw new Error(`Missing file ${file.path}`);
+            if (fs.statSync(fullPath).size !== file.size || await sha256File(fullPath) !== file.sha256) {
+                throw new Error(`Checksum mismatch for ${file.path}`);
+            }
+            if (file.path.endsWith('.json')) readJson(fullPath);
+        }
+
+        const students = path.join(dir, 'database', 'students.json');
+        if (fs.existsSync(students) && !Array.isArray(readJson(students).students)) {
+            throw new Error('database/students.json has no "students" list');
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Check an archive without restoring it
+     */
+    async verify(archivePath) {
+        const dir = fs.mkdtempSync(path.join(this.backupDir, '.verify-'));
+        try {
+            return await this.extractVerified(archivePath, dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Replace the database files and mock-drive uploads with the contents of
+     * a verified archive. The current state is backed up first; the swap is
+     * done by renames while holding the students.json lock, and undone if
+     * any step fails. Quarantined files and upload jobs are dropped.
+     */
+    async restore(archivePath) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const staging = fs.mkdtempSync(path.join(this.backupDir, '.restore-'));
+
+        try {
+            const manifest = await this.extractVerified(archivePath, staging);
+            const safety = await this.create('pre-restore');
+
+            const previous = path.join(staging, 'previous');
+            fs.mkdirSync(path.join(previous, 'database'), { recursive: true });
+            fs.mkdirSync(path.join(staging, 'mock_drive'), { recursive: true });
+            const restoredDb = fs.existsSync(path.join(staging, 'database'))
+                ? fs.readdirSync(path.join(staging, 'database')).filter(name => !PRESERVED.includes(name))
+                : [];
+
+            const { databaseDir, mockDriveDir } = this;
+            const done = [];
+            withLock(path.join(databaseDir, 'students.json'), () => {
+                try {
+                    databaseFiles(databaseDir).filter(name => !PRESERVED.includes(name)).forEach(name => {
+                        fs.renameSync(path.join(databaseDir, name), path.join(previous, 'database', name));
+                        done.push(() => fs.renameSync(path.join(previous, 'database', name), path.join(databaseDir, name)));
+                    });
+                    restoredDb.forEach(name => {
+                        fs.renameSync(path.join(staging, 'database', name), path.join(databaseDir, name));
+                        done.push(() => fs.rmSync(path.join(databaseDir, name), { force: true }));
+                    });
+
+                    if (fs.existsSync(mockDriveDir)) {
+                        fs.renameSync(mockDriveDir, path.join(previous, 'mock_drive'));
+                        done.push(() => fs.renameSync(path.join(previous, 'mock_drive'), mockDriveDir));
+                    }
+                    fs.mkdirSync(path.dirname(mockDriveDir), { recursive: true });
+                    fs.renameSync(path.join(staging, 'mock_drive'), mockDriveDir);
+                } catch (error) {
+                    // Put back whatever was moved, newest move first. The
+                    // pre-restore backup covers a rollback that fails too.
+                    done.reverse().forEach(undo => {
+                        try { undo(); } catch (undoError) { console.error('❌ Restore rollback step failed:', undoError.message); }
+                    });
+                    throw error;
+                }
+            });
+
+            // Held and queued uploads belong to the state that was replaced
+            quarantine.clear();
+            uploadJobs.clear();
+
+            searchIndex.reload();
+            AuditLog.record('backup.restore', { type: 'backup', name: path.basename(archivePath) }, null, {
+                createdAt: manifest.createdAt,
+                files: manifest.files.length,
+                safetyBackup: safety.name
+            });
+            console.log(`♻️  Restored ${path.basename(archivePath)} (${manifest.files.length} files)`);
+
+            return { restored: path.basename(archivePath), createdAt: manifest.createdAt, files: manifest.files.length, safetyBackup: safety.name };
+        } finally {
+            fs.rmSync(staging, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Take a backup every BACKUP_INTERVAL_HOURS (0 or unset: never)
+     */
+    schedule() {
+        const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '0');
+        if (!(hours > 0) || this.timer) return false;
+
+        this.timer = setInterval(() => {
+            this.create('scheduled').catch(error => console.error('❌ Scheduled backup failed:', error.message));
+        }, hours * HOUR_MS);
+        this.timer.unref();
+
+        console.log(`💾 Backups every ${hours}h, keeping ${this.keep}`);
+        return true;
+    }
+}
+
+module.exports = new BackupService();
+module.exports.BackupService = BackupService;
@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const aiClassifier = require('../AI/aiClassifier');
+const DocumentType = require('../models/DocumentType');
+const uploadService = require('./uploadService');
+const { MAX_UPLOAD_BYTES } = require('./uploadSessions');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+// Files per batch, counting the ones inside ZIP archives
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES || '100', 10);
+
+// What the ZIP archives of a batch may unpack to, all entries together
+const MAX_UNPACKED_BYTES = parseInt(process.env.BATCH_MAX_UNPACKED_MB || '500', 10) * 1024 * 1024;
+
+const BATCH_TTL_MS = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// Next to the upload sessions, out of reach of the /uploads static route
+const BATCH_DIR = process.env.UPLOAD_SESSION_DIR
+    ? path.join(process.env.UPLOAD_SESSION_DIR, 'batches')
+    : path.join(__dirname, '../uploads/.batches');
+
+const BATCH_ID = /^[a-f0-9]{32}$/;
+
+// ZIP entries carry no MIME type; it comes from the extension
+const EXTENSION_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+function megabytes(bytes) {
+    return Math.round(bytes / 1024 / 1024);
+}
+
+function isZip(file) {
+    return ZIP_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+// Folders, macOS resource forks and hidden files inside archives
+function isJunkEntry(entry) {
+    return entry.dir || entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Batch uploads: many files, or ZIP archives of them, in one request. Each
+ * file goes through the upload pipeline on its own, with the student ID
+ * taken from its name (or its folder inside the archive), so one batch can
+ * fan out to many students.
+ *
+ * Every file ends up `stored`, `review` (no student ID, or a student who
+ * is not registered) or `failed`. Files not stored are kept until the
+ * batch expires so they can be retried, for review with the right
+ * student ID.
+ *
+ * A batch is a directory holding `batch.json` and the kept files.
+ */
+class BatchUploads {
+    constructor(dir = BATCH_DIR) {
+        this.dir = dir;
+        // Batches being processed
+        this.busy = new Set();
+    }
+
+    // Status polls and retries may reach another Vercel instance, which
+    // only sees the batch on storage shared through UPLOAD_SESSION_DIR
+    get enabled() {
+        return !process.env.VERCEL || Boolean(process.env.UPLOAD_SESSION_DIR);
+    }
+
+    batchDir(id) {
+        return path.join(this.dir, id);
+    }
+
+    manifestPath(id) {
+        return path.join(this.batchDir(id), 'batch.json');
+    }
+
+    save(batch) {
+        writeJsonAtomic(this.manifestPath(batch.id), batch);
+    }
+
+    /**
+     * Start a batch from multer files and process it. `fields` are the
+     * /upload form fields for every file; `studentId` is only the default
+     * for files whose name has none. Students are created as on /upload
+     * only with `createStudents`.
+     */
+    async create(user, files, fields, { createStudents = false } = {}) {
+        this.sweep();
+
+        const now = Date.now();
+        const batch = {
+            id: crypto.randomBytes(16).toString('hex'),
+            userId: user.id,
+            fields,
+            createStudents,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + BATCH_TTL_MS).toISOString(),
+            items: []
+        };
+        fs.mkdirSync(this.batchDir(batch.id), { recursive: true });
+
+        try {
+            const budget = { left: MAX_UNPACKED_BYTES };
+            for (const file of files) {
+                if (isZip(file)) {
+                    await this.addArchive(batch, file, budget);
+                } else {
+                    this.addItem(batch, file.originalname, null, file.mimetype, item => fs.renameSync(file.path, item.path));
+                }
+            }
+        } finally {
+            files.forEach(file => fs.rmSync(file.path, { force: true }));
+        }
+
+        this.save(batch);
+        return this.process(batch, user, batch.items.filter(item => item.status === 'pending'));
+    }
+
+    /**
+     * Add one file; `write(item)` puts its bytes at item.path. Files that
+     * cannot be processed are added as failed.
+     */
+    addItem(batch, name, source, mimeType, write) {
+        const item = {
+            id: String(batch.items.length + 1),
+            fileName: path.basename(name),
+            source,
+            mimeType,
+            studentId: aiClassifier.extractStudentId(name, { studentId: batch.fields.studentId || '' }),
+            status: 'pending',
+            error: null,
+            attempts: 0
+        };
+        item.path = path.join(this.batchDir(batch.id), item.id);
+        batch.items.push(item);
+
+        if (batch.items.length > MAX_BATCH_FILES) {
+            return this.fail(item, `A batch holds at most ${MAX_BATCH_FILES} files`);
+        }
+        if (!DocumentType.allowedMimeTypes().includes(mimeType)) {
+            return this.fail(item, 'Invalid file type');
+        }
+
+        write(item);
+        return item;
+    }
+
+    fail(item, error) {
+        item.status = 'failed';
+        item.error = error;
+        item.path = null;
+        return item;
+    }
+
+    /**
+     * Unpack the entries of an archive as batch items. `budget.left` is
+     * what the batch's archives may still unpack to; it goes down as
+     * entries are written.
+     */
+    async addArchive(batch, file, budget) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(fs.readFileSync(file.path));
+        } catch (error) {
+            const item = this.addItem(batch, file.originalname, null, file.mimetype, () => {});
+            this.fail(item, 'Not a readable ZIP archive');
+            return;
+        }
+
+        const entries = Object.values(zip.files).filter(entry => !isJunkEntry(entry));
+        for (const entry of entries) {
+            const mimeType = EXTENSION_TYPES[path.extname(entry.name).toLowerCase()] || 'application/octet-stream';
+
+            const item = this.addItem(batch, entry.name, file.originalname, mimeType, () => {});
+            if (item.status !== 'pending') continue;
+
+            const tooLarge = `Archives in a batch unpack to at most ${megabytes(MAX_UNPACKED_BYTES)}MB`;
+            if (budget.left <= 0) {
+                this.fail(item, tooLarge);
+                continue;
+            }
+
+            const limit = Math.min(MAX_UPLOAD_BYTES, budget.left);
+            let size;
+            try {
+                size = await this.unpackEntry(entry, item.path, limit);
+            } catch (error) {
+                this.fail(item, 'Could not be unpacked');
+                continue;
+            }
+
+            if (size === null) {
+                if (limit === MAX_UPLOAD_BYTES) {
+                    this.fail(item, `Larger than ${megabytes(MAX_UPLOAD_BYTES)}MB`);
+                } else {
+                    budget.left = 0;
+                    this.fail(item, tooLarge);
+                }
+                continue;
+            }
+            budget.left -= size;
+        }
+    }
+
+    /**
+     * Write an entry to `target`, streaming: the sizes in the archive's
+     * headers can't be trusted, so inflating stops once `limit` bytes are
+     * exceeded. Resolves to the size, or null past the limit.
+     */
+    async unpackEntry(entry, target, limit) {
+        let size = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                callback(size > limit ? new Error('Entry too large') : null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(entry.nodeStream('nodebuffer'), counter, fs.createWriteStream(target));
+            return size;
+        } catch (error) {
+            fs.rmSync(target, { force: true });
+            if (size > limit) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Run the pipeline on `items`, one file at a time, and save the outcome
+     */
+    async process(batch, user, items) {
+        if (this.busy.has(batch.id)) return { error: 'This batch is already being processed' };
+
+        this.busy.add(batch.id);
+        try {
+            for (const item of items) {
+                await this.processItem(batch, item, user);
+                this.save(batch);
+            }
+            return { batch: this.describe(batch) };
+        } finally {
+            this.busy.delete(batch.id);
+        }
+    }
+
+    async processItem(batch, item, user) {
+        // The pipeline consumes its input; the kept file stays until the item is stored
+        const filePath = `${item.path}-${crypto.randomBytes(4).toString('hex')}`;
+        fs.copyFileSync(item.path, filePath);
+
+        const fields = { ...batch.fields, studentId: item.studentId || '' };
+        const { status, body } = await uploadService.process(
+            { path: filePath, originalname: item.fileName, mimetype: item.mimeType },
+            fields, user, { createStudents: batch.createStudents });
+
+        item.attempts++;
+        item.aiResponse = body.aiResponse || null;
+        item.duplicate = body.duplicate || null;
+
+        if (status === 200) {
+            Object.assign(item, {
+                status: 'stored',
+                error: null,
+                studentId: body.studentId,
+                documentType: body.documentType,
+                documentId: body.documentId,
+                linked: Boolean(body.linked)
+            });
+            fs.rmSync(item.path, { force: true });
+            item.path = null;
+        } else {
+            item.status = body.needsReview ? 'review' : 'failed';
+            item.error = body.error === 'NO_STUDENT_ID' ? 'No student ID in the file name or its content' : body.error;
+
+            // Held for an admin to review; a retry would only quarantine it again
+            if (body.quarantined) {
+                item.quarantineId = body.quarantineId;
+                fs.rmSync(item.path, { force: true });
+                item.path = null;
+            }
+        }
+    }
+
+    /**
+     * The user's batch, or null (unknown, expired or someone else's)
+     */
+    get(id, user) {
+        if (!BATCH_ID.test(id) || !fs.existsSync(this.manifestPath(id))) return null;
+
+        const batch = readJson(this.manifestPath(id));
+        if (batch.userId !== user.id) return null;
+        if (Date.parse(batch.expiresAt) < Date.now()) {
+            this.remove(id);
+            return null;
+        }
+        return batch;
+    }
+
+    /**
+     * Process the batch's failed and review files again, or only
+     * `requests` ([{ id, studentId? }]); a studentId replaces the one taken
+     * from the file name. `createStudents` turns student creation on.
+     */
+    async retry(batch, user, requests = null, { createStudents = false } = {}) {
+        if (createStudents) batch.createStudents = true;
+
+        const retryable = batch.items.filter(item => item.path && item.status !== 'stored');
+        let items = retryable;
+
+        if (requests) {
+            const byId = new Map(retryable.map(item => [item.id, item]));
+            const unknown = requests.find(r => !byId.has(String(r.id)));
+            if (unknown) return { error: `File ${unknown.id} is not in this batch or cannot be retried` };
+
+            items = requests.map(r => {
+                const item = byId.get(String(r.id));
+                if (r.studentId) item.studentId = String(r.studentId).trim().toUpperCase();
+                return item;
+            });
+        }
+
+        return this.process(batch, user, items);
+    }
+
+    /**
+     * The batch as the API shows it
+     */
+    describe(batch) {
+        const summary = { total: batch.items.length, stored: 0, review: 0, failed: 0 };
+        const items = batch.items.map(item => {
+            if (summary[item.status] !== undefined) summary[item.status]++;
+            const { path: keptPath, ...shown } = item;
+            return { ...shown, retryable: Boolean(keptPath) && item.status !== 'stored' };
+        });
+
+        return {
+            batchId: batch.id,
+            createdAt: batch.createdAt,
+            expiresAt: batch.expiresAt,
+            summary,
+            items
+        };
+    }
+
+    remove(id) {
+        fs.rmSync(this.batchDir(id), { recursive: true, force: true });
+    }
+
+    /**
+     * Drop expired batches
+     */
+    sweep() {
+        if (!fs.existsSync(this.dir)) return 0;
+
+        let removed = 0;
+        fs.readdirSync(this.dir).filter(id => BATCH_ID.test(id)).forEach(id => {
+            try {
+                if (Date.parse(readJson(this.manifestPath(id)).expiresAt) >= Date.now()) return;
+            } catch (error) {
+                // No readable manifest: a batch still being received, or one that cannot be retried
+                if (fs.statSync(this.batchDir(id)).mtimeMs + BATCH_TTL_MS >= Date.now()) return;
+            }
+            this.remove(id);
+            removed++;
+        });
+        return removed;
+    }
+}
+
+module.exports = new BatchUploads();
+module.exports.MAX_BATCH_FILES = MAX_BATCH_FILES;
@@ -1,15 +1,25 @@
 const { drive } = require('../config/googleDrive');
+const DocumentType = require('../models/DocumentType');
+const LocalDrive = require('./localDrive');
+const driveSyncQueue = require('./driveSyncQueue');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { retry, isTransient } = require('../utils/retry');
 const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
 
 class DriveService {
     constructor() {
         this.parentFolderId = process.env.GOOGLE_DRIVE_PARENT_FOLDER_ID;
         this.folderCache = new Map();
+        this.mockStoragePath = LocalDrive.DEFAULT_ROOT;
+        this.local = new LocalDrive(this.mockStoragePath);
 
-        // Initial Mock Mode check
-        this.isMockMode = !drive;
+        this.retries = parseInt(process.env.DRIVE_RETRIES || '3', 10);
+        this.retryBaseMs = parseInt(process.env.DRIVE_RETRY_BASE_MS || '500', 10);
+        this.breaker = new CircuitBreaker({
+            failureThreshold: parseInt(process.env.DRIVE_BREAKER_THRESHOLD || '5', 10),
+            resetTimeoutMs: parseFloat(process.env.DRIVE_BREAKER_RESET_SECONDS || '60') * 1000
+        });
 
         if (this.isMockMode) {
             console.log('⚠️  GOOGLE DRIVE NOT CONFIGURED: Running in MOCK MODE (Local Storage)');
@@ -21,12 +31,64 @@ class DriveService {
     }
 
     setupMockStorage() {
-        this.mockStoragePath = path.join(__dirname, '../uploads/mock_drive');
-        if (!fs.existsSync(this.mockStoragePath)) {
-            fs.mkdirSync(this.mockStoragePath, { recursive: true });
+        this.local.ensureRoot();
+    }
+
+    /**
+     * Files go to the local emulator when Drive is not configured, or while
+     * the circuit breaker is open after repeated Drive failures
+     */
+    get isMockMode() {
+        return !drive || !this.breaker.allowRequest();
+    }
+
+    // Whether Drive credentials are set up at all
+    get isConfigured() {
+        return Boolean(drive);
+    }
+
+    /**
+     * Make a Drive API call: transient errors are retried with backoff, and
+     * the outcome is reported to the circuit breaker. Errors that mean
+     * Drive answered (404, 403...) do not count against it.
+     */
+    async request(label, fn) {
+        try {
+            const result = await retry(fn, {
+                retries: this.retries,
+                baseDelayMs: this.retryBaseMs,
+                onRetry: (error, attempt, delay) => {
+                    console.warn(`⚠️  Drive ${label} failed (${error.message}), retry ${attempt}/${this.retries} in ${delay}ms`);
+                }
+            });
+            this.breaker.success();
+            return result;
+        } catch (error) {
+            if (isTransient(error)) this.breaker.failure(error);
+            else this.breaker.success();
+            throw error;
         }
     }
 
+    /**
+     * Storage mode, breaker state and uploads waiting for Drive, for /health
+     */
+    status() {
+        return {
+            configured: this.isConfigured,
+            mode: this.isMockMode ? 'mock' : 'drive',
+            breaker: this.breaker.snapshot(),
+            pendingSync: driveSyncQueue.count()
+        };
+    }
+
+    /**
+     * Ids issued by the local emulator (and older mock ids) start with "mock-"
+     */
+    isMockId(id) {
+        return String(id).startsWith('mock-');
+    }
+
     /**
      * Verify access to the parent folder
      */
@@ -34,10 +96,10 @@ class DriveService {
         if (this.isMockMode || !this.parentFolderId) return;
 
         try {
-            await drive.files.get({
+            await this.request('access check', () => drive.files.get({
                 fileId: this.parentFolderId,
                 fields: 'id, name'
-            });
+            }));
             console.log('✅ Access confirmed to Google Drive Folder:', this.parentFolderId);
         } catch (error) {
             console.error('❌ GOOGLE DRIVE CONNECTION FAILED');
@@ -60,8 +122,8 @@ class DriveService {
                 console.error(`👉 CAUSE: Permission Denied. You must SHARE the folder with: ${email}`);
             }
 
-            console.error('⚠️  Switching to MOCK MODE to prevent crashes.\n');
-            this.isMockMode = true;
+            console.error(`⚠️  Using MOCK MODE until Drive answers again (next try in ${Math.round(this.breaker.resetTimeoutMs / 1000)}s).\n`);
+            this.breaker.trip(error);
             this.setupMockStorage();
         }
     }
@@ -70,7 +132,7 @@ class DriveService {
      * Create a folder in Google Drive (or Mock)
      */
     async createFolder(folderName, parentId = null) {
-        if (this.isMockMode) return { id: 'mock-folder-' + folderName, name: folderName };
+        if (this.isMockMode) return this.local.ensureFolder(folderName, this.isMockId(parentId) ? parentId : null);
 
         const parents = parentId ? [parentId] : (this.parentFolderId ? [this.parentFolderId] : []);
 
@@ -81,16 +143,15 @@ class DriveService {
         };
 
         try {
-            const response = await drive.files.create({
+            const response = await this.request('folder create', () => drive.files.create({
                 resource: fileMetadata,
                 fields: 'id, name, webViewLink'
-            });
+            }));
 
             return response.data;
         } catch (error) {
-            console.error('Error creating folder (Switching to Mock):', error.message);
-            this.isMockMode = true; // Failover to mock mode on error
-            return { id: 'mock-folder-' + folderName, name: folderName };
+            console.error('Error creating folder (using mock storage):', error.message);
+            return this.local.ensureFolder(folderName, null);
         }
     }
 
@@ -98,7 +159,7 @@ class DriveService {
      * Find or create student folder
      */
     async getStudentFolder(studentId) {
-        if (this.isMockMode) return 'mock-folder-' + studentId;
+        if (this.isMockMode) return this.findLocalStudentFolder(studentId);
 
         if (this.folderCache.has(studentId)) {
             return this.folderCache.get(studentId);
@@ -110,11 +171,11 @@ class DriveService {
                 query += ` and '${this.parentFolderId}' in parents`;
             }
 
-            const response = await drive.files.list({
+            const response = await this.request('folder lookup', () => drive.files.list({
                 q: query,
                 fields: 'files(id, name)',
                 spaces: 'drive'
-            });
+            }));
 
             if (response.data.files.length > 0) {
                 const folderId = response.data.files[0].id;
@@ -125,24 +186,25 @@ class DriveService {
             return null;
         } catch (error) {
             console.error('Error finding student folder:', error.message);
-            this.isMockMode = true;
-            return 'mock-folder-' + studentId;
+            return this.findLocalStudentFolder(studentId);
         }
     }
 
+    findLocalStudentFolder(studentId) {
+        const folder = this.local.list({ parentId: null, name: studentId, mimeType: LocalDrive.FOLDER_MIME_TYPE })[0];
+        return folder ? folder.id : null;
+    }
+
     /**
      * Create student folder with document type subfolders
      */
     async createStudentFolder(studentId) {
-        if (this.isMockMode) {
-            this.folderCache.set(studentId, 'mock-folder-' + studentId);
-            return 'mock-folder-' + studentId;
-        }
+        if (this.isMockMode) return this.createLocalStudentFolder(studentId);
 
         try {
             const mainFolder = await this.createFolder(studentId);
 
-            const subfolders = ['assignments', 'idCards', 'certificates', 'feeReceipts'];
+            const subfolders = DocumentType.findAll().map(t => t.folderName);
 
             for (const subfolder of subfolders) {
                 // If creating subfolder fails (mock failover), this loop should handle it
@@ -153,34 +215,67 @@ class DriveService {
             return mainFolder.id;
         } catch (error) {
             console.error('Error creating student folder structure:', error.message);
-            this.isMockMode = true;
-            return 'mock-folder-' + studentId;
+            return this.createLocalStudentFolder(studentId);
         }
     }
 
     /**
-     * Get subfolder ID for document type
+     * Student folder with its document type subfolders in the local drive
+     */
+    createLocalStudentFolder(studentId) {
+        const mainFolder = this.local.ensureFolder(studentId);
+        DocumentType.findAll().forEach(t => this.local.ensureFolder(t.folderName, mainFolder.id));
+
+        this.folderCache.set(studentId, mainFolder.id);
+        return mainFolder.id;
+    }
+
+    /**
+     * Document type subfolder in the local drive. A student folder id the
+     * emulator does not know (an old `mock-folder-<studentId>`, or a Drive
+     * folder while Drive is unreachable) is replaced by the local folder
+     * named after the student.
      */
-    async getDocumentTypeFolder(studentFolderId, documentType) {
-        if (this.isMockMode || String(studentFolderId).startsWith('mock-folder')) {
-            return 'mock-folder-' + documentType;
+    getLocalDocumentTypeFolder(studentFolderId, documentType, studentId = null) {
+        let parentId = this.resolveLocalFolder(studentFolderId);
+        if (!parentId) {
+            const legacy = /^mock-folder-(.+)$/.exec(String(studentFolderId));
+            const name = studentId || (legacy && legacy[1]);
+            if (name) parentId = this.createLocalStudentFolder(name);
         }
 
-        const folderNames = {
-            'assignment': 'assignments',
-            'idCard': 'idCards',
-            'certificate': 'certificates',
-            'feeReceipt': 'feeReceipts'
-        };
+        return this.local.ensureFolder(DocumentType.folderName(documentType), parentId).id;
+    }
 
-        const folderName = folderNames[documentType] || 'assignments';
+    /**
+     * Local folder id for a folder id, following old `mock-folder-<studentId>`
+     * ids to the student's folder. Null if there is none.
+     */
+    resolveLocalFolder(folderId) {
+        if (this.local.get(folderId)) return folderId;
+
+        const legacy = /^mock-folder-(.+)$/.exec(String(folderId));
+        if (!legacy) return null;
+        const folder = this.local.list({ parentId: null, name: legacy[1], mimeType: LocalDrive.FOLDER_MIME_TYPE })[0];
+        return folder ? folder.id : null;
+    }
+
+    /**
+     * Get subfolder ID for document type
+     */
+    async getDocumentTypeFolder(studentFolderId, documentType, studentId = null) {
+        if (this.isMockMode || this.isMockId(studentFolderId)) {
+            return this.getLocalDocumentTypeFolder(studentFolderId, documentType, studentId);
+        }
+
+        const folderName = DocumentType.folderName(documentType);
 
         try {
-            const response = await drive.files.list({
+            const response = await this.request('folder lookup', () => drive.files.list({
                 q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and '${studentFolderId}' in parents and trashed=false`,
                 fields: 'files(id, name)',
                 spaces: 'drive'
-            });
+            }));
 
             if (response.data.files.length > 0) {
                 return response.data.files[0].id;
@@ -190,16 +285,19 @@ class DriveService {
             return newFolder.id;
         } catch (error) {
             console.error('Error getting document type folder:', error.message);
-            return 'mock-folder-' + documentType;
+            return this.getLocalDocumentTypeFolder(studentFolderId, documentType, studentId);
         }
     }
 
     /**
-     * Upload file to Google Drive
+     * Upload file to Google Drive. When Drive cannot take it, the file goes
+     * to mock storage and, if Drive is configured, is queued to be moved
+     * there later; with `fallback: false` the upload fails instead.
      */
-    async uploadFile(filePath, fileName, mimeType, folderId) {
-        if (this.isMockMode || String(folderId).startsWith('mock-')) {
-            return this.uploadToMock(filePath, fileName);
+    async uploadFile(filePath, fileName, mimeType, folderId, { fallback = true } = {}) {
+        if (this.isMockMode || this.isMockId(folderId)) {
+            if (!fallback) throw new Error('Google Drive is not available');
+            return this.uploadToMockForSync(filePath, fileName, mimeType, folderId, 'Drive unavailable');
         }
 
         const fileMetadata = {
@@ -207,74 +305,228 @@ class DriveService {
             parents: [folderId]
         };
 
-        const media = {
-            mimeType: mimeType,
-            body: fs.createReadStream(filePath)
-        };
-
+        let response;
         try {
-            // 1. Upload the File
-            const response = await drive.files.create({
+            // 1. Upload the File (with a fresh stream for every attempt)
+            response = await this.request('upload', () => drive.files.create({
                 resource: fileMetadata,
-                media: media,
+                media: { mimeType: mimeType, body: fs.createReadStream(filePath) },
                 fields: 'id, name, webViewLink, webContentLink'
-            });
+            }));
+        } catch (error) {
+            console.error('❌ Critical Upload Error:', error.message);
+            if (!fallback) throw error;
+            console.error('   Storing this upload in mock storage until Drive takes it.');
+            return this.uploadToMockForSync(filePath, fileName, mimeType, null, error.message);
+        }
 
-            const fileId = response.data.id;
-            // console.log('✅ File uploaded to Drive:', fileId);
-
-            // 2. Try to make it public (Reader)
-            try {
-                await drive.permissions.create({
-                    fileId: fileId,
-                    requestBody: { role: 'reader', type: 'anyone' }
-                });
-            } catch (permError) {
-                console.warn(`⚠️ Warning: Could not set public permissions (likely Org restricted). File is still safe in Drive. ID: ${fileId}`);
-            }
+        // The file is in Drive from here on: later failures must not store a
+        // second copy in mock storage and leave this one orphaned
+        const fileId = response.data.id;
+        fs.unlinkSync(filePath); // Delete local temp file
 
-            // 3. Get Final Links
-            const file = await drive.files.get({
+        // 2. Try to make it public (Reader)
+        try {
+            await this.request('share', () => drive.permissions.create({
                 fileId: fileId,
-                fields: 'webViewLink, webContentLink'
-            });
-
-            fs.unlinkSync(filePath); // Delete local temp file
+                requestBody: { role: 'reader', type: 'anyone' }
+            }));
+        } catch (permError) {
+            console.warn(`⚠️ Warning: Could not set public permissions (likely Org restricted). File is still safe in Drive. ID: ${fileId}`);
+        }
 
-            return {
+        // 3. Get Final Links (the ones from the upload answer will do)
+        let links = response.data;
+        try {
+            const file = await this.request('file lookup', () => drive.files.get({
                 fileId: fileId,
-                fileName: response.data.name,
-                shareableLink: file.data.webViewLink,
-                downloadLink: file.data.webContentLink
-            };
-
-        } catch (error) {
-            console.error('❌ Critical Upload Error:', error.message);
-            console.error('   Switching to Mock Mode for this upload.');
-            return this.uploadToMock(filePath, fileName);
+                fields: 'webViewLink, webContentLink'
+            }));
+            links = file.data;
+        } catch (lookupError) {
+            console.warn(`⚠️ Warning: Could not look up the links of ${fileId}: ${lookupError.message}`);
         }
+
+        return {
+            fileId: fileId,
+            fileName: response.data.name,
+            shareableLink: links.webViewLink,
+            downloadLink: links.webContentLink
+        };
     }
 
-    uploadToMock(filePath, fileName) {
-        this.setupMockStorage(); // Ensure dir exists
-        const mockUrl = `/uploads/mock_drive/${Date.now()}-${fileName}`;
-        const targetPath = path.join(this.mockStoragePath, path.basename(mockUrl));
+    /**
+     * Mock upload standing in for a Drive one; queued for sync when Drive
+     * is configured
+     */
+    uploadToMockForSync(filePath, fileName, mimeType, folderId, reason) {
+        const result = this.uploadToMock(filePath, fileName, mimeType, folderId);
+        if (drive) driveSyncQueue.add(result.fileId, reason);
+        return result;
+    }
 
-        fs.copyFileSync(filePath, targetPath);
-        fs.unlinkSync(filePath);
+    /**
+     * Store a file in the local drive, in `folderId` when the emulator knows
+     * it (a Drive upload that failed over lands in the root)
+     */
+    uploadToMock(filePath, fileName, mimeType = null, folderId = null) {
+        const parentId = folderId && this.local.get(folderId) ? folderId : null;
+        const file = this.local.createFile(filePath, fileName, mimeType, parentId);
 
         return {
-            fileId: 'mock-file-' + Date.now(),
+            fileId: file.id,
             fileName: fileName,
-            shareableLink: mockUrl,
-            downloadLink: mockUrl
+            shareableLink: file.webViewLink,
+            downloadLink: file.webContentLink
         };
     }
 
+    /**
+     * Local path of a mock file, or null
+     */
+    mockPathFor(fileId) {
+        const localPath = this.local.localPath(fileId);
+        return localPath && fs.existsSync(localPath) ? localPath : null;
+    }
+
+    /**
+     * Remove a mock file or folder from disk. False if there is none.
+     */
+    deleteFromMock(fileId) {
+        return this.local.delete(this.resolveLocalFolder(fileId) || fileId);
+    }
+
+    /**
+     * Metadata of a stored file or folder (Drive field names), or null if it
+     * does not exist. Throws when Drive cannot be asked.
+     */
+    async getFile(fileId) {
+        if (this.isMockId(fileId)) {
+            const entry = this.local.get(this.resolveLocalFolder(fileId) || fileId);
+            // A file only counts while it is on disk
+            if (entry && entry.mimeType !== LocalDrive.FOLDER_MIME_TYPE && !this.mockPathFor(fileId)) return null;
+            return entry;
+        }
+        if (this.isMockMode) return null;
+
+        try {
+            const response = await this.request('file lookup', () => drive.files.get({
+                fileId,
+                fields: 'id, name, mimeType, parents, size, createdTime, webViewLink, webContentLink'
+            }));
+            const file = response.data;
+            return { ...file, size: file.size !== undefined ? Number(file.size) : undefined };
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Files and folders directly inside a folder, or null if it cannot be read
+     */
+    async listFolder(folderId) {
+        if (this.isMockId(folderId)) {
+            const localId = this.resolveLocalFolder(folderId);
+            return localId ? this.local.list({ parentId: localId }) : null;
+        }
+        if (this.isMockMode) return null;
+
+        try {
+            const files = [];
+            let pageToken;
+            do {
+                const response = await this.request('folder listing', () => drive.files.list({
+                    q: `'${folderId}' in parents and trashed=false`,
+                    fields: 'nextPageToken, files(id, name, mimeType, size, createdTime, webViewLink, webContentLink)',
+                    pageSize: 1000,
+                    pageToken,
+                    spaces: 'drive'
+                }));
+                files.push(...response.data.files.map(f => ({ ...f, size: f.size !== undefined ? Number(f.size) : undefined })));
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+            return files;
+        } catch (error) {
+            console.error('Error listing folder:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Every file under the parent folder, or null when Drive cannot be
+     * listed (mock mode, no GOOGLE_DRIVE_PARENT_FOLDER_ID, errors)
+     */
+    async listAllFiles() {
+        if (this.isMockMode || !this.parentFolderId) return null;
+
+        const files = [];
+        const folders = [this.parentFolderId];
+        while (folders.length) {
+            const entries = await this.listFolder(folders.shift());
+            if (!entries) return null;
+            entries.forEach(entry => {
+                if (entry.mimeType === LocalDrive.FOLDER_MIME_TYPE) folders.push(entry.id);
+                else files.push(entry);
+            });
+        }
+        return files;
+    }
+
+    /**
+     * Readable stream of a stored file's content, or null
+     */
+    async createReadStream(fileId) {
+        const mockPath = this.mockPathFor(fileId);
+        if (mockPath) return fs.createReadStream(mockPath);
+        if (this.isMockMode || this.isMockId(fileId)) return null;
+
+        try {
+            const response = await this.request('download', () => drive.files.get({ fileId, alt: 'media' }, { responseType: 'stream' }));
+            return response.data;
+        } catch (error) {
+            console.error('Error downloading file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Move a file into another folder. Returns its new links, or null.
+     */
+    async moveFile(fileId, folderId) {
+        if (this.isMockId(fileId)) {
+            const file = this.local.move(fileId, this.resolveLocalFolder(folderId));
+            return file && { fileId: file.id, shareableLink: file.webViewLink, downloadLink: file.webContentLink };
+        }
+        if (this.isMockMode) return null;
+
+        try {
+            const current = await this.request('file lookup', () => drive.files.get({ fileId, fields: 'parents' }));
+            const response = await this.request('move', () => drive.files.update({
+                fileId,
+                addParents: folderId,
+                removeParents: (current.data.parents || []).join(','),
+                fields: 'id, webViewLink, webContentLink'
+            }));
+            return {
+                fileId: response.data.id,
+                shareableLink: response.data.webViewLink,
+                downloadLink: response.data.webContentLink
+            };
+        } catch (error) {
+            console.error('Error moving file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a stored file or folder. False if it could not be deleted.
+     */
     async deleteFile(fileId) {
-        if (this.isMockMode || String(fileId).startsWith('mock-')) return true;
+        if (this.isMockMode || this.isMockId(fileId)) return this.deleteFromMock(fileId);
+
         try {
-            await drive.files.delete({ fileId });
+            await this.request('delete', () => drive.files.delete({ fileId }));
             return true;
         } catch (error) {
             console.error('Error deleting file:', error.message);
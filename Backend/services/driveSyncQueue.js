@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const QUEUE_PATH = path.join(__dirname, '../database/driveSyncQueue.json');
+
+/**
+ * Uploads that went to mock storage while Drive was configured but failing
+ * (circuit breaker open, or the upload itself failed). flush() moves them
+ * to Drive once it answers again, the same way the reconciliation `upload`
+ * repair does; start() flushes every DRIVE_SYNC_INTERVAL_SECONDS.
+ *
+ * Entries: { fileId, reason, queuedAt, attempts, lastError, lastAttemptAt }
+ */
+class DriveSyncQueue {
+    constructor(queuePath = QUEUE_PATH) {
+        this.path = queuePath;
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    list() {
+        return fs.existsSync(this.path) ? readJson(this.path).files || [] : [];
+    }
+
+    count() {
+        return this.list().length;
+    }
+
+    update(fn) {
+        return withLock(this.path, () => {
+            const files = this.list();
+            const result = fn(files);
+            writeJsonAtomic(this.path, { files });
+            return result;
+        });
+    }
+
+    add(fileId, reason) {
+        this.update(files => {
+            if (files.some(f => f.fileId === fileId)) return;
+            files.push({ fileId, reason, queuedAt: new Date().toISOString(), attempts: 0, lastError: null, lastAttemptAt: null });
+        });
+        console.log(`☁️  Queued ${fileId} for Drive sync (${reason})`);
+    }
+
+    remove(fileId) {
+        this.update(files => {
+            const index = files.findIndex(f => f.fileId === fileId);
+            if (index !== -1) files.splice(index, 1);
+        });
+    }
+
+    /**
+     * Move the queued files to Drive. Does nothing while Drive is down; a
+     * flush already running is shared rather than started twice.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.syncAll().finally(() => { this.flushing = null; });
+        }
+        return this.flushing;
+    }
+
+    async syncAll() {
+        // Required here: both depend on driveService, which depends on this queue
+        const storage = require('./storage');
+        const reconcileService = require('./reconcileService');
+        const drive = storage.get('drive');
+        const result = { synced: 0, dropped: 0, failed: 0, pending: 0 };
+
+        for (const entry of this.list()) {
+            if (!drive.live) break;
+
+            // Documents deleted or repaired since the upload leave nothing to move
+            const file = reconcileService.collectFiles().get(`drive:${entry.fileId}`);
+            if (!file || !(await drive.getFile(entry.fileId))) {
+                this.remove(entry.fileId);
+                result.dropped++;
+                continue;
+            }
+
+            try {
+                await reconcileService.upload(file);
+                this.remove(entry.fileId);
+                result.synced++;
+            } catch (error) {
+                this.update(files => {
+                    const queued = files.find(f => f.fileId === entry.fileId);
+                    if (!queued) return;
+                    queued.attempts++;
+                    queued.lastError = error.message;
+                    queued.lastAttemptAt = new Date().toISOString();
+                });
+                result.failed++;
+            }
+        }
+
+        result.pending = this.count();
+        if (result.synced || result.failed) {
+            console.log(`☁️  Drive sync: ${result.synced} moved, ${result.failed} failed, ${result.pending} pending`);
+        }
+        return result;
+    }
+
+    /**
+     * Flush periodically (DRIVE_SYNC_INTERVAL_SECONDS, default 60; 0 turns it off)
+     */
+    start() {
+        const seconds = parseFloat(process.env.DRIVE_SYNC_INTERVAL_SECONDS || '60');
+        if (this.timer || !(seconds > 0)) return;
+
+        this.timer = setInterval(() => {
+            if (this.count() === 0) return;
+            this.flush().catch(error => console.error('❌ Drive sync failed:', error.message));
+        }, seconds * 1000);
+        this.timer.unref();
+    }
+}
+
+module.exports = new DriveSyncQueue();
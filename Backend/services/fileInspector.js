@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+
+/**
+ * File Inspector
+ * Facts about an uploaded file taken from its bytes, not from what the
+ * client claims: size, SHA-256 checksum and MIME type.
+ */
+
+// Leading bytes of the formats we accept
+const SIGNATURES = [
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },            // %PDF-
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },                         // GIF8
+    { mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },                   // PK.. (docx/xlsx)
+    { mimeType: 'application/x-ole-storage', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] } // doc/xls
+];
+
+// Container formats: the declared type decides which member of the family it is
+const CONTAINER_TYPES = {
+    'application/zip': [
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    'application/x-ole-storage': [
+        'application/msword',
+        'application/vnd.ms-excel'
+    ]
+};
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// File name extensions that go with each accepted type
+const EXTENSIONS = {
+    'application/pdf': ['.pdf'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/gif': ['.gif'],
+    'application/msword': ['.doc'],
+    [DOCX]: ['.docx'],
+    'application/vnd.ms-excel': ['.xls'],
+    [XLSX]: ['.xlsx']
+};
+
+// Types a browser shows itself; no scripts run from them
+const INLINE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif'];
+
+// The part every Office Open XML file of the type has (a renamed ZIP has not)
+const OOXML_MAIN_PARTS = {
+    [DOCX]: 'word/document.xml',
+    [XLSX]: 'xl/workbook.xml'
+};
+
+// Content that is never a document, named in the rejection
+const EXECUTABLE_SIGNATURES = [
+    { label: 'a Windows executable', bytes: [0x4D, 0x5A] },                 // MZ
+    { label: 'a Linux executable', bytes: [0x7F, 0x45, 0x4C, 0x46] },       // .ELF
+    { label: 'a macOS executable', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+    { label: 'a macOS executable', bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+    { label: 'a macOS executable', bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+    { label: 'a script', bytes: [0x23, 0x21] }                              // #!
+];
+
+// Pages and SVG images run scripts when a browser opens them
+const MARKUP = /^(\uFEFF)?\s*<(!doctype|html|head|body|script|svg|\?xml)/i;
+
+function readHead(filePath, length = 16) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Detect the MIME type from the file's magic bytes.
+ * `declaredType` picks the concrete Office format inside zip/OLE containers.
+ * Returns null if the content matches no known format.
+ */
+function detectMimeType(filePath, declaredType = null) {
+    const head = readHead(filePath);
+    const match = SIGNATURES.find(sig => sig.bytes.every((byte, i) => head[i] === byte));
+    if (!match) return null;
+
+    const family = CONTAINER_TYPES[match.mimeType];
+    if (family) {
+        return family.includes(declaredType) ? declaredType : match.mimeType;
+    }
+    return match.mimeType;
+}
+
+/**
+ * Check that a file is what the upload claims: a format we accept, with
+ * content of the declared MIME type and a matching extension. Returns
+ * { ok: true, mimeType } or { ok: false, reason, detectedType }.
+ *
+ * `matchContent: false` (a file an admin released from the quarantine)
+ * drops only the check that the bytes are of the declared type; content
+ * that is never a document, the extension and macros are still checked.
+ */
+async function verify(filePath, declaredType, fileName, { matchContent = true } = {}) {
+    const head = readHead(filePath, 512);
+    const reject = (reason, detectedType = null) => ({ ok: false, reason, detectedType });
+
+    const executable = EXECUTABLE_SIGNATURES.find(sig => sig.bytes.every((byte, i) => head[i] === byte));
+    if (executable) return reject(`Content is ${executable.label}`, 'application/octet-stream');
+
+    const detected = detectMimeType(filePath, declaredType);
+    if (!detected && MARKUP.test(head.toString('utf8'))) return reject('Content is HTML or SVG markup', 'text/html');
+    if (matchContent) {
+        if (!detected) return reject('Content matches none of the accepted formats');
+        if (detected !== declaredType) return reject(`Content is ${detected}, not ${declaredType}`, detected);
+    }
+
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (!(EXTENSIONS[declaredType] || []).includes(extension)) {
+        return reject(`Extension ${extension || '(none)'} does not match ${declaredType}`, detected);
+    }
+
+    const mainPart = OOXML_MAIN_PARTS[declaredType];
+    if (mainPart && detected === declaredType) {
+        const zip = await JSZip.loadAsync(fs.readFileSync(filePath)).catch(() => null);
+        if (matchContent) {
+            if (!zip) return reject('Content is a damaged ZIP archive', 'application/zip');
+            if (!zip.file(mainPart)) return reject(`Content is a ZIP archive, not ${declaredType}`, 'application/zip');
+        }
+        // Macros only run from .docm/.xlsm; in a .docx they are a disguise
+        if (zip && zip.file(/vbaProject\.bin$/i).length) return reject('Document contains macros', detected);
+    }
+
+    return { ok: true, mimeType: detected || declaredType };
+}
+
+/**
+ * `fileName` with the extension of `mimeType` when its own does not match
+ * (a PDF uploaded as photo.png becomes photo.pdf)
+ */
+function renameFor(fileName, mimeType) {
+    const extensions = EXTENSIONS[mimeType];
+    const extension = path.extname(fileName).toLowerCase();
+    if (!extensions || extensions.includes(extension)) return fileName;
+    return path.basename(fileName, path.extname(fileName)) + extensions[0];
+}
+
+/**
+ * Whether a stored file may be shown in the browser: a PDF or image whose
+ * bytes are what its extension says. Anything else is sent as a download.
+ */
+function isSafeInline(filePath) {
+    const detected = detectMimeType(filePath);
+    return Boolean(detected && INLINE_TYPES.includes(detected) &&
+        EXTENSIONS[detected].includes(path.extname(filePath).toLowerCase()));
+}
+
+/**
+ * SHA-256 of a file (streamed, so large scans do not fill memory)
+ */
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Size, checksum and detected MIME type of a file
+ */
+async function inspect(filePath, declaredType = null) {
+    const { size } = fs.statSync(filePath);
+    return {
+        size,
+        checksum: await sha256File(filePath),
+        mimeType: detectMimeType(filePath, declaredType) || declaredType
+    };
+}
+
+module.exports = {
+    EXTENSIONS,
+    INLINE_TYPES,
+    detectMimeType,
+    verify,
+    renameFor,
+    isSafeInline,
+    sha256File,
+    inspect
+};
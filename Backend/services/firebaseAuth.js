@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+/**
+ * Firebase ID Token Verifier
+ * Verifies tokens from `user.getIdToken()` the same way the Admin SDK does:
+ * RS256 signature against Google's rotating key set, audience = project ID,
+ * issuer = https://securetoken.google.com/{projectId}.
+ *
+ * The key set is fetched from `certsUrl` (default: Google) and cached for
+ * the max-age Google sends. Pass `certificates` ({ kid: PEM }) to verify
+ * against a locally generated key set instead.
+ */
+class FirebaseTokenVerifier {
+    constructor(options = {}) {
+        this.projectId = options.projectId;
+        this.allowedDomain = options.allowedDomain || null;
+        this.certsUrl = options.certsUrl || GOOGLE_CERTS_URL;
+        this.certificates = options.certificates || null;
+        this.certsExpireAt = options.certificates ? Infinity : 0;
+    }
+
+    /**
+     * Use a fixed key set ({ kid: PEM }) instead of fetching one
+     */
+    setCertificates(certificates) {
+        this.certificates = certificates;
+        this.certsExpireAt = Infinity;
+    }
+
+    async getCertificates() {
+        if (this.certificates && Date.now() < this.certsExpireAt) {
+            return this.certificates;
+        }
+
+        const response = await fetch(this.certsUrl);
+        if (!response.ok) {
+            throw new Error(`Could not fetch Firebase signing keys (${response.status})`);
+        }
+
+        const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+        this.certificates = await response.json();
+        this.certsExpireAt = Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : 60 * 60 * 1000);
+
+        return this.certificates;
+    }
+
+    /**
+     * Verify an ID token and return its claims.
+     * Throws an Error with `code` set to 'not-configured', 'invalid-token'
+     * or 'domain-not-allowed'.
+     */
+    async verifyIdToken(idToken) {
+        if (!this.projectId) {
+            throw this.error('not-configured', 'FIREBASE_PROJECT_ID is not set');
+        }
+
+        const decoded = jwt.decode(idToken || '', { complete: true });
+        if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+            throw this.error('invalid-token', 'Malformed ID token');
+        }
+
+        const certificates = await this.getCertificates();
+        const certificate = certificates[decoded.header.kid];
+        if (!certificate) {
+            throw this.error('invalid-token', 'ID token signed with an unknown key');
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, certificate, {
+                algorithms: ['RS256'],
+                audience: this.projectId,
+                issuer: `https://securetoken.google.com/${this.projectId}`
+            });
+        } catch (error) {
+            throw this.error('invalid-token', error.message);
+        }
+
+        if (!claims.sub || claims.auth_time * 1000 > Date.now()) {
+            throw this.error('invalid-token', 'ID token has invalid subject or auth_time');
+        }
+
+        if (this.allowedDomain) {
+            const domain = String(claims.email || '').split('@')[1];
+            if (!claims.email_verified || !domain || domain.toLowerCase() !== this.allowedDomain) {
+                throw this.error('domain-not-allowed', `Access restricted to @${this.allowedDomain} emails only`);
+            }
+        }
+
+        return claims;
+    }
+
+    error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = new FirebaseTokenVerifier({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    certsUrl: process.env.FIREBASE_CERTS_URL,
+    allowedDomain: (process.env.ALLOWED_EMAIL_DOMAIN || 'ltce.in').toLowerCase()
+});
+module.exports.FirebaseTokenVerifier = FirebaseTokenVerifier;
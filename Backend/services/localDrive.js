@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const DEFAULT_ROOT = path.join(__dirname, '../uploads/mock_drive');
+const INDEX_FILE = '.drive.json';
+const URL_PREFIX = '/uploads/mock_drive';
+
+// Flat `<timestamp>-<name>` files in the root, stored before the index
+// existed. Their documents recorded `mock-file-<Date.now()>` taken after the
+// copy, not the timestamp in the name: adoptLegacy() registers them under
+// those ids; files no document claims are listed as `mock-file-<timestamp>`
+const LEGACY_FILE = /^(\d+)-(.+)$/;
+const LEGACY_ID = /^mock-file-(\d+)$/;
+
+function newId(kind) {
+    return `mock-${kind}-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// Drive allows any name; the filesystem does not
+function safeName(name) {
+    return String(name || 'untitled').replace(/[/\\\0]/g, '_').replace(/^\.+/, '_');
+}
+
+/**
+ * Google Drive on the local filesystem, for mock mode.
+ *
+ * Folders are directories and files are stored as `<id>-<name>` inside them,
+ * so a student's uploads end up in `<studentId>/<Type folder>/` as on Drive.
+ * Metadata (id, name, mimeType, parents, size, createdTime) lives in
+ * `.drive.json` at the root; ids never change once issued. Files stored
+ * before the index existed are still found by their old ids.
+ */
+class LocalDrive {
+    constructor(rootPath) {
+        this.root = rootPath;
+        this.indexPath = path.join(rootPath, INDEX_FILE);
+    }
+
+    ensureRoot() {
+        if (!fs.existsSync(this.root)) fs.mkdirSync(this.root, { recursive: true });
+    }
+
+    loadIndex() {
+        if (!fs.existsSync(this.indexPath)) return { files: {} };
+        return readJson(this.indexPath);
+    }
+
+    /**
+     * Locked read-modify-write of the metadata index
+     */
+    mutate(fn) {
+        this.ensureRoot();
+        return withLock(this.indexPath, () => {
+            const index = this.loadIndex();
+            const result = fn(index);
+            writeJsonAtomic(this.indexPath, index);
+            return result;
+        });
+    }
+
+    /**
+     * Entries for the flat files stored before the index, not in `index`
+     */
+    legacyEntries(index = this.loadIndex()) {
+        if (!fs.existsSync(this.root)) return [];
+
+        const indexed = new Set(Object.values(index.files).map(entry => entry.path));
+        return fs.readdirSync(this.root, { withFileTypes: true })
+            .filter(dirent => dirent.isFile() && LEGACY_FILE.test(dirent.name) && !indexed.has(dirent.name))
+            .map(dirent => {
+                const [, stamp, name] = LEGACY_FILE.exec(dirent.name);
+                const { size, mtime } = fs.statSync(path.join(this.root, dirent.name));
+                return {
+                    id: `mock-file-${stamp}`,
+                    name,
+                    parents: [],
+                    size,
+                    createdTime: mtime.toISOString(),
+                    path: dirent.name
+                };
+            });
+    }
+
+    /**
+     * Register legacy files under the ids their documents recorded.
+     * `documents` are { fileId, fileName, shareableLink, mimeType, uploadedAt };
+     * a file is found by the link, or by its name when exactly one
+     * unclaimed legacy file has it. Returns the number adopted.
+     */
+    adoptLegacy(documents) {
+        if (!this.legacyEntries().length) return 0;
+
+        return this.mutate(index => {
+            const unclaimed = this.legacyEntries(index);
+            let adopted = 0;
+
+            documents.filter(doc => LEGACY_ID.test(String(doc.fileId)) && !index.files[doc.fileId]).forEach(doc => {
+                const link = String(doc.shareableLink || '');
+                const linked = link.startsWith(`${URL_PREFIX}/`) ? link.slice(URL_PREFIX.length + 1) : null;
+                const byLink = linked && unclaimed.find(entry => entry.path === linked || entry.path === safeDecode(linked));
+                const byName = unclaimed.filter(entry => entry.name === doc.fileName);
+                const file = byLink || (byName.length === 1 ? byName[0] : null);
+                if (!file) return;
+
+                unclaimed.splice(unclaimed.indexOf(file), 1);
+                index.files[doc.fileId] = {
+                    ...file,
+                    id: doc.fileId,
+                    mimeType: doc.mimeType || 'application/octet-stream',
+                    createdTime: doc.uploadedAt || file.createdTime
+                };
+                adopted++;
+            });
+            return adopted;
+        });
+    }
+
+    /**
+     * Indexed entry, or the legacy file with that id
+     */
+    entry(id, index = this.loadIndex()) {
+        if (index.files[id]) return index.files[id];
+        if (!LEGACY_ID.test(String(id))) return null;
+        return this.legacyEntries(index).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Public view of an entry: Drive's field names plus the local links
+     */
+    describe(entry) {
+        if (!entry) return null;
+
+        const { path: relativePath, ...meta } = entry;
+        if (meta.mimeType === FOLDER_MIME_TYPE) return meta;
+
+        const link = `${URL_PREFIX}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+        return { ...meta, webViewLink: link, webContentLink: link };
+    }
+
+    /**
+     * Metadata of a file or folder, or null
+     */
+    get(id) {
+        return this.describe(this.entry(id));
+    }
+
+    /**
+     * Absolute path of a file or folder, or null
+     */
+    localPath(id) {
+        const entry = this.entry(id);
+        return entry ? path.join(this.root, entry.path) : null;
+    }
+
+    /**
+     * Entries matching { parentId, name, mimeType }; parentId null is the root
+     */
+    list({ parentId, name, mimeType } = {}) {
+        const index = this.loadIndex();
+        const legacy = parentId === undefined || parentId === null ? this.legacyEntries(index) : [];
+
+        return [...Object.values(index.files), ...legacy]
+            .filter(entry => parentId === undefined ||
+                (parentId === null ? entry.parents.length === 0 : entry.parents.includes(parentId)))
+            .filter(entry => name === undefined || entry.name === name)
+            .filter(entry => mimeType === undefined || entry.mimeType === mimeType)
+            .sort((a, b) => a.createdTime.localeCompare(b.createdTime))
+            .map(entry => this.describe(entry));
+    }
+
+    /**
+     * The folder called `name` in `parentId` (root when null), created if missing
+     */
+    ensureFolder(name, parentId = null) {
+        return this.mutate(index => {
+            const parents = parentId ? [parentId] : [];
+            const existing = Object.values(index.files).find(entry =>
+                entry.mimeType === FOLDER_MIME_TYPE && entry.name === name &&
+                (entry.parents[0] || null) === (parentId || null));
+            if (existing) return this.describe(existing);
+
+            const parent = parentId ? index.files[parentId] : null;
+            if (parentId && !parent) throw new Error(`Parent folder ${parentId} not found`);
+
+            const relativePath = path.posix.join(parent ? parent.path : '', safeName(name));
+            fs.mkdirSync(path.join(this.root, relativePath), { recursive: true });
+
+            const entry = {
+                id: newId('folder'),
+                name,
+                mimeType: FOLDER_MIME_TYPE,
+                parents,
+                createdTime: new Date().toISOString(),
+                path: relativePath
+            };
+            index.files[entry.id] = entry;
+            return this.describe(entry);
+        });
+    }
+
+    /**
+     * Move `sourcePath` into a folder (root when null) as a new file
+     */
+    createFile(sourcePath, name, mimeType, parentId = null) {
+        return this.mutate(index => {
+            const parent = parentId ? index.files[parentId] : null;
+            if (parentId && !parent) throw new Error(`Parent folder ${parentId} not found`);
+
+            const id = newId('file');
+            const relativePath = path.posix.join(parent ? parent.path : '', `${id.slice('mock-file-'.length)}-${safeName(name)}`);
+            const targetPath = path.join(this.root, relativePath);
+
+            fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+            fs.copyFileSync(sourcePath, targetPath);
+            fs.unlinkSync(sourcePath);
+
+            const entry = {
+                id,
+                name,
+                mimeType: mimeType || 'application/octet-stream',
+                parents: parent ? [parentId] : [],
+                size: fs.statSync(targetPath).size,
+                createdTime: new Date().toISOString(),
+                path: relativePath
+            };
+            index.files[id] = entry;
+            return this.describe(entry);
+        });
+    }
+
+    /**
+     * Move a file into another folder. Its id stays, its links change.
+     */
+    move(id, parentId) {
+        return this.mutate(index => {
+            const entry = index.files[id];
+            const parent = index.files[parentId];
+            if (!entry || entry.mimeType === FOLDER_MIME_TYPE || !parent) return null;
+
+            const relativePath = path.posix.join(parent.path, path.posix.basename(entry.path));
+            fs.renameSync(path.join(this.root, entry.path), path.join(this.root, relativePath));
+            Object.assign(entry, { parents: [parentId], path: relativePath });
+            return this.describe(entry);
+        });
+    }
+
+    /**
+     * Delete a file, or a folder with everything in it. False if unknown.
+     */
+    delete(id) {
+        return this.mutate(index => {
+            const entry = this.entry(id, index);
+            if (!entry) return false;
+
+            const removed = [id];
+            for (let i = 0; i < removed.length; i++) {
+                Object.values(index.files)
+                    .filter(child => child.parents.includes(removed[i]))
+                    .forEach(child => removed.push(child.id));
+            }
+
+            fs.rmSync(path.join(this.root, entry.path), { recursive: true, force: true });
+            removed.forEach(removedId => { delete index.files[removedId]; });
+            return true;
+        });
+    }
+}
+
+module.exports = LocalDrive;
+module.exports.FOLDER_MIME_TYPE = FOLDER_MIME_TYPE;
+module.exports.DEFAULT_ROOT = DEFAULT_ROOT;
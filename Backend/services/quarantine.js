@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const AuditLog = require('../models/AuditLog');
+const Student = require('../models/Student');
+const fileInspector = require('./fileInspector');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const QUARANTINE_PATH = path.join(__dirname, '../database/quarantine.json');
+
+// A dot directory, so the /uploads static route never serves held files
+const QUARANTINE_DIR = process.env.UPLOAD_SESSION_DIR
+    ? path.join(process.env.UPLOAD_SESSION_DIR, 'quarantine')
+    : (process.env.VERCEL ? path.join(os.tmpdir(), 'upload-quarantine') : path.join(__dirname, '../uploads/.quarantine'));
+
+/**
+ * Uploads whose content failed the checks of fileInspector.verify (not the
+ * declared type, wrong extension, executables, markup, macros). They are
+ * held here, never stored, until an admin releases them into the upload
+ * pipeline or deletes them.
+ *
+ * Entries: { id, fileName, declaredType, detectedType, size, reason,
+ *            fields, versionOf, uploadedBy, quarantinedAt }
+ */
+class Quarantine {
+    constructor(indexPath = QUARANTINE_PATH, dir = QUARANTINE_DIR) {
+        this.path = indexPath;
+        this.dir = dir;
+    }
+
+    list() {
+        return fs.existsSync(this.path) ? readJson(this.path).files || [] : [];
+    }
+
+    update(fn) {
+        return withLock(this.path, () => {
+            const files = this.list();
+            const result = fn(files);
+            writeJsonAtomic(this.path, { files });
+            return result;
+        });
+    }
+
+    get(id) {
+        return this.list().find(entry => entry.id === id) || null;
+    }
+
+    filePath(id) {
+        return path.join(this.dir, id);
+    }
+
+    /**
+     * Hold a received file ({ path, originalname, mimetype }); the
+     * quarantine takes it over. `verdict` is what verify() found, `fields`
+     * and `user` what the upload came with, kept for a release; `versionOf`
+     * ({ studentId, docType, docId }) when it was sent as a new version.
+     */
+    add(file, verdict, fields, user, versionOf = null) {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const entry = {
+            id: uuidv4(),
+            fileName: path.basename(file.originalname),
+            declaredType: file.mimetype,
+            detectedType: verdict.detectedType,
+            size: fs.statSync(file.path).size,
+            reason: verdict.reason,
+            fields,
+            versionOf,
+            uploadedBy: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                studentId: user.studentId || null,
+                departments: user.departments || []
+            },
+            quarantinedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.renameSync(file.path, this.filePath(entry.id));
+        } catch (error) {
+            // Another file system (a temp dir elsewhere)
+            fs.copyFileSync(file.path, this.filePath(entry.id));
+            fs.rmSync(file.path, { force: true });
+        }
+
+        this.update(files => { files.push(entry); });
+        AuditLog.record('quarantine.add', { type: 'quarantine', id: entry.id, fileName: entry.fileName }, null, {
+            reason: entry.reason,
+            declaredType: entry.declaredType,
+            detectedType: entry.detectedType
+        });
+        console.warn(`⚠️  Quarantined ${entry.fileName}: ${entry.reason}`);
+        return entry;
+    }
+
+    /**
+     * Send a held file through the upload pipeline, for the user who
+     * uploaded it. Only the check that the bytes are of the declared type
+     * is waived: executables, markup, macros and a wrong extension stay
+     * refused (422). A file whose content is another accepted type is
+     * stored as that type, renamed to match. It leaves the quarantine only
+     * once stored; returns the pipeline's { status, body }.
+     */
+    async release(entry) {
+        // Required here: the upload pipeline depends on this module
+        const uploadService = require('./uploadService');
+
+        const mimeType = fileInspector.EXTENSIONS[entry.detectedType] ? entry.detectedType : entry.declaredType;
+        const fileName = mimeType === entry.declaredType ? entry.fileName : fileInspector.renameFor(entry.fileName, mimeType);
+
+        const verdict = await fileInspector.verify(this.filePath(entry.id), mimeType, fileName, { matchContent: false });
+        if (!verdict.ok) {
+            return { status: 422, body: { error: `${verdict.reason}; the file cannot be released` } };
+        }
+
+        // The pipeline consumes its input; the held copy stays until stored
+        const filePath = `${this.filePath(entry.id)}-${crypto.randomBytes(4).toString('hex')}`;
+        fs.copyFileSync(this.filePath(entry.id), filePath);
+
+        const file = { path: filePath, originalname: fileName, mimetype: mimeType };
+        const { versionOf } = entry;
+
+        let result;
+        if (versionOf) {
+            const student = Student.findByStudentId(versionOf.studentId);
+            if (!student) {
+                fs.rmSync(filePath, { force: true });
+                return { status: 404, body: { error: `Student ${versionOf.studentId} not found` } };
+            }
+            result = await uploadService.addVersion(file, student, versionOf.docType, versionOf.docId,
+                entry.uploadedBy, { verifyContent: false });
+        } else {
+            result = await uploadService.process(file, entry.fields, entry.uploadedBy, { verifyContent: false });
+        }
+
+        if (result.status < 300) {
+            this.discard(entry.id);
+            const stored = versionOf
+                ? { studentId: versionOf.studentId, documentType: versionOf.docType, documentId: versionOf.docId }
+                : { studentId: result.body.studentId, documentType: result.body.documentType, documentId: result.body.documentId };
+            AuditLog.record('quarantine.release', { type: 'quarantine', id: entry.id, fileName: entry.fileName }, entry,
+                { ...stored, fileName, mimeType });
+        }
+        return result;
+    }
+
+    /**
+     * Delete a held file for good
+     */
+    delete(entry) {
+        this.discard(entry.id);
+        AuditLog.record('quarantine.delete', { type: 'quarantine', id: entry.id, fileName: entry.fileName }, entry, null);
+    }
+
+    /**
+     * Drop every held file (after a backup restore)
+     */
+    clear() {
+        this.update(files => { files.length = 0; });
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    discard(id) {
+        this.update(files => {
+            const index = files.findIndex(f => f.id === id);
+            if (index !== -1) files.splice(index, 1);
+        });
+        fs.rmSync(this.filePath(id), { force: true });
+    }
+}
+
+module.exports = new Quarantine();
+module.exports.Quarantine = Quarantine;
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Student = require('../models/Student');
+const storage = require('./storage');
+const searchIndex = require('./searchIndex');
+const { sha256File } = require('./fileInspector');
+
+// What can be done about each kind of issue (see repairsFor)
+const REPAIRS = {
+    missing: ['relink', 'remove'],
+    orphan: ['delete'],
+    mock: ['upload']
+};
+
+const REPAIR_ACTIONS = ['upload', 'relink', 'remove', 'delete'];
+
+// Links as stored (raw) and as the emulator builds them (encoded) compare equal
+function samePath(a, b) {
+    if (!a || !b) return false;
+    const decode = link => {
+        try {
+            return decodeURI(link);
+        } catch (error) {
+            return link;
+        }
+    };
+    return decode(a) === decode(b);
+}
+
+function isMockId(fileId) {
+    return String(fileId).startsWith('mock-');
+}
+
+/**
+ * Checks the student records against the stored files and repairs what
+ * does not match:
+ * - missing: documents (or older versions) whose file is gone
+ * - orphan:  stored files no document points at
+ * - mock:    documents left in the mock-mode emulator while Drive is live
+ *            (driveService falls back to it when Drive fails; driveSyncQueue
+ *            moves the ones it queued on its own)
+ *
+ * Issues are per stored file, so a file shared by linked duplicates is one
+ * issue listing every document that points at it.
+ */
+class ReconcileService {
+    /**
+     * Every stored file the records point at, by "<storage>:<fileId>",
+     * with the documents and versions pointing at it
+     */
+    collectFiles() {
+        const files = new Map();
+        const students = [...Student.findAll(), ...Student.findTrash().students];
+
+        students.forEach(student => {
+            const documents = [
+                ...Object.entries(student.documents).flatMap(([linkType, list]) =>
+                    list.map(document => ({ document, documentType: linkType.replace(/Links$/, ''), inTrash: false }))),
+                ...(student.trash || []).map(t => ({ document: t.document, documentType: t.documentType, inTrash: true }))
+            ];
+
+            documents.forEach(({ document, documentType, inTrash }) => {
+                [document, ...(document.versions || [])].filter(entry => entry.fileId).forEach(entry => {
+                    const fileStorage = entry.storage || 'drive';
+                    const key = `${fileStorage}:${entry.fileId}`;
+                    if (!files.has(key)) {
+                        files.set(key, {
+                            storage: fileStorage,
+                            fileId: entry.fileId,
+                            fileName: entry.fileName,
+                            link: entry.shareableLink,
+                            size: entry.size,
+                            mimeType: entry.mimeType,
+                            checksum: entry.checksum,
+                            references: []
+                        });
+                    }
+                    files.get(key).references.push({
+                        studentId: student.studentId,
+                        documentType,
+                        documentId: document.id,
+                        version: entry === document ? null : entry.version,
+                        inTrash
+                    });
+                });
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Find the issues. Nothing is changed.
+     */
+    async scan() {
+        const drive = storage.get('drive');
+        const files = this.collectFiles();
+        const summary = { files: files.size, checked: 0, unchecked: 0, missing: 0, orphan: 0, mock: 0 };
+        const issues = [];
+        const unchecked = [];
+
+        for (const file of files.values()) {
+            // Drive ids cannot be checked while Drive is down
+            if (file.storage === 'drive' && !drive.live && !isMockId(file.fileId)) {
+                unchecked.push({ storage: file.storage, fileId: file.fileId, reason: 'Drive is not connected' });
+                continue;
+            }
+
+            let stored;
+            try {
+                stored = await storage.get(file.storage).getFile(file.fileId);
+            } catch (error) {
+                unchecked.push({ storage: file.storage, fileId: file.fileId, reason: error.message });
+                continue;
+            }
+
+            summary.checked++;
+            if (!stored) {
+                issues.push({ type: 'missing', ...file });
+            } else if (file.storage === 'drive' && drive.live && isMockId(file.fileId)) {
+                issues.push({ type: 'mock', ...file });
+            }
+        }
+        summary.unchecked = unchecked.length;
+
+        const { scanned, orphans } = await this.findOrphans(files);
+        issues.push(...orphans);
+        await this.matchCandidates(issues);
+
+        issues.forEach(issue => {
+            issue.id = `${issue.type}:${issue.storage}:${issue.fileId}`;
+            summary[issue.type]++;
+        });
+        issues.forEach(issue => { issue.repairs = this.repairsFor(issue, issues); });
+
+        return {
+            scannedAt: new Date().toISOString(),
+            storageProvider: storage.current().name,
+            driveLive: drive.live,
+            scanned,
+            summary,
+            issues,
+            unchecked
+        };
+    }
+
+    /**
+     * Stored files nothing points at, in every provider that can be listed:
+     * the local emulator always, Drive when live, and any other provider in
+     * use or configured
+     */
+    async findOrphans(files) {
+        const referenced = new Set([...files.values()].map(file => file.fileId));
+        const names = new Set(['local', 'drive', storage.current().name, ...[...files.values()].map(file => file.storage)]);
+        const scanned = [];
+        const orphans = [];
+
+        for (const name of names) {
+            let listed;
+            try {
+                listed = await storage.get(name).listFiles();
+            } catch (error) {
+                scanned.push({ storage: name, files: null, error: error.message });
+                continue;
+            }
+            scanned.push({ storage: name, files: listed ? listed.length : null });
+
+            (listed || []).filter(stored => !referenced.has(stored.id)).forEach(stored => orphans.push({
+                type: 'orphan',
+                storage: name,
+                fileId: stored.id,
+                fileName: stored.name,
+                size: stored.size,
+                createdTime: stored.createdTime,
+                link: stored.webViewLink
+            }));
+        }
+
+        return { scanned, orphans };
+    }
+
+    /**
+     * An orphan that looks like a missing file (same name and size, and the
+     * same checksum when both can be compared) is offered for relinking;
+     * one at the document's own link is preferred. Each orphan is offered
+     * once and names the missing file it belongs to (`candidateFor`).
+     */
+    async matchCandidates(issues) {
+        const orphans = issues.filter(issue => issue.type === 'orphan');
+
+        for (const missing of issues.filter(issue => issue.type === 'missing')) {
+            const samePathFirst = [...orphans].sort((a, b) =>
+                Number(samePath(b.link, missing.link)) - Number(samePath(a.link, missing.link)));
+
+            for (const orphan of samePathFirst) {
+                if (orphan.candidateFor || orphan.fileName !== missing.fileName) continue;
+                if (missing.size != null && orphan.size != null && Number(missing.size) !== Number(orphan.size)) continue;
+
+                const provider = storage.get(orphan.storage);
+                const localPath = missing.checksum && provider.localPath && provider.localPath(orphan.fileId);
+                if (localPath && await sha256File(localPath) !== missing.checksum) continue;
+
+                orphan.candidateFor = `missing:${missing.storage}:${missing.fileId}`;
+                missing.candidate = { storage: orphan.storage, fileId: orphan.fileId, fileName: orphan.fileName };
+                break;
+            }
+        }
+    }
+
+    /**
+     * Repairs offered for an issue. A missing file with a candidate is only
+     * relinked, never removed; an orphan that is (or may be) a missing
+     * file's content, by candidate or by name, is never offered for delete.
+     */
+    repairsFor(issue, issues) {
+        if (issue.type === 'missing') return issue.candidate ? ['relink'] : ['remove'];
+        if (issue.type === 'orphan') {
+            const maybeMissing = issue.candidateFor || issues.some(other =>
+                other.type === 'missing' && other.fileName === issue.fileName);
+            return maybeMissing ? [] : REPAIRS.orphan;
+        }
+        return REPAIRS[issue.type];
+    }
+
+    /**
+     * Apply `[{ id, action }]` to the issues of a fresh scan.
+     * Each repair reports { id, action, ok, error? } plus what it did.
+     */
+    async repair(requests) {
+        const { issues } = await this.scan();
+        const byId = new Map(issues.map(issue => [issue.id, issue]));
+        const results = [];
+
+        for (const { id, action } of requests) {
+            const issue = byId.get(id);
+            if (!issue) {
+                results.push({ id, action, ok: false, error: 'No such issue (already repaired?)' });
+                continue;
+            }
+            if (!issue.repairs.includes(action)) {
+                results.push({ id, action, ok: false, error: `"${action}" does not apply to this ${issue.type} file` });
+                continue;
+            }
+
+            try {
+                const done = await this[action](issue);
+                results.push({ id, action, ok: true, ...done });
+            } catch (error) {
+                results.push({ id, action, ok: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Point the documents of a missing file at the matching orphan. The
+     * documents keep their provider when it holds the orphan too (the
+     * local emulator is also mock-mode Drive's storage).
+     */
+    async relink(issue) {
+        const { candidate } = issue;
+        const own = await storage.get(issue.storage).getFile(candidate.fileId).catch(() => null);
+        const target = own ? issue.storage : candidate.storage;
+        const stored = own || await storage.get(candidate.storage).getFile(candidate.fileId);
+        if (!stored) throw new Error(`${candidate.fileId} is gone too`);
+
+        searchIndex.moveFileText(issue.fileId, candidate.fileId);
+        const documents = Student.relinkFile(
+            { storage: issue.storage, fileId: issue.fileId },
+            { storage: target, fileId: candidate.fileId, shareableLink: stored.webViewLink, downloadLink: stored.webContentLink }
+        );
+        return { fileId: candidate.fileId, documents };
+    }
+
+    /**
+     * Drop the entries pointing at a missing file: documents whose current
+     * file it is, and older versions that had it
+     */
+    async remove(issue) {
+        let removed = 0;
+        for (const ref of issue.references) {
+            let done;
+            if (ref.version !== null) {
+                done = Student.removeDocumentVersion(ref.studentId, ref.documentType, ref.documentId, ref.version);
+            } else if (ref.inTrash) {
+                done = Student.purgeDocument(ref.studentId, ref.documentId);
+            } else {
+                done = Student.removeDocumentLink(ref.studentId, ref.documentType, ref.documentId);
+            }
+            if (done) removed++;
+        }
+
+        searchIndex.forgetFile(issue.fileId);
+        return { removed };
+    }
+
+    /**
+     * Delete a stored file nothing points at
+     */
+    async delete(issue) {
+        if (Student.countFileReferences(issue.fileId) > 0) throw new Error('The file is referenced again');
+
+        const deleted = await storage.deleteFile(issue.storage, issue.fileId, { reason: 'orphan' });
+        if (!deleted) throw new Error('The file could not be deleted');
+
+        searchIndex.forgetFile(issue.fileId);
+        return { deleted };
+    }
+
+    /**
+     * Copy a mock-mode file to Drive, point its documents at the copy and
+     * remove the mock file
+     */
+    async upload(issue) {
+        const drive = storage.get('drive');
+        if (!drive.live) throw new Error('Drive is not connected');
+
+        const ref = issue.references[0];
+        const student = Student.findByStudentId(ref.studentId, { includeTrashed: true });
+        if (!student) throw new Error(`Student ${ref.studentId} not found`);
+
+        const tempPath = path.join(os.tmpdir(), `reconcile-${crypto.randomBytes(8).toString('hex')}`);
+        try {
+            // The upload consumes its input, so it gets a copy
+            const copied = await storage.withLocalFile(issue, localPath => {
+                fs.copyFileSync(localPath, tempPath);
+                return true;
+            });
+            if (!copied) throw new Error('The mock file cannot be read');
+
+            // Without the fallback a failed upload throws instead of landing in mock storage again
+            const uploaded = await storage.store(student, ref.documentType, tempPath, issue.fileName,
+                issue.mimeType || 'application/octet-stream', drive, { fallback: false });
+
+            searchIndex.moveFileText(issue.fileId, uploaded.fileId);
+            const documents = Student.relinkFile({ storage: issue.storage, fileId: issue.fileId }, uploaded);
+            await storage.deleteFile(issue.storage, issue.fileId, { reason: 'moved to Drive', movedTo: uploaded.fileId });
+
+            return { fileId: uploaded.fileId, documents };
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+}
+
+module.exports = new ReconcileService();
+module.exports.REPAIR_ACTIONS = REPAIR_ACTIONS;
@@ -0,0 +1,321 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Student = require('../models/Student');
+const DocumentType = require('../models/DocumentType');
+const { csvEscape } = require('../utils/csv');
+
+/**
+ * Student roster spreadsheets: bulk import from CSV/XLSX and export with
+ * document counts. (Not to be confused with models/Roster.js, which maps
+ * sign-in emails to roles.)
+ */
+
+const FIELDS = ['studentId', 'name', 'department', 'email', 'phone'];
+
+// Header spellings recognised when guessing the column mapping
+const FIELD_ALIASES = {
+    studentId: ['studentid', 'id', 'rollno', 'rollnumber', 'roll', 'regno', 'registrationnumber', 'enrollmentno', 'enrolmentno'],
+    name: ['name', 'studentname', 'fullname'],
+    department: ['department', 'dept', 'branch', 'program', 'programme'],
+    email: ['email', 'emailaddress', 'mail', 'emailid'],
+    phone: ['phone', 'phonenumber', 'mobile', 'mobileno', 'contact', 'contactno']
+};
+
+// Export column titles; they are also recognised by the import
+const FIELD_TITLES = {
+    studentId: 'Student ID',
+    name: 'Name',
+    department: 'Department',
+    email: 'Email',
+    phone: 'Phone'
+};
+
+// The ID formats the upload classifier recognises (ST101, STU101, 2024CS001, CS20240001)
+const STUDENT_ID_PATTERN = new RegExp(
+    process.env.STUDENT_ID_PATTERN || '^(ST\\d{3,}|STU\\d{3,}|\\d{4}[A-Z]{2,}\\d{3,}|[A-Z]{2,}\\d{4,})$', 'i');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MODES = ['upsert', 'skip'];
+
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function headerKey(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells, "" escapes, CRLF).
+ * The delimiter is whichever of , ; or tab appears most in the first line.
+ */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => [d, firstLine.split(d).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, number) => {
+        const cells = [];
+        for (let i = 1; i <= sheet.columnCount; i++) cells.push(row.getCell(i).text);
+        rows[number - 1] = cells;
+    });
+    return Array.from(rows, row => row || []);
+}
+
+// Undo the formula guard of csvEscape, so exports import unchanged
+function cellValue(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+class RosterService {
+    /**
+     * Is this a spreadsheet we can read? Browsers send CSV under several
+     * MIME types, so the extension decides.
+     */
+    isSpreadsheet(fileName) {
+        return ['.csv', '.xlsx'].includes(path.extname(fileName || '').toLowerCase());
+    }
+
+    /**
+     * Read the first sheet of a CSV/XLSX file into { headers, rows },
+     * where each row is { row: spreadsheet row number, cells }
+     */
+    async parse(buffer, fileName) {
+        const table = path.extname(fileName).toLowerCase() === '.xlsx'
+            ? await parseXlsx(buffer)
+            : parseCsv(buffer.toString('utf8'));
+
+        const [headerRow = [], ...body] = table;
+        const headers = headerRow.map(h => String(h).trim());
+        const rows = body
+            .map((cells, index) => ({ row: index + 2, cells: cells.map(c => String(c ?? '').trim()) }))
+            .filter(r => r.cells.some(Boolean));
+
+        return { headers, rows };
+    }
+
+    /**
+     * Guess which column holds each field from the header names
+     */
+    suggestMapping(headers) {
+        const mapping = {};
+        FIELDS.forEach(field => {
+            const header = headers.find(h =>
+                headerKey(h) === headerKey(FIELD_TITLES[field]) || FIELD_ALIASES[field].includes(headerKey(h)));
+            if (header) mapping[field] = header;
+        });
+        return mapping;
+    }
+
+    /**
+     * Check a { field: header } mapping sent by the client.
+     * Returns { mapping } or { error }.
+     */
+    cleanMapping(input, headers) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'mapping must be an object of field → column' };
+        }
+
+        const mapping = {};
+        for (const [field, header] of Object.entries(input)) {
+            if (!header) continue;
+            if (!FIELDS.includes(field)) return { error: `Unknown field "${field}"` };
+            if (!headers.includes(header)) return { error: `Column "${header}" is not in the file` };
+            mapping[field] = header;
+        }
+
+        if (!mapping.studentId) return { error: 'The student ID column must be mapped' };
+        if (!mapping.name) return { error: 'The name column must be mapped' };
+        return { mapping };
+    }
+
+    /**
+     * Work out what importing each row would do, without changing anything.
+     * `canWrite(department)` says whether the caller may manage a department.
+     * Every row gets an action: create, update, unchanged, skip or error.
+     */
+    plan({ rows, headers }, mapping, { mode = 'upsert', canWrite = () => true } = {}) {
+        const columns = {};
+        Object.entries(mapping).forEach(([field, header]) => { columns[field] = headers.indexOf(header); });
+
+        const seen = new Map();
+
+        return rows.map(({ row, cells }) => {
+            const values = {};
+            FIELDS.forEach(field => {
+                if (columns[field] !== undefined) values[field] = cellValue(cells[columns[field]] || '');
+            });
+
+            const result = { row, studentId: values.studentId, name: values.name, action: null, errors: [] };
+            const errors = result.errors;
+            const idKey = String(values.studentId || '').toLowerCase();
+
+            if (!values.studentId) {
+                errors.push('Student ID is missing');
+            } else if (!STUDENT_ID_PATTERN.test(values.studentId)) {
+                errors.push(`Student ID "${values.studentId}" does not match the expected format`);
+            } else if (seen.has(idKey)) {
+                errors.push(`Duplicate student ID (also on row ${seen.get(idKey)})`);
+            }
+            if (idKey && !seen.has(idKey)) seen.set(idKey, row);
+
+            if (!values.name) errors.push('Name is missing');
+            if (values.email && !EMAIL_PATTERN.test(values.email)) {
+                errors.push(`Email "${values.email}" is not valid`);
+            }
+
+            const existing = values.studentId && Student.findByStudentId(values.studentId, { includeTrashed: true });
+            if (existing && existing.deletedAt) {
+                errors.push('Student is in the trash; restore it instead');
+            }
+
+            // Blank cells never overwrite what is already on record
+            const fields = {};
+            FIELDS.forEach(field => {
+                if (field !== 'studentId' && values[field]) fields[field] = values[field];
+            });
+
+            if (errors.length === 0) {
+                if (!existing) {
+                    if (!canWrite(fields.department)) {
+                        errors.push(`Not allowed to add students to department "${fields.department || '(none)'}"`);
+                    } else {
+                        result.action = 'create';
+                        result.fields = fields;
+                    }
+                } else if (mode === 'skip') {
+                    result.action = 'skip';
+                } else {
+                    const changes = Object.keys(fields).filter(f => fields[f] !== existing[f]);
+                    if (!canWrite(existing.department) ||
+                        (changes.includes('department') && !canWrite(fields.department))) {
+                        errors.push('Not allowed to update this student');
+                    } else if (changes.length === 0) {
+                        result.action = 'unchanged';
+                    } else {
+                        result.action = 'update';
+                        result.changes = changes;
+                        result.fields = Object.fromEntries(changes.map(f => [f, fields[f]]));
+                    }
+                }
+            }
+
+            if (errors.length) result.action = 'error';
+            return result;
+        });
+    }
+
+    /**
+     * Apply the create/update rows of a plan. Rows with errors are left out.
+     */
+    apply(plan) {
+        plan.forEach(item => {
+            if (item.action === 'create') {
+                Student.create({ studentId: item.studentId, ...item.fields });
+            } else if (item.action === 'update') {
+                Student.update(item.studentId, item.fields);
+            }
+        });
+    }
+
+    /**
+     * Count rows per action
+     */
+    summarize(plan) {
+        const summary = { total: plan.length, create: 0, update: 0, unchanged: 0, skip: 0, error: 0 };
+        plan.forEach(item => { summary[item.action]++; });
+        return summary;
+    }
+
+    /**
+     * Roster rows with the number of documents of each type
+     */
+    exportRows(students) {
+        const types = DocumentType.findAll();
+        const header = [
+            ...FIELDS.map(f => FIELD_TITLES[f]),
+            ...types.map(t => t.label),
+            'Total documents',
+            'Created'
+        ];
+
+        const rows = students
+            .slice()
+            .sort((a, b) => String(a.studentId).localeCompare(String(b.studentId)))
+            .map(student => {
+                const { documentCounts, documentCount } = Student.toListItem(student);
+                return [
+                    ...FIELDS.map(f => student[f] || ''),
+                    ...types.map(t => documentCounts[t.key]),
+                    documentCount,
+                    student.createdAt
+                ];
+            });
+
+        return [header, ...rows];
+    }
+
+    toCsv(students) {
+        return this.exportRows(students).map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+    }
+
+    async toXlsx(students) {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Students');
+        this.exportRows(students).forEach(row => sheet.addRow(row));
+        sheet.getRow(1).font = { bold: true };
+        sheet.columns.forEach(column => { column.width = 18; });
+        return workbook.xlsx.writeBuffer();
+    }
+}
+
+module.exports = new RosterService();
+module.exports.FIELDS = FIELDS;
+module.exports.MODES = MODES;
+module.exports.XLSX = XLSX;
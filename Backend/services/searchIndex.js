@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const Student = require('../models/Student');
+const DocumentType = require('../models/DocumentType');
+const storage = require('./storage');
+const textExtractor = require('./textExtractor');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+// Extracted document text, by fileId. Everything else is rebuilt in memory
+// from the student records on first search.
+const INDEX_PATH = path.join(__dirname, '../database/searchIndex.json');
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    // student entries
+    studentId: 6,
+    name: 5,
+    email: 3,
+    department: 2,
+    // document entries
+    fileName: 4,
+    tags: 3,
+    type: 2,
+    notes: 1.5,
+    student: 1,
+    text: 1
+};
+
+const STOP_WORDS = new Set(['an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'is', 'or']);
+const SNIPPET_WIDTH = 120;
+const DOCUMENTS_PER_STUDENT = 5;
+
+// For documents stored before the MIME type was recorded
+const EXTENSION_TYPES = {
+    '.pdf': 'application/pdf',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+function normalize(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 2 && !STOP_WORDS.has(t));
+}
+
+function countTerms(text) {
+    const counts = {};
+    tokenize(text).forEach(term => { counts[term] = (counts[term] || 0) + 1; });
+    return counts;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A piece of `text` around the first match, with the [start, end)
+ * offsets of every matched term in it
+ */
+function snippet(text, terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+    const first = pattern.exec(text);
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_WIDTH) {
+        const at = first ? first.index : 0;
+        start = Math.max(0, at - SNIPPET_WIDTH / 3);
+        end = Math.min(text.length, start + SNIPPET_WIDTH);
+        // Do not cut words in half
+        const before = text.indexOf(' ', start);
+        if (start > 0 && before !== -1 && before < at) start = before + 1;
+        const after = text.lastIndexOf(' ', end);
+        if (end < text.length && after > at) end = after;
+    }
+
+    const piece = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+    const highlights = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(piece)) !== null) {
+        highlights.push([match.index, match.index + match[0].length]);
+    }
+
+    return { text: piece, highlights };
+}
+
+/**
+ * Full-text search over students and their documents (file names, tags,
+ * notes and text extracted from PDF/DOCX/XLSX files and OCRed images).
+ * Kept in step with the student records through Student's 'change' event.
+ */
+class SearchIndex {
+    constructor() {
+        this.texts = null;
+        this.entries = null;
+
+        Student.on('change', studentId => this.reindexStudent(studentId));
+    }
+
+    loadTexts() {
+        if (this.texts) return this.texts;
+
+        try {
+            this.texts = fs.existsSync(INDEX_PATH) ? readJson(INDEX_PATH).texts || {} : {};
+        } catch (error) {
+            console.error('⚠️  Search index unreadable, starting empty. Run npm run search:rebuild.');
+            this.texts = {};
+        }
+        return this.texts;
+    }
+
+    saveTexts() {
+        writeJsonAtomic(INDEX_PATH, { updatedAt: new Date().toISOString(), texts: this.texts });
+    }
+
+    /**
+     * Remember the extracted text of a stored file
+     */
+    setFileText(fileId, text) {
+        if (!fileId || !text) return;
+        this.loadTexts()[fileId] = text;
+        this.saveTexts();
+    }
+
+    /**
+     * Forget the text of a file that has been deleted
+     */
+    forgetFile(fileId) {
+        if (!this.loadTexts()[fileId]) return;
+        delete this.texts[fileId];
+        this.saveTexts();
+    }
+
+    /**
+     * Keep the text of a file that is now stored under another id
+     */
+    moveFileText(fromId, toId) {
+        const text = this.loadTexts()[fromId];
+        if (!text) return;
+        this.texts[toId] = text;
+        delete this.texts[fromId];
+        this.saveTexts();
+    }
+
+    /**
+     * Drop everything held in memory, e.g. after a database restore
+     */
+    reload() {
+        this.texts = null;
+        this.entries = null;
+    }
+
+    /**
+     * Build the in-memory index on first use
+     */
+    ensureBuilt() {
+        if (this.entries) return;
+
+        this.entries = new Map();
+        this.postings = new Map();
+        this.students = new Map();
+        this.loadTexts();
+        Student.findAll().forEach(student => this.addStudent(student));
+    }
+
+    addEntry(entry, fields) {
+        entry.fields = fields;
+        entry.terms = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            entry.terms[field] = countTerms(value);
+            Object.keys(entry.terms[field]).forEach(term => {
+                if (!this.postings.has(term)) this.postings.set(term, new Set());
+                this.postings.get(term).add(entry.id);
+            });
+        });
+        this.entries.set(entry.id, entry);
+        return entry.id;
+    }
+
+    addStudent(student) {
+        const ids = [this.addEntry({ id: `student:${student.studentId}`, kind: 'student', studentId: student.studentId }, {
+            studentId: student.studentId,
+            name: student.name,
+            email: student.email,
+            department: student.department
+        })];
+
+        DocumentType.findAll().forEach(type => {
+            (student.documents[`${type.key}Links`] || []).forEach(document => {
+                ids.push(this.addEntry({
+                    id: `document:${document.id}`,
+                    kind: 'document',
+                    studentId: student.studentId,
+                    documentType: type.key,
+                    document
+                }, {
+                    fileName: document.fileName,
+                    tags: (document.tags || []).join(' '),
+                    type: type.label,
+                    notes: document.notes || '',
+                    student: `${student.studentId} ${student.name}`,
+                    text: this.texts[document.fileId] || ''
+                }));
+            });
+        });
+
+        this.students.set(student.studentId, {
+            name: student.name,
+            department: student.department,
+            entryIds: ids
+        });
+    }
+
+    removeStudent(studentId) {
+        const indexed = this.students.get(studentId);
+        if (!indexed) return;
+
+        indexed.entryIds.forEach(id => {
+            const entry = this.entries.get(id);
+            if (!entry) return;
+            Object.values(entry.terms).forEach(counts => Object.keys(counts).forEach(term => {
+                const ids = this.postings.get(term);
+                if (!ids) return;
+                ids.delete(id);
+                if (ids.size === 0) this.postings.delete(term);
+            }));
+            this.entries.delete(id);
+        });
+        this.students.delete(studentId);
+    }
+
+    /**
+     * Re-index one student and their documents (trashed students drop out)
+     */
+    reindexStudent(studentId) {
+        if (!this.entries) return;
+
+        this.removeStudent(studentId);
+        const student = Student.findByStudentId(studentId);
+        if (student) this.addStudent(student);
+    }
+
+    /**
+     * Ranked search, grouped by student.
+     * `studentIds` (a Set) limits results to the students the caller may see.
+     */
+    search(query, { studentIds = null, limit = 20 } = {}) {
+        this.ensureBuilt();
+
+        const tokens = [...new Set(tokenize(query))];
+        if (tokens.length === 0) return { query, total: 0, results: [] };
+
+        const hits = new Map();
+        tokens.forEach((token, index) => {
+            // The last word may still be being typed: also match it as a prefix
+            const terms = [[token, 1]];
+            if (index === tokens.length - 1) {
+                for (const term of this.postings.keys()) {
+                    if (term !== token && term.startsWith(token)) terms.push([term, 0.5]);
+                }
+            }
+
+            terms.forEach(([term, boost]) => {
+                const ids = this.postings.get(term);
+                if (!ids) return;
+                const idf = Math.log(1 + this.entries.size / ids.size);
+
+                ids.forEach(id => {
+                    const entry = this.entries.get(id);
+                    if (studentIds && !studentIds.has(entry.studentId)) return;
+
+                    const hit = hits.get(id) || { score: 0, tokens: new Set(), terms: new Set(), fields: {} };
+                    Object.entries(entry.terms).forEach(([field, counts]) => {
+                        if (!counts[term]) return;
+                        const score = FIELD_WEIGHTS[field] * (1 + Math.log(counts[term])) * idf * boost;
+                        hit.score += score;
+                        hit.fields[field] = (hit.fields[field] || 0) + score;
+                    });
+                    hit.tokens.add(index);
+                    hit.terms.add(term);
+                    hits.set(id, hit);
+                });
+            });
+        });
+
+        const groups = new Map();
+        hits.forEach((hit, id) => {
+            // Every word has to match somewhere in the entry
+            if (hit.tokens.size < tokens.length) return;
+
+            const entry = this.entries.get(id);
+            const snippets = Object.entries(hit.fields)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 2)
+                .map(([field]) => ({ field, ...snippet(String(entry.fields[field]), [...hit.terms]) }));
+
+            const info = this.students.get(entry.studentId);
+            const group = groups.get(entry.studentId) || {
+                studentId: entry.studentId,
+                name: info.name,
+                department: info.department,
+                score: 0,
+                student: null,
+                documents: []
+            };
+
+            if (entry.kind === 'student') {
+                group.student = { score: hit.score, snippets };
+            } else {
+                group.documents.push({
+                    documentId: entry.document.id,
+                    documentType: entry.documentType,
+                    fileName: entry.document.fileName,
+                    shareableLink: entry.document.shareableLink,
+                    score: hit.score,
+                    snippets
+                });
+            }
+            group.score = Math.max(group.score, hit.score);
+            groups.set(entry.studentId, group);
+        });
+
+        const results = [...groups.values()].sort((a, b) => b.score - a.score);
+        results.forEach(group => {
+            group.documents.sort((a, b) => b.score - a.score);
+            group.documentMatches = group.documents.length;
+            group.documents = group.documents.slice(0, DOCUMENTS_PER_STUDENT);
+        });
+
+        return { query, total: results.length, results: results.slice(0, limit) };
+    }
+
+    /**
+     * Re-extract the text of every stored document and rebuild the index
+     */
+    async rebuild() {
+        const texts = {};
+        const stats = { students: 0, documents: 0, extracted: 0 };
+
+        const trash = Student.findTrash();
+        const students = [...Student.findAll(), ...trash.students];
+
+        for (const student of students) {
+            stats.students++;
+            const documents = [
+                ...Object.values(student.documents).flat(),
+                ...(student.trash || []).map(t => t.document)
+            ];
+
+            for (const document of documents) {
+                stats.documents++;
+                const mimeType = document.mimeType ||
+                    EXTENSION_TYPES[path.extname(document.fileName || '').toLowerCase()];
+                if (!document.fileId || texts[document.fileId] || !textExtractor.supports(mimeType)) continue;
+
+                const text = await storage.withLocalFile(document,
+                    localPath => textExtractor.extractText(localPath, mimeType));
+                if (text) {
+                    texts[document.fileId] = text;
+                    stats.extracted++;
+                }
+            }
+        }
+
+        this.texts = texts;
+        this.saveTexts();
+        this.entries = null;
+        this.ensureBuilt();
+
+        return stats;
+    }
+}
+
+module.exports = new SearchIndex();
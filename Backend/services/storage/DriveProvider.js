@@ -0,0 +1,80 @@
+/**
+ * Google Drive storage (services/driveService.js). In mock mode driveService
+ * itself falls back to the local emulator, with `mock-` ids.
+ */
+class DriveProvider {
+    constructor(driveService) {
+        this.name = 'drive';
+        this.drive = driveService;
+    }
+
+    // False in mock mode, when ids that are not `mock-` cannot be checked
+    get live() {
+        return !this.drive.isMockMode;
+    }
+
+    // False without credentials: then ids that are not `mock-` never become reachable
+    get configured() {
+        return this.drive.isConfigured;
+    }
+
+    // Whether a file or folder can be reached now: in mock mode only `mock-` ids
+    reachable(fileId) {
+        return this.live || this.drive.isMockId(fileId);
+    }
+
+    status() {
+        return this.drive.status();
+    }
+
+    async ensureStudentFolder(studentId, knownFolderId = null) {
+        // A mock folder recorded while Drive was down is not reused once it is back
+        if (knownFolderId && !(this.live && this.drive.isMockId(knownFolderId))) return knownFolderId;
+        return (await this.drive.getStudentFolder(studentId)) || this.drive.createStudentFolder(studentId);
+    }
+
+    ensureTypeFolder(studentFolderId, documentType, studentId) {
+        return this.drive.getDocumentTypeFolder(studentFolderId, documentType, studentId);
+    }
+
+    findStudentFolder(studentId) {
+        return this.drive.getStudentFolder(studentId);
+    }
+
+    // `fallback: false` fails instead of storing in mock mode
+    async upload(filePath, fileName, mimeType, folderId, options) {
+        const result = await this.drive.uploadFile(filePath, fileName, mimeType, folderId, options);
+        return { storage: this.name, ...result };
+    }
+
+    move(fileId, folderId) {
+        return this.drive.moveFile(fileId, folderId);
+    }
+
+    delete(fileId) {
+        return this.drive.deleteFile(fileId);
+    }
+
+    getFile(fileId) {
+        return this.drive.getFile(fileId);
+    }
+
+    listFolder(folderId) {
+        return this.drive.listFolder(folderId);
+    }
+
+    // Drive only; the emulator's files are listed by the local provider
+    listFiles() {
+        return this.drive.listAllFiles();
+    }
+
+    createReadStream(fileId) {
+        return this.drive.createReadStream(fileId);
+    }
+
+    localPath(fileId) {
+        return this.drive.mockPathFor(fileId);
+    }
+}
+
+module.exports = DriveProvider;
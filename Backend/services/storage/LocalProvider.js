@@ -0,0 +1,88 @@
+const fs = require('fs');
+const LocalDrive = require('../localDrive');
+const DocumentType = require('../../models/DocumentType');
+
+/**
+ * Files on this server's disk, laid out like Drive (`<studentId>/<Type
+ * folder>/`) by the same emulator mock mode uses. Links are served by the
+ * /uploads static route.
+ */
+class LocalProvider {
+    constructor(rootPath = LocalDrive.DEFAULT_ROOT) {
+        this.name = 'local';
+        this.local = new LocalDrive(rootPath);
+    }
+
+    folder(id) {
+        const entry = id && this.local.get(id);
+        return entry && entry.mimeType === LocalDrive.FOLDER_MIME_TYPE ? entry : null;
+    }
+
+    ensureStudentFolder(studentId, knownFolderId = null) {
+        if (this.folder(knownFolderId)) return knownFolderId;
+
+        const mainFolder = this.local.ensureFolder(studentId);
+        DocumentType.findAll().forEach(t => this.local.ensureFolder(t.folderName, mainFolder.id));
+        return mainFolder.id;
+    }
+
+    ensureTypeFolder(studentFolderId, documentType, studentId) {
+        const parentId = this.folder(studentFolderId) ? studentFolderId : this.ensureStudentFolder(studentId);
+        return this.local.ensureFolder(DocumentType.folderName(documentType), parentId).id;
+    }
+
+    findStudentFolder(studentId) {
+        const folder = this.local.list({ parentId: null, name: studentId, mimeType: LocalDrive.FOLDER_MIME_TYPE })[0];
+        return folder ? folder.id : null;
+    }
+
+    upload(filePath, fileName, mimeType, folderId) {
+        const file = this.local.createFile(filePath, fileName, mimeType, folderId);
+        return {
+            storage: this.name,
+            fileId: file.id,
+            fileName,
+            shareableLink: file.webViewLink,
+            downloadLink: file.webContentLink
+        };
+    }
+
+    move(fileId, folderId) {
+        const file = this.local.move(fileId, folderId);
+        return file && { fileId: file.id, shareableLink: file.webViewLink, downloadLink: file.webContentLink };
+    }
+
+    delete(fileId) {
+        return this.local.delete(fileId);
+    }
+
+    getFile(fileId) {
+        return this.folder(fileId) || (this.localPath(fileId) ? this.local.get(fileId) : null);
+    }
+
+    listFolder(folderId) {
+        return this.folder(folderId) ? this.local.list({ parentId: folderId }) : null;
+    }
+
+    // Every file in the emulator, the ones mock-mode Drive uploads went to included
+    async listFiles() {
+        return this.local.list()
+            .filter(entry => entry.mimeType !== LocalDrive.FOLDER_MIME_TYPE)
+            .filter(entry => this.localPath(entry.id));
+    }
+
+    async createReadStream(fileId) {
+        const localPath = this.localPath(fileId);
+        return localPath ? fs.createReadStream(localPath) : null;
+    }
+
+    localPath(fileId) {
+        const file = this.local.get(fileId);
+        if (!file || file.mimeType === LocalDrive.FOLDER_MIME_TYPE) return null;
+
+        const localPath = this.local.localPath(fileId);
+        return fs.existsSync(localPath) ? localPath : null;
+    }
+}
+
+module.exports = LocalProvider;
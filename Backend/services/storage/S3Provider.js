@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FOLDER_MIME_TYPE } = require('../localDrive');
+const DocumentType = require('../../models/DocumentType');
+
+const LINK_PREFIX = '/files/s3/';
+const MAX_DELETE_BATCH = 1000;
+
+// Files are stored as `<16 hex>-<name>` so two uploads never collide
+const KEY_NAME = /^[0-9a-f]{16}-(.+)$/;
+
+function safeName(name) {
+    return String(name || 'untitled').replace(/[/\\\0]/g, '_');
+}
+
+function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * An S3-compatible bucket (AWS S3, MinIO, ...).
+ *
+ * Folders are key prefixes (`<studentId>/<Type folder>/`), so they exist as
+ * soon as something is stored in them; file ids are object keys. Objects
+ * stay private: links point at GET /files/s3/<key>, which streams the
+ * object through this server.
+ */
+class S3Provider {
+    constructor({ bucket, prefix, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = {}) {
+        if (!bucket) throw new Error('S3_BUCKET must be set to use STORAGE_PROVIDER=s3');
+
+        this.s3 = require('@aws-sdk/client-s3');
+        this.name = 's3';
+        this.linksThroughServer = true;
+        this.bucket = bucket;
+        this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+        this.client = new this.s3.S3Client({
+            region: region || 'us-east-1',
+            ...(endpoint && { endpoint }),
+            forcePathStyle: Boolean(forcePathStyle),
+            ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+        });
+    }
+
+    send(Command, input) {
+        return this.client.send(new this.s3[Command]({ Bucket: this.bucket, ...input }));
+    }
+
+    link(key) {
+        return `${LINK_PREFIX}${encodeURIComponent(key)}`;
+    }
+
+    // Only keys under our prefix are ours to read or delete
+    owns(key) {
+        return typeof key === 'string' && key.startsWith(this.prefix) && !key.split('/').includes('..');
+    }
+
+    ensureStudentFolder(studentId, knownFolderId = null) {
+        if (this.owns(knownFolderId) && knownFolderId.endsWith('/')) return knownFolderId;
+        return `${this.prefix}${safeName(studentId)}/`;
+    }
+
+    ensureTypeFolder(studentFolderId, documentType, studentId) {
+        return `${this.ensureStudentFolder(studentId, studentFolderId)}${safeName(DocumentType.folderName(documentType))}/`;
+    }
+
+    findStudentFolder(studentId) {
+        return `${this.prefix}${safeName(studentId)}/`;
+    }
+
+    async upload(filePath, fileName, mimeType, folderId) {
+        const key = `${folderId}${crypto.randomBytes(8).toString('hex')}-${safeName(fileName)}`;
+
+        await this.send('PutObjectCommand', {
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: fs.statSync(filePath).size,
+            ContentType: mimeType || 'application/octet-stream',
+            Metadata: { filename: encodeURIComponent(fileName) }
+        });
+        fs.unlinkSync(filePath);
+
+        return {
+            storage: this.name,
+            fileId: key,
+            fileName,
+            shareableLink: this.link(key),
+            downloadLink: this.link(key)
+        };
+    }
+
+    async move(fileId, folderId) {
+        if (!this.owns(fileId) || !this.owns(folderId)) return null;
+
+        const key = `${folderId}${path.posix.basename(fileId)}`;
+        try {
+            await this.send('CopyObjectCommand', {
+                Key: key,
+                CopySource: `${this.bucket}/${fileId.split('/').map(encodeURIComponent).join('/')}`,
+                MetadataDirective: 'COPY'
+            });
+            await this.send('DeleteObjectCommand', { Key: fileId });
+            return { fileId: key, shareableLink: this.link(key), downloadLink: this.link(key) };
+        } catch (error) {
+            console.error('Error moving file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Every key under a prefix
+     */
+    async listKeys(prefix) {
+        const keys = [];
+        let ContinuationToken;
+        do {
+            const page = await this.send('ListObjectsV2Command', { Prefix: prefix, ContinuationToken });
+            (page.Contents || []).forEach(object => keys.push(object.Key));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return keys;
+    }
+
+    async delete(fileId) {
+        if (!this.owns(fileId)) return false;
+
+        try {
+            if (fileId.endsWith('/')) {
+                const keys = await this.listKeys(fileId);
+                for (let i = 0; i < keys.length; i += MAX_DELETE_BATCH) {
+                    await this.send('DeleteObjectsCommand', {
+                        Delete: { Objects: keys.slice(i, i + MAX_DELETE_BATCH).map(Key => ({ Key })), Quiet: true }
+                    });
+                }
+                return keys.length > 0;
+            }
+
+            // DeleteObject succeeds for missing keys too; report those as not deleted
+            if (!(await this.getFile(fileId))) return false;
+            await this.send('DeleteObjectCommand', { Key: fileId });
+            return true;
+        } catch (error) {
+            console.error('Error deleting file:', error.message);
+            return false;
+        }
+    }
+
+    async getFile(fileId) {
+        if (!this.owns(fileId) || fileId.endsWith('/')) return null;
+
+        try {
+            const head = await this.send('HeadObjectCommand', { Key: fileId });
+            const baseName = path.posix.basename(fileId);
+            const storedName = head.Metadata && head.Metadata.filename;
+            return {
+                id: fileId,
+                name: storedName ? decodeURIComponent(storedName) : (KEY_NAME.exec(baseName) || [, baseName])[1],
+                mimeType: head.ContentType,
+                size: head.ContentLength,
+                parents: [fileId.slice(0, fileId.length - baseName.length)],
+                createdTime: head.LastModified && head.LastModified.toISOString(),
+                webViewLink: this.link(fileId),
+                webContentLink: this.link(fileId)
+            };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async listFolder(folderId) {
+        if (!this.owns(folderId) || !folderId.endsWith('/')) return null;
+
+        const entries = [];
+        let ContinuationToken;
+        do {
+            const page = await this.send('ListObjectsV2Command', { Prefix: folderId, Delimiter: '/', ContinuationToken });
+            (page.CommonPrefixes || []).forEach(({ Prefix }) => entries.push({
+                id: Prefix,
+                name: Prefix.slice(folderId.length, -1),
+                mimeType: FOLDER_MIME_TYPE,
+                parents: [folderId]
+            }));
+            (page.Contents || []).filter(object => object.Key !== folderId)
+                .forEach(object => entries.push(this.describeObject(object)));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return entries;
+    }
+
+    /**
+     * Every stored object under the prefix
+     */
+    async listFiles() {
+        const files = [];
+        let ContinuationToken;
+        do {
+            const page = await this.send('ListObjectsV2Command', { Prefix: this.prefix, ContinuationToken });
+            (page.Contents || []).filter(object => !object.Key.endsWith('/'))
+                .forEach(object => files.push(this.describeObject(object)));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return files;
+    }
+
+    /**
+     * Listing entry of an object (the name comes from the key; HEAD has the stored one)
+     */
+    describeObject(object) {
+        const baseName = path.posix.basename(object.Key);
+        return {
+            id: object.Key,
+            name: (KEY_NAME.exec(baseName) || [, baseName])[1],
+            size: object.Size,
+            parents: [object.Key.slice(0, object.Key.length - baseName.length)],
+            createdTime: object.LastModified && object.LastModified.toISOString(),
+            webViewLink: this.link(object.Key),
+            webContentLink: this.link(object.Key)
+        };
+    }
+
+    async createReadStream(fileId) {
+        if (!this.owns(fileId)) return null;
+
+        try {
+            const response = await this.send('GetObjectCommand', { Key: fileId });
+            return response.Body;
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = S3Provider;
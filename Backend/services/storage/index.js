@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const AuditLog = require('../../models/AuditLog');
+const Student = require('../../models/Student');
+const LocalDrive = require('../localDrive');
+require('dotenv').config();
+
+const DEFAULT_PROVIDER = 'drive';
+
+/**
+ * Where uploaded files live, selected by STORAGE_PROVIDER:
+ * - drive (default): Google Drive, or the local emulator in mock mode
+ * - local: the local emulator (uploads/mock_drive), on purpose
+ * - s3:    an S3-compatible bucket (AWS, MinIO...), see S3Provider
+ *
+ * Every document records the provider that holds its file (`storage`),
+ * so documents stored under an earlier setting keep working.
+ *
+ * Every provider implements:
+ *   name                                                → 'drive' | 'local' | 's3'
+ *   ensureStudentFolder(studentId, knownFolderId)       → folderId
+ *   ensureTypeFolder(studentFolderId, type, studentId)  → folderId
+ *   findStudentFolder(studentId)                        → folderId | null
+ *   upload(filePath, fileName, mimeType, folderId)      → { storage, fileId, fileName, shareableLink, downloadLink }
+ *   move(fileId, folderId)                              → { fileId, shareableLink, downloadLink } | null
+ *   delete(fileId)                                      → boolean (folders: with their content)
+ *   getFile(fileId)                                     → { id, name, mimeType, size, ... } | null
+ *   listFolder(folderId)                                → entry[] | null
+ *   createReadStream(fileId)                            → Promise<Readable | null>
+ *   listFiles()                                         → every stored file, or null if it cannot be listed
+ * and optionally:
+ *   localPath(fileId)                                   → absolute path | null
+ *   linksThroughServer                                  → true when links go through GET /files/:provider/:fileId
+ */
+const PROVIDERS = {
+    drive: () => {
+        const DriveProvider = require('./DriveProvider');
+        return new DriveProvider(require('../driveService'));
+    },
+    local: () => {
+        const LocalProvider = require('./LocalProvider');
+        return new LocalProvider();
+    },
+    s3: () => {
+        const S3Provider = require('./S3Provider');
+        return new S3Provider({
+            bucket: process.env.S3_BUCKET,
+            prefix: process.env.S3_PREFIX,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        });
+    }
+};
+
+const instances = new Map();
+
+/**
+ * Register the emulator files stored before it had an index under the ids
+ * their documents recorded (see LocalDrive.adoptLegacy)
+ */
+function adoptLegacyFiles() {
+    const documents = [...Student.findAll(), ...Student.findTrash().students]
+        .flatMap(student => [
+            ...Object.values(student.documents).flat(),
+            ...(student.trash || []).map(t => t.document)
+        ])
+        .flatMap(document => [document, ...(document.versions || [])])
+        .filter(document => (document.storage || DEFAULT_PROVIDER) !== 's3');
+
+    try {
+        const adopted = new LocalDrive(LocalDrive.DEFAULT_ROOT).adoptLegacy(documents);
+        if (adopted) console.log(`📦 Indexed ${adopted} mock file(s) stored before the emulator index`);
+    } catch (error) {
+        console.warn('⚠️  Could not index the old mock files:', error.message);
+    }
+}
+
+/**
+ * A provider by name, created on first use; the first one also indexes the
+ * old mock files
+ */
+function get(name) {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown storage provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!instances.size) adoptLegacyFiles();
+    if (!instances.has(name)) instances.set(name, PROVIDERS[name]());
+    return instances.get(name);
+}
+
+/**
+ * The provider new uploads go to
+ */
+function current() {
+    return get(process.env.STORAGE_PROVIDER || DEFAULT_PROVIDER);
+}
+
+/**
+ * The provider holding a document's (or version's) file
+ */
+function forDocument(document) {
+    return get(document.storage || DEFAULT_PROVIDER);
+}
+
+/**
+ * Upload a file to the student's folder for a document type. Only Drive
+ * folder ids are kept on the student; the other providers find folders by
+ * student ID. `options` go to the provider's upload (Drive: `fallback`).
+ */
+async function store(student, documentType, filePath, fileName, mimeType, provider = current(), options = {}) {
+    const isDrive = provider.name === 'drive';
+
+    const studentFolderId = await provider.ensureStudentFolder(student.studentId, isDrive ? student.driveFolderId : null);
+    if (isDrive && studentFolderId !== student.driveFolderId) {
+        Student.setDriveFolderId(student.studentId, studentFolderId);
+    }
+
+    const typeFolderId = await provider.ensureTypeFolder(studentFolderId, documentType, student.studentId);
+    return provider.upload(filePath, fileName, mimeType, typeFolderId, options);
+}
+
+/**
+ * Delete a stored file or folder. `target` (studentId, documentId...) is
+ * only used for the audit trail.
+ */
+async function deleteFile(storage, fileId, target = {}) {
+    const deleted = await get(storage || DEFAULT_PROVIDER).delete(fileId);
+    if (deleted) {
+        AuditLog.record('file.delete', { type: 'file', ...target, storage: storage || DEFAULT_PROVIDER, fileId });
+    }
+    return deleted;
+}
+
+/**
+ * Run `fn(localPath)` on a document's file. Files that are not on this
+ * machine are downloaded to a temporary file for the duration of the call.
+ * Resolves to null if the file cannot be read.
+ */
+async function withLocalFile(document, fn) {
+    const provider = forDocument(document);
+    const localPath = provider.localPath && provider.localPath(document.fileId);
+    if (localPath) return fn(localPath);
+
+    const tempPath = path.join(os.tmpdir(), `storage-${crypto.randomBytes(8).toString('hex')}`);
+    try {
+        const stream = await provider.createReadStream(document.fileId);
+        if (!stream) return null;
+
+        await pipeline(stream, fs.createWriteStream(tempPath));
+        return await fn(tempPath);
+    } catch (error) {
+        console.error(`Error reading file ${document.fileId}:`, error.message);
+        return null;
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+}
+
+module.exports = {
+    PROVIDERS: Object.keys(PROVIDERS),
+    get,
+    current,
+    forDocument,
+    store,
+    deleteFile,
+    withLocalFile,
+    adoptLegacyFiles
+};
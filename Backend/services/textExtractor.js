@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Text Extractor
+ * Plain text from uploaded documents, for the classifier and the search
+ * index: PDF, DOCX and XLSX are read, JPEG/PNG images are OCRed.
+ * Unsupported or unreadable files give an empty string; extraction
+ * problems never fail an upload.
+ */
+
+// Keep the index a sensible size for long documents
+const MAX_TEXT_LENGTH = 100000;
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// OCR needs tesseract language data on disk: it is on only when
+// OCR_LANG_PATH points at a directory holding <lang>.traineddata(.gz) for
+// each of OCR_LANGUAGES, so no upload ever waits on a download.
+// OCR_ENABLED=false turns it off regardless.
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH;
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const OCR_ENABLED = !!OCR_LANG_PATH && process.env.OCR_ENABLED !== 'false';
+const OCR_TIMEOUT_MS = (parseInt(process.env.OCR_TIMEOUT_SECONDS, 10) || 30) * 1000;
+
+// The worker is shared between images and stopped when idle
+const OCR_IDLE_MS = 60 * 1000;
+
+let ocrWorker = null;
+let ocrPending = 0;
+let ocrIdleTimer = null;
+// Set when a worker failed to start (unreadable language data)
+let ocrStartError = null;
+
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${OCR_TIMEOUT_MS / 1000}s`)), OCR_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Local language files, compressed or not; null when one is missing
+ */
+function ocrLanguageFiles() {
+    const languages = OCR_LANGUAGES.split('+');
+    const gzipped = languages.every(lang => fs.existsSync(path.join(OCR_LANG_PATH, `${lang}.traineddata.gz`)));
+    if (gzipped) return { gzip: true };
+    const plain = languages.every(lang => fs.existsSync(path.join(OCR_LANG_PATH, `${lang}.traineddata`)));
+    return plain ? { gzip: false } : null;
+}
+
+function getOcrWorker() {
+    if (ocrStartError) return Promise.reject(ocrStartError);
+
+    if (!ocrWorker) {
+        const files = ocrLanguageFiles();
+        if (!files) {
+            return Promise.reject(new Error(`OCR language data for ${OCR_LANGUAGES} not found in ${OCR_LANG_PATH}`));
+        }
+
+        const { createWorker } = require('tesseract.js');
+        ocrWorker = createWorker(OCR_LANGUAGES, undefined, {
+            langPath: OCR_LANG_PATH,
+            gzip: files.gzip,
+            cacheMethod: 'none',
+            // Without a handler a worker error is thrown outside any
+            // promise and ends the process
+            errorHandler: error => console.error('⚠️  OCR worker error:', (error && error.message) || error)
+        });
+    }
+    return ocrWorker;
+}
+
+/**
+ * Stop the shared OCR worker (a live one keeps scripts from exiting)
+ */
+function stopOcr() {
+    clearTimeout(ocrIdleTimer);
+    const worker = ocrWorker;
+    ocrWorker = null;
+    if (worker) {
+        worker.then(w => w.terminate()).catch(() => {});
+    }
+}
+
+async function ocr(filePath) {
+    clearTimeout(ocrIdleTimer);
+    ocrPending++;
+    try {
+        let worker;
+        try {
+            worker = await withTimeout(getOcrWorker(), 'OCR start');
+        } catch (error) {
+            // tesseract.js never settles a failed start, so its worker
+            // can't be stopped; don't start another one for every image
+            if (ocrWorker && !ocrStartError) {
+                ocrStartError = new Error(`OCR unavailable: ${error.message}`);
+                ocrWorker = null;
+            }
+            throw error;
+        }
+
+        try {
+            const { data } = await withTimeout(worker.recognize(filePath), 'OCR');
+            return data.text;
+        } catch (error) {
+            // A stuck worker is not reused
+            if (error.message.startsWith('OCR timed out')) stopOcr();
+            throw error;
+        }
+    } finally {
+        if (--ocrPending === 0) {
+            ocrIdleTimer = setTimeout(stopOcr, OCR_IDLE_MS);
+            ocrIdleTimer.unref();
+        }
+    }
+}
+
+const EXTRACTORS = {
+    'application/pdf': async (filePath) => {
+        // lib path: the package index runs a self-test when required directly
+        const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+        // A copy: small files come back as slices of a shared pool, which
+        // pdf.js would read from the start
+        const result = await pdfParse(new Uint8Array(fs.readFileSync(filePath)));
+        return result.text;
+    },
+    [DOCX]: async (filePath) => {
+        const mammoth = require('mammoth');
+        const result = await mammoth.extractRawText({ path: filePath });
+        return result.value;
+    },
+    [XLSX]: async (filePath) => {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+
+        // One line per row, cells as displayed
+        const lines = [];
+        workbook.eachSheet(sheet => {
+            sheet.eachRow(row => {
+                const cells = [];
+                row.eachCell(cell => cells.push(cell.text));
+                lines.push(cells.join(' '));
+            });
+        });
+        return lines.join('\n');
+    },
+    ...(OCR_ENABLED && {
+        'image/jpeg': ocr,
+        'image/png': ocr
+    })
+};
+
+/**
+ * Can text be extracted from this MIME type?
+ */
+function supports(mimeType) {
+    return !!EXTRACTORS[mimeType];
+}
+
+/**
+ * Extract plain text (spaces collapsed, line breaks kept so labelled
+ * fields can be read line by line; capped at MAX_TEXT_LENGTH)
+ */
+async function extractText(filePath, mimeType) {
+    const extractor = EXTRACTORS[mimeType];
+    if (!extractor) return '';
+
+    try {
+        const text = await extractor(filePath);
+        return (text || '')
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ ?\n\s*/g, '\n')
+            .trim()
+            .slice(0, MAX_TEXT_LENGTH);
+    } catch (error) {
+        console.error(`⚠️  Text extraction failed for ${filePath}:`, error.message);
+        return '';
+    }
+}
+
+module.exports = {
+    supports,
+    extractText,
+    stopOcr
+};
@@ -0,0 +1,132 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+require('dotenv').config();
+
+/**
+ * Session Token Service
+ * Issues short-lived signed access tokens (JWT, HS256) and long-lived
+ * opaque refresh tokens. Refresh tokens are stored hashed and rotated
+ * on every use; logout revokes the whole session.
+ *
+ * Refresh token format: {sessionId}.{secret}
+ */
+class TokenService {
+    constructor() {
+        this.secret = process.env.JWT_SECRET;
+        this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+        if (!this.secret) {
+            // Every instance must sign with the same secret
+            if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+                throw new Error('JWT_SECRET must be set in production');
+            }
+            console.log('⚠️  JWT_SECRET not set: using a random secret (sessions will not survive a restart)');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    refreshExpiry() {
+        return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Sign an access token for a user within a session
+     */
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                studentId: user.studentId || null,
+                departments: user.departments || [],
+                sid: sessionId
+            },
+            this.secret,
+            {
+                subject: String(user.id),
+                expiresIn: this.accessTokenTtl,
+                issuer: 'campus-connector'
+            }
+        );
+    }
+
+    /**
+     * Start a new session and return the token pair
+     */
+    issueSession(user) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const session = Session.create(user, this.hashToken(secret), this.refreshExpiry());
+
+        return {
+            token: this.signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${secret}`,
+            expiresIn: this.accessTokenTtl
+        };
+    }
+
+    /**
+     * Verify an access token. Throws if invalid, expired or revoked.
+     */
+    verifyAccessToken(token) {
+        const payload = jwt.verify(token, this.secret, {
+            issuer: 'campus-connector',
+            algorithms: ['HS256']
+        });
+
+        if (!payload.sid || !Session.isActive(payload.sid)) {
+            throw new Error('Session revoked');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (rotation).
+     * Returns null if the refresh token is unknown, expired or revoked.
+     */
+    refreshSession(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        if (!sessionId || !secret) return null;
+
+        const session = Session.findById(sessionId);
+        if (!session || !Session.isActive(sessionId)) return null;
+
+        const expected = Buffer.from(session.refreshTokenHash, 'hex');
+        const actual = Buffer.from(this.hashToken(secret), 'hex');
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            // A stale refresh token was replayed: assume it leaked and kill the session
+            Session.revoke(sessionId);
+            return null;
+        }
+
+        // A concurrent refresh with the same token may have rotated it first
+        const newSecret = crypto.randomBytes(32).toString('hex');
+        if (!Session.rotate(sessionId, session.refreshTokenHash, this.hashToken(newSecret), this.refreshExpiry())) {
+            return null;
+        }
+
+        return {
+            token: this.signAccessToken(session.user, sessionId),
+            refreshToken: `${sessionId}.${newSecret}`,
+            expiresIn: this.accessTokenTtl,
+            user: session.user
+        };
+    }
+
+    /**
+     * Revoke a session (logout)
+     */
+    revokeSession(sessionId) {
+        return Session.revoke(sessionId);
+    }
+}
+
+module.exports = new TokenService();
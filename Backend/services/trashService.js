@@ -0,0 +1,164 @@
+const Student = require('../models/Student');
+const storage = require('./storage');
+const searchIndex = require('./searchIndex');
+const { FOLDER_MIME_TYPE } = require('./localDrive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash retention and purging.
+ * Deleting a student or document only moves it to the trash (see
+ * models/Student.js); purge() removes what has been there longer than
+ * the retention period, files included. Items with files on Drive wait
+ * in the trash while Drive is unreachable for now; without Drive
+ * credentials they are purged and their Drive ids reported.
+ */
+class TrashService {
+    constructor() {
+        this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+    }
+
+    /**
+     * When a trashed item becomes eligible for purging
+     */
+    purgeAfter(deletedAt) {
+        return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+    }
+
+    /**
+     * Delete the stored files of documents that nothing references any more.
+     * Call after the records are gone, so linked duplicates keep their file.
+     * Files that could not be deleted are added to `result.failed`, Drive
+     * files that cannot be reached without credentials to `result.unreachable`.
+     */
+    async deleteUnreferencedFiles(documents, target, result = { failed: [], unreachable: [] }) {
+        let deleted = 0;
+        const drive = storage.get('drive');
+        const files = new Map(documents.flatMap(d => Student.documentFiles(d)).map(f => [`${f.storage}:${f.fileId}`, f]));
+
+        for (const { storage: provider, fileId } of files.values()) {
+            if (Student.countFileReferences(fileId) > 0) continue;
+
+            searchIndex.forgetFile(fileId);
+            if (provider === 'drive' && !drive.reachable(fileId)) result.unreachable.push({ ...target, storage: provider, fileId });
+            else if (await storage.deleteFile(provider, fileId, target)) deleted++;
+            else result.failed.push({ ...target, storage: provider, fileId });
+        }
+        return deleted;
+    }
+
+    /**
+     * Does a folder (or a subfolder) still hold a file some document
+     * references, e.g. another student's linked duplicate? Null if it
+     * cannot be listed.
+     */
+    async folderInUse(provider, folderId) {
+        const entries = await provider.listFolder(folderId);
+        if (!entries) return null;
+
+        for (const entry of entries) {
+            if (entry.mimeType === FOLDER_MIME_TYPE) {
+                const inUse = await this.folderInUse(provider, entry.id);
+                if (inUse !== false) return inUse;
+            } else if (Student.countFileReferences(entry.id) > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Delete a purged student's folder, unless files in it are still
+     * referenced; then it stays, its unreferenced files already gone
+     */
+    async deleteStudentFolder(name, folderId, target, result) {
+        const provider = storage.get(name);
+        if (name === 'drive' && !provider.reachable(folderId)) {
+            result.unreachable.push({ ...target, storage: name, fileId: folderId });
+            return;
+        }
+
+        const inUse = await this.folderInUse(provider, folderId);
+        if (inUse) return;
+        if (inUse === false && await storage.deleteFile(name, folderId, target)) return;
+
+        // An empty S3 prefix has nothing to delete
+        const left = inUse === false ? await provider.listFolder(folderId) : null;
+        if (!left || left.length) result.failed.push({ ...target, storage: name, fileId: folderId });
+    }
+
+    /**
+     * Would purging these now leave files on Drive behind? True while a
+     * configured Drive is down (breaker open) and one of them is a real
+     * Drive id. Without credentials Drive never comes back: nothing waits.
+     */
+    waitsForDrive(documents, driveFolderId = null) {
+        const drive = storage.get('drive');
+        if (!drive.configured) return false;
+
+        const fileIds = documents.flatMap(d => Student.documentFiles(d))
+            .filter(f => f.storage === 'drive')
+            .map(f => f.fileId);
+        return [driveFolderId, ...fileIds].some(id => id && !drive.reachable(id));
+    }
+
+    /**
+     * Permanently remove trashed items deleted more than `olderThanDays` ago
+     * (default: the retention period; 0 empties the trash). `deferred`
+     * counts items left for a later purge until Drive is back, `failed`
+     * lists files and folders that could not be deleted, `unreachable` the
+     * Drive ids of purged items left on Drive (no credentials configured).
+     */
+    async purge({ olderThanDays = this.retentionDays } = {}) {
+        const cutoff = Date.now() - olderThanDays * DAY_MS;
+        const expired = item => new Date(item.deletedAt).getTime() <= cutoff;
+        const result = { students: 0, documents: 0, files: 0, deferred: 0, failed: [], unreachable: [] };
+        const trash = Student.findTrash();
+
+        for (const student of trash.students.filter(expired)) {
+            const documents = [
+                ...Object.values(student.documents).flat(),
+                ...(student.trash || []).map(t => t.document)
+            ];
+            if (this.waitsForDrive(documents, student.driveFolderId)) {
+                result.deferred++;
+                continue;
+            }
+
+            if (!Student.delete(student.studentId)) continue;
+            result.students++;
+            result.files += await this.deleteUnreferencedFiles(documents, { studentId: student.studentId }, result);
+
+            // The student's folder in every provider that held their files
+            const target = { type: 'folder', studentId: student.studentId };
+            if (student.driveFolderId) await this.deleteStudentFolder('drive', student.driveFolderId, target, result);
+
+            const providers = new Set(documents.flatMap(d => Student.documentFiles(d)).map(f => f.storage));
+            for (const name of [...providers].filter(p => p !== 'drive')) {
+                const folderId = await storage.get(name).findStudentFolder(student.studentId);
+                if (folderId) await this.deleteStudentFolder(name, folderId, target, result);
+            }
+        }
+
+        for (const entry of trash.documents.filter(expired)) {
+            if (this.waitsForDrive([entry.document])) {
+                result.deferred++;
+                continue;
+            }
+
+            if (!Student.purgeDocument(entry.studentId, entry.document.id)) continue;
+            result.documents++;
+            result.files += await this.deleteUnreferencedFiles([entry.document], {
+                studentId: entry.studentId,
+                documentId: entry.document.id,
+                documentType: entry.documentType
+            }, result);
+        }
+
+        result.failed.forEach(f => console.error(`❌ Could not delete ${f.storage} ${f.fileId} (student ${f.studentId})`));
+        result.unreachable.forEach(f => console.warn(`⚠️  Drive is not configured; ${f.fileId} (student ${f.studentId}) is left on Drive`));
+        return result;
+    }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const uploadService = require('./uploadService');
+const requestContext = require('../utils/requestContext');
+const { readJson, writeJsonAtomic, withLock } = require('../utils/jsonFile');
+
+const JOBS_PATH = path.join(__dirname, '../database/uploadJobs.json');
+
+// Next to the upload sessions, out of reach of the /uploads static route
+const JOB_FILE_DIR = process.env.UPLOAD_SESSION_DIR
+    ? path.join(process.env.UPLOAD_SESSION_DIR, 'jobs')
+    : (process.env.VERCEL ? path.join(os.tmpdir(), 'upload-jobs') : path.join(__dirname, '../uploads/.jobs'));
+
+const MAX_ATTEMPTS = parseInt(process.env.UPLOAD_JOB_ATTEMPTS || '3', 10);
+const RETRY_BASE_MS = parseFloat(process.env.UPLOAD_JOB_RETRY_SECONDS || '30') * 1000;
+const JOB_TTL_MS = parseFloat(process.env.UPLOAD_JOB_TTL_HOURS || '24') * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+
+const FINISHED = ['done', 'failed'];
+
+/**
+ * Upload jobs: /upload (and resumable uploads) with `async=true` answer
+ * 202 as soon as the file is received, and a background worker runs the
+ * upload pipeline. Jobs and their files are kept on disk, so a restart
+ * picks up where it stopped.
+ *
+ * status: queued → processing → done | failed, or retrying after a server
+ *         error (Drive, AI) until UPLOAD_JOB_ATTEMPTS is used up
+ * stage:  received → classified → stored, or failed; `stages` keeps the
+ *         history with times
+ *
+ * Refusals (duplicate, wrong type, no permission...) fail the job at once
+ * with the answer /upload would have given in `result`.
+ */
+class UploadJobs {
+    constructor(jobsPath = JOBS_PATH, fileDir = JOB_FILE_DIR) {
+        this.path = jobsPath;
+        this.dir = fileDir;
+        this.timer = null;
+        this.running = null;
+    }
+
+    // Serverless functions stop once they answer: no background work there
+    get enabled() {
+        return !process.env.VERCEL;
+    }
+
+    list() {
+        return fs.existsSync(this.path) ? readJson(this.path).jobs || [] : [];
+    }
+
+    update(fn) {
+        return withLock(this.path, () => {
+            const jobs = this.list();
+            const result = fn(jobs);
+            writeJsonAtomic(this.path, { jobs });
+            return result;
+        });
+    }
+
+    updateJob(id, fn) {
+        return this.update(jobs => {
+            const job = jobs.find(j => j.id === id);
+            if (job) {
+                fn(job);
+                job.updatedAt = new Date().toISOString();
+            }
+            return job;
+        });
+    }
+
+    filePath(id) {
+        return path.join(this.dir, id);
+    }
+
+    /**
+     * Queue a received file ({ path, originalname, mimetype, size }); the
+     * job takes it over. `options` go to the pipeline (createStudents).
+     */
+    enqueue(file, fields, user, options = {}) {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            status: 'queued',
+            stage: 'received',
+            stages: [{ stage: 'received', at: now }],
+            // Who the worker acts for: permissions and audit events
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                studentId: user.studentId || null,
+                departments: user.departments || []
+            },
+            fileName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            fields,
+            options,
+            attempts: 0,
+            maxAttempts: MAX_ATTEMPTS,
+            nextAttemptAt: now,
+            error: null,
+            resultStatus: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        try {
+            fs.renameSync(file.path, this.filePath(job.id));
+        } catch (error) {
+            // Another file system (a temp dir elsewhere)
+            fs.copyFileSync(file.path, this.filePath(job.id));
+            fs.rmSync(file.path, { force: true });
+        }
+
+        this.update(jobs => {
+            this.prune(jobs);
+            jobs.push(job);
+        });
+        this.kick();
+        return job;
+    }
+
+    /**
+     * Forget finished jobs past UPLOAD_JOB_TTL_HOURS
+     */
+    prune(jobs) {
+        const cutoff = Date.now() - JOB_TTL_MS;
+        for (let i = jobs.length - 1; i >= 0; i--) {
+            if (FINISHED.includes(jobs[i].status) && Date.parse(jobs[i].updatedAt) < cutoff) jobs.splice(i, 1);
+        }
+    }
+
+    /**
+     * Drop every job and its file (after a backup restore)
+     */
+    clear() {
+        this.update(jobs => { jobs.length = 0; });
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    /**
+     * The job if this user may see it (their own; admins see every job)
+     */
+    get(id, user) {
+        const job = this.list().find(j => j.id === id);
+        if (!job || (job.user.id !== user.id && user.role !== 'admin')) return null;
+        return job;
+    }
+
+    /**
+     * The job as the API shows it
+     */
+    describe(job) {
+        const { user, options, ...shown } = job;
+        return { ...shown, uploadedBy: { id: user.id, name: user.name } };
+    }
+
+    /**
+     * Run due jobs one at a time until none is left. Calls while the worker
+     * is busy share its run.
+     */
+    drain() {
+        if (!this.running) {
+            this.running = (async () => {
+                let job;
+                while ((job = this.claimNext())) await this.runJob(job);
+            })().finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    kick() {
+        if (!this.enabled) return;
+        setImmediate(() => this.drain().catch(error => console.error('❌ Upload worker failed:', error.message)));
+    }
+
+    claimNext() {
+        const now = Date.now();
+        const isDue = j => (j.status === 'queued' || j.status === 'retrying') && Date.parse(j.nextAttemptAt) <= now;
+        // Idle polls only read the file
+        if (!this.list().some(isDue)) return null;
+
+        return this.update(jobs => {
+            const job = jobs.find(isDue);
+            if (!job) return null;
+
+            job.status = 'processing';
+            job.attempts++;
+            job.updatedAt = new Date().toISOString();
+            return job;
+        });
+    }
+
+    async runJob(job) {
+        // The pipeline consumes its input; the job's copy stays for retries
+        const filePath = `${this.filePath(job.id)}-${crypto.randomBytes(4).toString('hex')}`;
+        if (!fs.existsSync(this.filePath(job.id))) {
+            this.finish(job.id, 'failed', 500, { error: 'The uploaded file is gone' });
+            return;
+        }
+        fs.copyFileSync(this.filePath(job.id), filePath);
+
+        const onStage = (stage, info) => this.updateJob(job.id, j => {
+            j.stage = stage;
+            j.stages.push({ stage, at: new Date().toISOString(), ...info });
+        });
+
+        const { status, body } = await requestContext.runAs(job.user, () => uploadService.process(
+            { path: filePath, originalname: job.fileName, mimetype: job.mimeType },
+            job.fields, job.user, { ...job.options, onStage }));
+
+        if (status >= 500 && job.attempts < job.maxAttempts) {
+            const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            this.updateJob(job.id, j => {
+                j.status = 'retrying';
+                j.error = body.error;
+                j.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            });
+            console.warn(`⚠️  Upload job ${job.id} failed (${body.error}), attempt ${job.attempts + 1}/${job.maxAttempts} in ${Math.round(delay / 1000)}s`);
+            return;
+        }
+
+        this.finish(job.id, status === 200 ? 'done' : 'failed', status, body);
+    }
+
+    finish(id, status, resultStatus, body) {
+        const stage = status === 'done' ? 'stored' : 'failed';
+        this.updateJob(id, job => {
+            job.status = status;
+            job.stage = stage;
+            job.stages.push({ stage, at: new Date().toISOString(), ...(body.error && { error: body.error }) });
+            job.error = body.error || null;
+            job.resultStatus = resultStatus;
+            job.result = body;
+        });
+        fs.rmSync(this.filePath(id), { force: true });
+    }
+
+    /**
+     * Start the worker: jobs cut off by a restart are queued again, and due
+     * retries are picked up every few seconds
+     */
+    start() {
+        if (!this.enabled || this.timer) return;
+
+        const interrupted = this.list().some(j => j.status === 'processing') && this.update(jobs => {
+            const cut = jobs.filter(j => j.status === 'processing');
+            cut.forEach(j => { j.status = 'queued'; });
+            return cut.length;
+        });
+        if (interrupted) console.log(`♻️  ${interrupted} interrupted upload job(s) queued again`);
+
+        this.timer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+        this.timer.unref();
+        this.kick();
+    }
+}
+
+module.exports = new UploadJobs();
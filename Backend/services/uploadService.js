@@ -0,0 +1,384 @@
+const fs = require('fs');
+const aiClassifier = require('../AI/aiClassifier');
+const Student = require('../models/Student');
+const DocumentType = require('../models/DocumentType');
+const fileInspector = require('./fileInspector');
+const quarantine = require('./quarantine');
+const textExtractor = require('./textExtractor');
+const searchIndex = require('./searchIndex');
+const fileStorage = require('./storage');
+const { canUploadFor, filterStudents } = require('../middleware/permissions');
+
+// What to do when an upload has the same content as a stored document:
+// reject it, link to the stored copy, or store it anyway as a new version
+const DUPLICATE_ACTIONS = ['reject', 'link', 'version'];
+const DEFAULT_DUPLICATE_ACTION = process.env.DUPLICATE_ACTION || 'reject';
+
+function describeDuplicate(match) {
+    return {
+        studentId: match.studentId,
+        documentType: match.documentType,
+        documentId: match.document.id,
+        fileName: match.document.fileName,
+        uploadedAt: match.document.uploadedAt
+    };
+}
+
+function removeFile(filePath) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+/**
+ * The upload pipeline behind POST /upload and the resumable upload
+ * sessions: verify content → inspect → classify → check → duplicate
+ * handling → store → record the document.
+ */
+class UploadService {
+    /**
+     * Check the form fields that do not depend on the file, before it is
+     * received. Returns { error } when one is invalid.
+     */
+    validateFields(fields) {
+        const { error } = Student.cleanDocumentFields({
+            tags: fields.tags,
+            notes: fields.notes,
+            semester: fields.semester,
+            academicYear: fields.academicYear
+        });
+        if (error) return { error };
+
+        if (fields.onDuplicate && !DUPLICATE_ACTIONS.includes(fields.onDuplicate)) {
+            return { error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` };
+        }
+        return {};
+    }
+
+    /**
+     * Run the pipeline on a received file ({ path, originalname, mimetype },
+     * as multer gives it) with the form fields of /upload. The temp file is
+     * always consumed. Returns the response: { status, body }.
+     *
+     * With `createStudents: false` a file for a student who is not
+     * registered is refused (422) instead of creating the student. Files
+     * refused for a missing or unknown student carry `needsReview`.
+     * `onStage('classified', { studentId, documentType, aiResponse, extracted })`
+     * is called once the classifier has placed the file; `extracted` is the
+     * student ID, name and roll number read from the document body.
+     *
+     * Files whose content does not match their type or name are moved to
+     * the quarantine (415, `quarantined`); `verifyContent: false` is for
+     * files an admin released from there, which quarantine.release() checks.
+     */
+    async process(file, fields, user, options = {}) {
+        const filePath = file.path;
+        try {
+            return await this.run(file, fields, user, options);
+        } catch (error) {
+            console.error('Upload error:', error);
+            removeFile(filePath);
+
+            return {
+                status: 500,
+                body: { aiResponse: 'ERROR: UPLOAD_FAILED', error: error.message }
+            };
+        }
+    }
+
+    /**
+     * The bytes must be what the upload claims; anything else is moved to
+     * the quarantine. Returns the 415 response then, else null.
+     * `versionOf` ({ studentId, docType, docId }) marks a new version.
+     */
+    async screen(file, fields, user, versionOf = null) {
+        const verdict = await fileInspector.verify(file.path, file.mimetype, file.originalname);
+        if (verdict.ok) return null;
+
+        const entry = quarantine.add(file, verdict, fields, user, versionOf);
+        return { status: 415, body: { error: verdict.reason, quarantined: true, quarantineId: entry.id } };
+    }
+
+    /**
+     * Store a received file as the next version of a stored document, with
+     * the same content checks as process(). The temp file is always
+     * consumed. Returns the response: { status, body }.
+     */
+    async addVersion(file, student, docType, docId, user, { verifyContent = true } = {}) {
+        const filePath = file.path;
+        try {
+            const document = Student.findDocument(student, docType, docId);
+            if (!document) {
+                removeFile(filePath);
+                return { status: 404, body: { error: 'Document not found' } };
+            }
+
+            if (!DocumentType.acceptsMimeType(docType, file.mimetype)) {
+                removeFile(filePath);
+                return { status: 400, body: { error: `${file.mimetype} files are not accepted for ${DocumentType.get(docType).label}` } };
+            }
+
+            if (verifyContent) {
+                const held = await this.screen(file, { studentId: student.studentId }, user,
+                    { studentId: student.studentId, docType, docId });
+                if (held) return held;
+            }
+
+            const fileInfo = await fileInspector.inspect(filePath, file.mimetype);
+            const maxBytes = DocumentType.maxBytes(docType);
+            if (maxBytes && fileInfo.size > maxBytes) {
+                removeFile(filePath);
+                const type = DocumentType.get(docType);
+                return { status: 413, body: { error: `${type.label} are limited to ${type.maxSizeMB}MB` } };
+            }
+
+            const extractedText = await textExtractor.extractText(filePath, fileInfo.mimeType);
+            const uploadResult = await fileStorage.store(student, docType, filePath, file.originalname, file.mimetype);
+            searchIndex.setFileText(uploadResult.fileId, extractedText);
+
+            const updated = Student.addDocumentVersion(student.studentId, docType, docId, uploadResult, {
+                ...fileInfo,
+                uploadedBy: { id: user.id, name: user.name, email: user.email, role: user.role }
+            });
+            return { status: 201, body: updated };
+        } catch (error) {
+            console.error('Version upload error:', error);
+            removeFile(filePath);
+            return { status: 500, body: { error: error.message } };
+        }
+    }
+
+    async run(file, fields, user, { createStudents = true, onStage = () => {}, verifyContent = true } = {}) {
+        const { studentId } = fields;
+        const filename = file.originalname;
+        const filePath = file.path;
+        const mimeType = file.mimetype;
+
+        // Optional tags/notes/semester sent with the file
+        const { fields: documentFields, error: fieldError } = Student.cleanDocumentFields({
+            tags: fields.tags,
+            notes: fields.notes,
+            semester: fields.semester,
+            academicYear: fields.academicYear
+        });
+        if (fieldError) {
+            fs.unlinkSync(filePath);
+            return { status: 400, body: { error: fieldError } };
+        }
+
+        const onDuplicate = fields.onDuplicate || DEFAULT_DUPLICATE_ACTION;
+        if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+            fs.unlinkSync(filePath);
+            return { status: 400, body: { error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` } };
+        }
+
+        if (verifyContent) {
+            const held = await this.screen(file, fields, user);
+            if (held) return held;
+        }
+
+        // Size/checksum/type/text come from the bytes; the upload removes the temp file
+        const fileInfo = await fileInspector.inspect(filePath, mimeType);
+        const extractedText = await textExtractor.extractText(filePath, fileInfo.mimeType);
+
+        // AI Classification, on the content first; the file name and form are fallbacks
+        const metadata = { studentId };
+        const extracted = aiClassifier.extractStudentDetails(extractedText);
+        const hasDetails = Object.values(extracted).some(Boolean);
+
+        let student = Student.findByStudentId(studentId);
+        const folderExists = student && student.driveFolderId;
+
+        const aiResponse = await aiClassifier.classify(filename, metadata, folderExists, extractedText);
+        const parsedResponse = aiClassifier.parseResponse(aiResponse);
+
+        if (parsedResponse.action === 'error') {
+            fs.unlinkSync(filePath);
+            const needsReview = parsedResponse.error === 'NO_STUDENT_ID';
+            return { status: 400, body: { aiResponse, error: parsedResponse.error, ...(needsReview && { needsReview }) } };
+        }
+
+        // The classifier may pick another student than the form (an ID in the file name)
+        if (!student || student.studentId !== parsedResponse.studentId) {
+            student = Student.findByStudentId(parsedResponse.studentId);
+        }
+        onStage('classified', { studentId: parsedResponse.studentId, documentType: parsedResponse.documentType, aiResponse, extracted });
+
+        if (!DocumentType.acceptsMimeType(parsedResponse.documentType, mimeType)) {
+            fs.unlinkSync(filePath);
+            const type = DocumentType.get(parsedResponse.documentType);
+            return {
+                status: 400,
+                body: { aiResponse, error: `${mimeType} files are not accepted for ${type ? type.label : parsedResponse.documentType}` }
+            };
+        }
+
+        const maxBytes = DocumentType.maxBytes(parsedResponse.documentType);
+        if (maxBytes && fileInfo.size > maxBytes) {
+            fs.unlinkSync(filePath);
+            const type = DocumentType.get(parsedResponse.documentType);
+            return {
+                status: 413,
+                body: { aiResponse, error: `${type.label} are limited to ${type.maxSizeMB}MB` }
+            };
+        }
+
+        // Check the student the classifier picked, not only the one in the form
+        if (!canUploadFor(user, parsedResponse.studentId, fields.department)) {
+            fs.unlinkSync(filePath);
+            return { status: 403, body: { error: 'Forbidden', permission: 'documents:upload' } };
+        }
+
+        if (Student.isTrashed(parsedResponse.studentId)) {
+            fs.unlinkSync(filePath);
+            return {
+                status: 409,
+                body: { aiResponse, error: `Student ${parsedResponse.studentId} is in the trash; restore it first` }
+            };
+        }
+
+        if (!student && !createStudents) {
+            fs.unlinkSync(filePath);
+            return {
+                status: 422,
+                body: { aiResponse, error: `Student ${parsedResponse.studentId} is not registered`, needsReview: true }
+            };
+        }
+
+        // Same content already stored? Search this student, or every student
+        // the uploader can see when duplicateScope=all
+        const searchIds = fields.duplicateScope === 'all'
+            ? filterStudents(user, Student.findAll()).map(s => s.studentId)
+            : [parsedResponse.studentId];
+        // Prefer a copy already filed under this student (and type)
+        const rank = m => (m.studentId === parsedResponse.studentId ? 0 : 2) +
+            (m.documentType === parsedResponse.documentType ? 0 : 1);
+        const [match] = Student.findByChecksum(fileInfo.checksum, searchIds).sort((a, b) => rank(a) - rank(b));
+        const duplicate = match ? describeDuplicate(match) : null;
+
+        if (match && onDuplicate === 'reject') {
+            fs.unlinkSync(filePath);
+            return {
+                status: 409,
+                body: {
+                    aiResponse,
+                    error: `This file was already uploaded as ${match.document.fileName} (${match.studentId})`,
+                    duplicate
+                }
+            };
+        }
+
+        if (!student) {
+            // A name read from the body is theirs unless it came with another ID
+            const bodyName = !extracted.studentId || extracted.studentId === parsedResponse.studentId ? extracted.name : null;
+            student = Student.create({
+                studentId: parsedResponse.studentId,
+                name: fields.name || bodyName || '',
+                department: fields.department || ''
+            });
+        }
+
+        const uploadedBy = {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role
+        };
+
+        if (match && onDuplicate === 'link') {
+            fs.unlinkSync(filePath);
+
+            // Already filed under this student and type: nothing to add
+            if (match.studentId === parsedResponse.studentId && match.documentType === parsedResponse.documentType) {
+                return {
+                    status: 200,
+                    body: {
+                        aiResponse,
+                        success: true,
+                        linked: true,
+                        studentId: parsedResponse.studentId,
+                        documentId: match.document.id,
+                        documentType: match.documentType,
+                        document: match.document,
+                        duplicate
+                    }
+                };
+            }
+
+            const linkedEntry = Student.addDocumentLink(
+                parsedResponse.studentId,
+                parsedResponse.documentType,
+                {
+                    fileName: filename,
+                    shareableLink: match.document.shareableLink,
+                    downloadLink: match.document.downloadLink,
+                    storage: match.document.storage,
+                    fileId: match.document.fileId
+                },
+                {
+                    ...fileInfo,
+                    ...documentFields,
+                    uploadedBy,
+                    ...(hasDetails && { extracted }),
+                    duplicateOf: { studentId: match.studentId, documentId: match.document.id }
+                }
+            );
+
+            return {
+                status: 200,
+                body: {
+                    aiResponse,
+                    success: true,
+                    linked: true,
+                    studentId: parsedResponse.studentId,
+                    documentId: linkedEntry.id,
+                    documentType: parsedResponse.documentType,
+                    document: linkedEntry,
+                    duplicate
+                }
+            };
+        }
+
+        // Same student and type: the upload becomes the next version of that document
+        const sameDocument = match && match.studentId === parsedResponse.studentId &&
+            match.documentType === parsedResponse.documentType;
+
+        const uploadResult = await fileStorage.store(student, parsedResponse.documentType, filePath, filename, mimeType);
+        searchIndex.setFileText(uploadResult.fileId, extractedText);
+
+        const documentEntry = sameDocument
+            ? Student.addDocumentVersion(
+                parsedResponse.studentId,
+                parsedResponse.documentType,
+                match.document.id,
+                uploadResult,
+                { ...fileInfo, uploadedBy }
+            )
+            : Student.addDocumentLink(
+                parsedResponse.studentId,
+                parsedResponse.documentType,
+                uploadResult,
+                {
+                    ...fileInfo,
+                    ...documentFields,
+                    uploadedBy,
+                    ...(hasDetails && { extracted }),
+                    ...(match && { duplicateOf: { studentId: match.studentId, documentId: match.document.id } })
+                }
+            );
+
+        return {
+            status: 200,
+            body: {
+                aiResponse,
+                success: true,
+                studentId: parsedResponse.studentId,
+                documentId: documentEntry.id,
+                documentType: parsedResponse.documentType,
+                document: documentEntry,
+                duplicate
+            }
+        };
+    }
+}
+
+module.exports = new UploadService();
+module.exports.DUPLICATE_ACTIONS = DUPLICATE_ACTIONS;
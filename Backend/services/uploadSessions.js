@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+// Largest file accepted by /upload and by upload sessions
+const MAX_UPLOAD_BYTES = parseFloat(process.env.UPLOAD_MAX_MB || '50') * 1024 * 1024;
+
+// Chunks stay under the 4.5MB request body limit of serverless hosts
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+const SESSION_TTL_MS = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// A dot directory, so the /uploads static route never serves partial files
+const SESSION_DIR = process.env.UPLOAD_SESSION_DIR || path.join(__dirname, '../uploads/.sessions');
+
+const SESSION_ID = /^[a-f0-9]{32}$/;
+
+/**
+ * Resumable uploads: a session is created with the file's name, type and
+ * size, the file arrives in numbered chunks appended in order, and the
+ * session reports how far it got so a client can resume after a
+ * disconnect. complete() hands the assembled file to the upload pipeline.
+ *
+ * Each session is `<id>.json` (what was declared) and `<id>.part` (the
+ * bytes so far); the offset is read from the part file, so it survives
+ * restarts.
+ */
+class UploadSessions {
+    constructor(dir = SESSION_DIR) {
+        this.dir = dir;
+        // Sessions with a chunk write or finalize in progress
+        this.busy = new Set();
+    }
+
+    // On Vercel each request may run on another instance with its own /tmp,
+    // so sessions need UPLOAD_SESSION_DIR on storage every instance shares
+    get enabled() {
+        return !process.env.VERCEL || Boolean(process.env.UPLOAD_SESSION_DIR);
+    }
+
+    metaPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    partPath(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    /**
+     * Start a session. `file` is { fileName, mimeType, size, chunkSize? },
+     * `fields` the /upload form fields sent along with the file.
+     */
+    create(user, file, fields) {
+        this.sweep();
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const chunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, parseInt(file.chunkSize, 10) || DEFAULT_CHUNK_SIZE));
+        const now = Date.now();
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            userId: user.id,
+            fileName: path.basename(file.fileName),
+            mimeType: file.mimeType,
+            size: file.size,
+            chunkSize,
+            totalChunks: Math.max(1, Math.ceil(file.size / chunkSize)),
+            fields,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        };
+
+        fs.writeFileSync(this.partPath(session.id), '');
+        writeJsonAtomic(this.metaPath(session.id), session);
+        return session;
+    }
+
+    /**
+     * The user's session, or null (unknown, expired or someone else's)
+     */
+    get(id, user) {
+        if (!SESSION_ID.test(id) || !fs.existsSync(this.metaPath(id))) return null;
+
+        const session = readJson(this.metaPath(id));
+        if (session.userId !== user.id) return null;
+        if (Date.parse(session.expiresAt) < Date.now()) {
+            this.remove(id);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * How far the session got: bytes and chunks received so far
+     */
+    progress(session) {
+        let offset = fs.existsSync(this.partPath(session.id)) ? fs.statSync(this.partPath(session.id)).size : 0;
+
+        // A write cut off mid-chunk is dropped; the chunk is sent again
+        if (offset < session.size && offset % session.chunkSize !== 0) {
+            offset -= offset % session.chunkSize;
+            fs.truncateSync(this.partPath(session.id), offset);
+        }
+
+        const nextChunk = Math.min(session.totalChunks, Math.ceil(offset / session.chunkSize));
+        return {
+            sessionId: session.id,
+            fileName: session.fileName,
+            size: session.size,
+            chunkSize: session.chunkSize,
+            totalChunks: session.totalChunks,
+            offset,
+            nextChunk,
+            complete: offset === session.size,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Append chunk `index`. Chunks go in order; a chunk already received
+     * is acknowledged without writing it again, so retries are safe.
+     * Returns the progress, or { error, status } when the chunk is refused.
+     */
+    writeChunk(session, index, data) {
+        if (this.busy.has(session.id)) {
+            return { status: 409, error: 'Another request for this upload is in progress', ...this.progress(session) };
+        }
+
+        this.busy.add(session.id);
+        try {
+            const progress = this.progress(session);
+            if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+                return { status: 400, error: `Chunk index must be 0 to ${session.totalChunks - 1}`, ...progress };
+            }
+            if (index < progress.nextChunk) return progress;
+            if (index > progress.nextChunk) {
+                return { status: 409, error: `Expected chunk ${progress.nextChunk}`, ...progress };
+            }
+
+            const expected = Math.min(session.chunkSize, session.size - progress.offset);
+            if (data.length !== expected) {
+                return { status: 400, error: `Chunk ${index} must be ${expected} bytes, got ${data.length}`, ...progress };
+            }
+
+            fs.appendFileSync(this.partPath(session.id), data);
+            return this.progress(session);
+        } finally {
+            this.busy.delete(session.id);
+        }
+    }
+
+    /**
+     * Hand the assembled file to `pipeline(file)` (→ { status, body }),
+     * which consumes it. The session ends unless the pipeline failed with a
+     * server error, in which case complete() can be called again.
+     */
+    async complete(session, pipeline) {
+        if (this.busy.has(session.id)) {
+            return { status: 409, body: { error: 'Another request for this upload is in progress' } };
+        }
+
+        this.busy.add(session.id);
+        try {
+            const progress = this.progress(session);
+            if (!progress.complete) {
+                return {
+                    status: 409,
+                    body: { error: `Upload incomplete: ${progress.offset} of ${session.size} bytes received`, ...progress }
+                };
+            }
+
+            // The pipeline gets its own link to the bytes and the part file stays for a retry
+            const filePath = path.join(this.dir, `${session.id}-${crypto.randomBytes(4).toString('hex')}`);
+            try {
+                fs.linkSync(this.partPath(session.id), filePath);
+            } catch (error) {
+                fs.copyFileSync(this.partPath(session.id), filePath);
+            }
+
+            const result = await pipeline({ path: filePath, originalname: session.fileName, mimetype: session.mimeType, size: session.size });
+            if (result.status < 500) this.remove(session.id);
+            return result;
+        } finally {
+            this.busy.delete(session.id);
+        }
+    }
+
+    remove(id) {
+        fs.rmSync(this.metaPath(id), { force: true });
+        fs.rmSync(this.partPath(id), { force: true });
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    sweep() {
+        if (!fs.existsSync(this.dir)) return 0;
+
+        let removed = 0;
+        fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).forEach(name => {
+            const id = name.slice(0, -'.json'.length);
+            try {
+                if (Date.parse(readJson(this.metaPath(id)).expiresAt) >= Date.now()) return;
+            } catch (error) {
+                // Unreadable metadata: the session cannot be resumed anyway
+            }
+            this.remove(id);
+            removed++;
+        });
+        return removed;
+    }
+}
+
+module.exports = new UploadSessions();
+module.exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+module.exports.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
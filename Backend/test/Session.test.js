@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SessionModel } = require('../models/Session');
+
+const USER = { id: 'user-1', name: 'Admin User', role: 'admin' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rotate a session from another process, as a second instance would
+function rotateElsewhere(dbPath, id, currentHash, newHash) {
+    const script = `
+        const { SessionModel } = require(${JSON.stringify(path.join(__dirname, '../models/Session'))});
+        const rotated = new SessionModel(process.argv[1]).rotate(process.argv[2], process.argv[3], process.argv[4],
+            new Date(Date.now() + ${DAY_MS}));
+        process.stdout.write(rotated ? 'rotated' : 'lost');
+    `;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', script, dbPath, id, currentHash, newHash], (error, stdout) => {
+            if (error) reject(error);
+            else resolve(stdout);
+        });
+    });
+}
+
+describe('SessionModel', () => {
+    let dir;
+    let dbPath;
+    let sessions;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+        dbPath = path.join(dir, 'sessions.json');
+        sessions = new SessionModel(dbPath);
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('rotates only while the session still holds the presented token', () => {
+        const session = sessions.create(USER, 'hash-1', new Date(Date.now() + DAY_MS));
+
+        assert.ok(sessions.rotate(session.id, 'hash-1', 'hash-2', new Date(Date.now() + DAY_MS)));
+        assert.strictEqual(sessions.rotate(session.id, 'hash-1', 'hash-3', new Date(Date.now() + DAY_MS)), null);
+        assert.strictEqual(sessions.findById(session.id).refreshTokenHash, 'hash-2');
+    });
+
+    it('does not rotate a revoked session', () => {
+        const session = sessions.create(USER, 'hash-1', new Date(Date.now() + DAY_MS));
+        sessions.revoke(session.id);
+
+        assert.strictEqual(sessions.rotate(session.id, 'hash-1', 'hash-2', new Date(Date.now() + DAY_MS)), null);
+        assert.strictEqual(sessions.isActive(session.id), false);
+    });
+
+    it('lets one of several concurrent refreshes win across processes', async () => {
+        const session = sessions.create(USER, 'hash-1', new Date(Date.now() + DAY_MS));
+
+        const outcomes = await Promise.all(['a', 'b', 'c', 'd'].map(suffix =>
+            rotateElsewhere(dbPath, session.id, 'hash-1', `hash-${suffix}`)));
+
+        assert.deepStrictEqual(outcomes.filter(outcome => outcome === 'rotated').length, 1);
+        assert.match(sessions.findById(session.id).refreshTokenHash, /^hash-[abcd]$/);
+    });
+
+    it('keeps every session created at the same time', async () => {
+        const script = `
+            const { SessionModel } = require(${JSON.stringify(path.join(__dirname, '../models/Session'))});
+            const model = new SessionModel(process.argv[1]);
+            for (let i = 0; i < 10; i++) model.create({ id: process.argv[2] }, 'hash', new Date(Date.now() + ${DAY_MS}));
+        `;
+        await Promise.all(['u1', 'u2', 'u3'].map(userId => new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script, dbPath, userId], error => (error ? reject(error) : resolve()));
+        })));
+
+        assert.strictEqual(sessions.list().length, 30);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserModel } = require('../models/User');
+
+describe('UserModel last admin', () => {
+    let dir;
+    let users;
+    let admin;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-test-'));
+        users = new UserModel(path.join(dir, 'users.json'));
+        [admin] = users.findAll();
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('creates the first admin with a password left next to the store', () => {
+        assert.strictEqual(admin.role, 'admin');
+        if (!process.env.ADMIN_PASSWORD) {
+            const passwordFile = path.join(dir, 'initial-admin-password.txt');
+            assert.strictEqual(fs.statSync(passwordFile).mode & 0o777, 0o600);
+        }
+    });
+
+    it('refuses a disabled flag that is not a boolean', () => {
+        assert.strictEqual(users.validate({ disabled: 'true' }, admin.id), 'Disabled must be true or false');
+        assert.strictEqual(users.validate({ disabled: 1 }, admin.id), 'Disabled must be true or false');
+        assert.strictEqual(users.validate({ disabled: false }, admin.id), null);
+    });
+
+    it('keeps the only enabled admin an enabled admin', () => {
+        assert.strictEqual(users.isLastAdmin(admin), true);
+        assert.strictEqual(users.removesLastAdmin(admin, { role: 'teacher' }), true);
+        assert.strictEqual(users.removesLastAdmin(admin, { disabled: true }), true);
+        assert.strictEqual(users.removesLastAdmin(admin, { disabled: 'true' }), true);
+        assert.strictEqual(users.removesLastAdmin(admin, { name: 'Renamed', disabled: false }), false);
+    });
+
+    it('lets an admin go once another enabled admin exists', () => {
+        const other = users.create({ username: 'second', role: 'admin', password: 'another-secret' });
+        assert.strictEqual(users.removesLastAdmin(admin, { disabled: true }), false);
+
+        users.update(other.id, { disabled: true });
+        assert.strictEqual(users.isLastAdmin(admin), true);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../models/AuditLog');
+const searchIndex = require('../services/searchIndex');
+const quarantine = require('../services/quarantine');
+const uploadJobs = require('../services/uploadJobs');
+const { BackupService } = require('../services/backupService');
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+describe('BackupService', () => {
+    let dir;
+    let databaseDir;
+    let mockDriveDir;
+    let backups;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+        databaseDir = path.join(dir, 'database');
+        mockDriveDir = path.join(dir, 'mock_drive');
+        fs.mkdirSync(databaseDir);
+        fs.mkdirSync(path.join(mockDriveDir, 'ST101'), { recursive: true });
+
+        writeJson(path.join(databaseDir, 'students.json'), { students: [{ studentId: 'ST101', name: 'Rahul Sharma' }] });
+        writeJson(path.join(databaseDir, 'sessions.json'), { sessions: [{ id: 'revoked-later' }] });
+        writeJson(path.join(databaseDir, 'quarantine.json'), { files: [{ id: 'held' }] });
+        writeJson(path.join(databaseDir, 'uploadJobs.json'), { jobs: [{ id: 'queued' }] });
+        fs.writeFileSync(path.join(databaseDir, 'audit.jsonl'), '{"action":"before"}\n');
+        fs.writeFileSync(path.join(mockDriveDir, 'ST101', 'abc-receipt.pdf'), '%PDF-1.4 receipt');
+
+        backups = new BackupService({ databaseDir, mockDriveDir, backupDir: path.join(dir, 'backups') });
+
+        mock.method(AuditLog, 'record', () => {});
+        mock.method(searchIndex, 'reload', () => {});
+        mock.method(quarantine, 'clear', () => {});
+        mock.method(uploadJobs, 'clear', () => {});
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('archives the records and files, without sessions, quarantine or upload jobs', async () => {
+        const backup = await backups.create();
+        const manifest = await backups.verify(path.join(backups.backupDir, backup.name));
+
+        assert.deepStrictEqual(manifest.files.map(f => f.path).sort(), [
+            'database/audit.jsonl',
+            'database/students.json',
+            'mock_drive/ST101/abc-receipt.pdf'
+        ]);
+    });
+
+    it('restores the archived state and drops held and queued uploads', async () => {
+        const { name } = await backups.create();
+
+        writeJson(path.join(databaseDir, 'students.json'), { students: [] });
+        fs.rmSync(path.join(mockDriveDir, 'ST101'), { recursive: true });
+        fs.appendFileSync(path.join(databaseDir, 'audit.jsonl'), '{"action":"after"}\n');
+
+        const result = await backups.restore(path.join(backups.backupDir, name));
+        assert.strictEqual(result.restored, name);
+
+        const { students } = JSON.parse(fs.readFileSync(path.join(databaseDir, 'students.json'), 'utf8'));
+        assert.deepStrictEqual(students.map(s => s.studentId), ['ST101']);
+        assert.strictEqual(fs.readFileSync(path.join(mockDriveDir, 'ST101', 'abc-receipt.pdf'), 'utf8'), '%PDF-1.4 receipt');
+
+        // The audit trail is append-only and current logins stay; held and queued uploads go
+        assert.match(fs.readFileSync(path.join(databaseDir, 'audit.jsonl'), 'utf8'), /"after"/);
+        assert.ok(fs.existsSync(path.join(databaseDir, 'sessions.json')));
+        assert.strictEqual(quarantine.clear.mock.callCount(), 1);
+        assert.strictEqual(uploadJobs.clear.mock.callCount(), 1);
+
+        // The state it replaced was kept
+        assert.ok(backups.list().some(b => b.name === result.safetyBackup && b.reason === 'pre-restore'));
+    });
+
+    it('refuses an archive that does not match its manifest', async () => {
+        const { name } = await backups.create();
+        const archivePath = path.join(backups.backupDir, name);
+        const bytes = fs.readFileSync(archivePath);
+        bytes[bytes.length - 20] ^= 0xFF;
+        fs.writeFileSync(archivePath, bytes);
+
+        await assert.rejects(backups.restore(archivePath));
+        const { students } = JSON.parse(fs.readFileSync(path.join(databaseDir, 'students.json'), 'utf8'));
+        assert.strictEqual(students.length, 1);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { FirebaseTokenVerifier } = require('../services/firebaseAuth');
+
+const PROJECT_ID = 'campus-connector-test';
+const ISSUER = `https://securetoken.google.com/${PROJECT_ID}`;
+
+// A locally generated key set, in place of Google's
+function generateKey() {
+    return crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+}
+
+describe('FirebaseTokenVerifier', () => {
+    let key;
+    let otherKey;
+    let verifier;
+
+    before(() => {
+        key = generateKey();
+        otherKey = generateKey();
+        verifier = new FirebaseTokenVerifier({
+            projectId: PROJECT_ID,
+            allowedDomain: 'ltce.in',
+            certificates: { 'key-1': key.publicKey }
+        });
+    });
+
+    function sign(claims = {}, { kid = 'key-1', privateKey = key.privateKey, ...options } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        return jwt.sign({
+            sub: 'user-1',
+            email: 'student@ltce.in',
+            email_verified: true,
+            auth_time: now - 60,
+            ...claims
+        }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            audience: PROJECT_ID,
+            issuer: ISSUER,
+            expiresIn: '1h',
+            ...options
+        });
+    }
+
+    async function rejects(token, code, message) {
+        await assert.rejects(verifier.verifyIdToken(token), error => {
+            assert.strictEqual(error.code, code);
+            if (message) assert.match(error.message, message);
+            return true;
+        });
+    }
+
+    it('returns the claims of a valid token', async () => {
+        const claims = await verifier.verifyIdToken(sign());
+        assert.strictEqual(claims.sub, 'user-1');
+        assert.strictEqual(claims.email, 'student@ltce.in');
+        assert.strictEqual(claims.aud, PROJECT_ID);
+    });
+
+    it('rejects an expired token', async () => {
+        // Issued two hours ago, valid for one
+        const iat = Math.floor(Date.now() / 1000) - 7200;
+        await rejects(sign({ iat, auth_time: iat }), 'invalid-token', /expired/);
+    });
+
+    it('rejects a token for another project', async () => {
+        await rejects(sign({}, { audience: 'other-project' }), 'invalid-token', /audience/);
+    });
+
+    it('rejects a token from another issuer', async () => {
+        await rejects(sign({}, { issuer: 'https://securetoken.google.com/other-project' }), 'invalid-token', /issuer/);
+    });
+
+    it('rejects a token signed with an unknown key', async () => {
+        await rejects(sign({}, { kid: 'key-2', privateKey: otherKey.privateKey }), 'invalid-token', /unknown key/);
+    });
+
+    it('rejects a known key id with the wrong signature', async () => {
+        await rejects(sign({}, { privateKey: otherKey.privateKey }), 'invalid-token', /signature/);
+    });
+
+    it('rejects emails outside the allowed domain', async () => {
+        await rejects(sign({ email: 'someone@gmail.com' }), 'domain-not-allowed');
+        await rejects(sign({ email_verified: false }), 'domain-not-allowed');
+    });
+
+    it('needs a project ID', async () => {
+        const unconfigured = new FirebaseTokenVerifier({ certificates: { 'key-1': key.publicKey } });
+        await assert.rejects(unconfigured.verifyIdToken(sign()), { code: 'not-configured' });
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalDrive = require('../services/localDrive');
+
+// A document as the mock mode before the emulator index stored it: the id
+// was taken a few ms after the timestamp in the file name
+const BASELINE_DOCUMENT = {
+    id: '44e15313-950a-45b9-8ca2-233dd916ff79',
+    fileName: 'Room Agreement_compressed.pdf',
+    shareableLink: '/uploads/mock_drive/1769578612139-Room Agreement_compressed.pdf',
+    downloadLink: '/uploads/mock_drive/1769578612139-Room Agreement_compressed.pdf',
+    fileId: 'mock-file-1769578612151',
+    uploadedAt: '2026-01-28T05:36:52.156Z'
+};
+const BASELINE_FILE = '1769578612139-Room Agreement_compressed.pdf';
+
+describe('LocalDrive legacy files', () => {
+    let root;
+    let local;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-drive-test-'));
+        fs.writeFileSync(path.join(root, BASELINE_FILE), '%PDF-1.4 room agreement');
+        local = new LocalDrive(root);
+    });
+
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    it('finds a baseline document under the id it recorded', () => {
+        assert.strictEqual(local.get(BASELINE_DOCUMENT.fileId), null);
+        assert.strictEqual(local.adoptLegacy([BASELINE_DOCUMENT]), 1);
+
+        const file = local.get(BASELINE_DOCUMENT.fileId);
+        assert.strictEqual(file.name, BASELINE_DOCUMENT.fileName);
+        assert.strictEqual(file.webViewLink, encodeURI(BASELINE_DOCUMENT.shareableLink));
+        assert.strictEqual(local.localPath(BASELINE_DOCUMENT.fileId), path.join(root, BASELINE_FILE));
+
+        // Listed once, under the document's id
+        assert.deepStrictEqual(local.list().map(entry => entry.id), [BASELINE_DOCUMENT.fileId]);
+    });
+
+    it('deletes the file of an adopted document', () => {
+        local.adoptLegacy([BASELINE_DOCUMENT]);
+
+        assert.strictEqual(local.delete(BASELINE_DOCUMENT.fileId), true);
+        assert.strictEqual(fs.existsSync(path.join(root, BASELINE_FILE)), false);
+    });
+
+    it('falls back to a unique file name when the link does not match', () => {
+        const moved = { ...BASELINE_DOCUMENT, shareableLink: '/uploads/elsewhere.pdf' };
+        assert.strictEqual(local.adoptLegacy([moved]), 1);
+        assert.ok(local.get(BASELINE_DOCUMENT.fileId));
+    });
+
+    it('leaves a file no document claims under its file name timestamp', () => {
+        const other = { ...BASELINE_DOCUMENT, fileName: 'Other.pdf', shareableLink: '/uploads/mock_drive/1-Other.pdf' };
+        assert.strictEqual(local.adoptLegacy([other]), 0);
+        assert.strictEqual(local.get(BASELINE_DOCUMENT.fileId), null);
+        assert.ok(local.get('mock-file-1769578612139'));
+    });
+});
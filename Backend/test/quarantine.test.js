@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fileInspector = require('../services/fileInspector');
+const { Quarantine } = require('../services/quarantine');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0x0D]);
+const HTML = Buffer.from('<html><script>alert(localStorage.accessToken)</script></html>');
+
+describe('Quarantine release', () => {
+    let dir;
+    let quarantine;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-test-'));
+        quarantine = new Quarantine(path.join(dir, 'quarantine.json'), path.join(dir, 'held'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // An entry as add() makes it, without the audit trail
+    function hold(content, fileName, declaredType, detectedType) {
+        const entry = { id: `entry-${fileName}`, fileName, declaredType, detectedType, fields: {}, versionOf: null };
+        fs.mkdirSync(quarantine.dir, { recursive: true });
+        fs.writeFileSync(quarantine.filePath(entry.id), content);
+        quarantine.update(files => { files.push(entry); });
+        return entry;
+    }
+
+    function write(name, content) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    it('refuses markup declared as a PDF and keeps it held', async () => {
+        const entry = hold(HTML, 'evil.html', 'application/pdf', 'text/html');
+
+        const { status, body } = await quarantine.release(entry);
+        assert.strictEqual(status, 422);
+        assert.match(body.error, /markup/);
+        assert.ok(quarantine.get(entry.id));
+        assert.ok(fs.existsSync(quarantine.filePath(entry.id)));
+    });
+
+    it('refuses an extension that does not go with the type', async () => {
+        const entry = hold(Buffer.from('not a known format'), 'evil.html', 'application/pdf', null);
+
+        const { status, body } = await quarantine.release(entry);
+        assert.strictEqual(status, 422);
+        assert.match(body.error, /Extension \.html/);
+    });
+
+    it('waives only the content match on release', async () => {
+        const unknown = write('scan.pdf', Buffer.from('garbled header %PDF-1.4'));
+        assert.strictEqual((await fileInspector.verify(unknown, 'application/pdf', 'scan.pdf')).ok, false);
+        assert.deepStrictEqual(
+            await fileInspector.verify(unknown, 'application/pdf', 'scan.pdf', { matchContent: false }),
+            { ok: true, mimeType: 'application/pdf' });
+
+        const page = write('page.pdf', HTML);
+        assert.strictEqual((await fileInspector.verify(page, 'application/pdf', 'page.pdf', { matchContent: false })).ok, false);
+    });
+
+    it('names a file after the type its content is', () => {
+        assert.strictEqual(fileInspector.renameFor('scan.png', 'application/pdf'), 'scan.pdf');
+        assert.strictEqual(fileInspector.renameFor('photo.JPEG', 'image/jpeg'), 'photo.JPEG');
+        assert.strictEqual(fileInspector.renameFor('notes', 'image/png'), 'notes.png');
+    });
+
+    it('serves inline only PDFs and images that match their name', () => {
+        assert.strictEqual(fileInspector.isSafeInline(write('a.pdf', PDF)), true);
+        assert.strictEqual(fileInspector.isSafeInline(write('b.png', PNG)), true);
+        assert.strictEqual(fileInspector.isSafeInline(write('c.pdf', PNG)), false);
+        assert.strictEqual(fileInspector.isSafeInline(write('d.html', HTML)), false);
+        assert.strictEqual(fileInspector.isSafeInline(write('e.pdf', HTML)), false);
+    });
+});
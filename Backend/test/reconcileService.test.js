@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Student = require('../models/Student');
+const storage = require('../services/storage');
+const searchIndex = require('../services/searchIndex');
+const reconcileService = require('../services/reconcileService');
+
+const LINK = '/uploads/mock_drive/1769578612139-Room Agreement_compressed.pdf';
+
+// A provider over a fixed set of files; `local` lists them, mock-mode Drive only looks them up
+function provider(name, files, { lists = true } = {}) {
+    return {
+        name,
+        live: false,
+        getFile: async fileId => files.find(file => file.id === fileId) || null,
+        listFiles: async () => (lists ? files : null)
+    };
+}
+
+describe('ReconcileService', () => {
+    let students;
+    let emulator;
+
+    beforeEach(() => {
+        students = [{
+            studentId: 'ST101',
+            documents: {
+                assignmentLinks: [{
+                    id: 'doc-1',
+                    fileName: 'Room Agreement_compressed.pdf',
+                    shareableLink: LINK,
+                    fileId: 'mock-file-1769578612151',
+                    size: 24
+                }]
+            },
+            trash: []
+        }];
+        // The same file under the id guessed from its name
+        emulator = [{
+            id: 'mock-file-1769578612139',
+            name: 'Room Agreement_compressed.pdf',
+            size: 24,
+            webViewLink: encodeURI(LINK),
+            webContentLink: encodeURI(LINK)
+        }];
+
+        const providers = {
+            drive: provider('drive', emulator, { lists: false }),
+            local: provider('local', emulator)
+        };
+        mock.method(storage, 'get', name => providers[name]);
+        mock.method(storage, 'current', () => providers.drive);
+        mock.method(Student, 'findAll', () => students);
+        mock.method(Student, 'findTrash', () => ({ students: [], documents: [] }));
+        mock.method(Student, 'relinkFile', () => 1);
+        mock.method(searchIndex, 'moveFileText', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('pairs a missing file with the orphan at its link and offers only relink', async () => {
+        const { issues } = await reconcileService.scan();
+        const missing = issues.find(issue => issue.type === 'missing');
+        const orphan = issues.find(issue => issue.type === 'orphan');
+
+        assert.deepStrictEqual(missing.repairs, ['relink']);
+        assert.deepStrictEqual(missing.candidate, {
+            storage: 'local', fileId: 'mock-file-1769578612139', fileName: 'Room Agreement_compressed.pdf'
+        });
+        assert.deepStrictEqual(orphan.repairs, []);
+        assert.strictEqual(orphan.candidateFor, missing.id);
+    });
+
+    it('never offers to delete an orphan named like a missing file', async () => {
+        emulator[0].size = 99;
+        const { issues } = await reconcileService.scan();
+
+        assert.deepStrictEqual(issues.find(issue => issue.type === 'missing').repairs, ['remove']);
+        assert.deepStrictEqual(issues.find(issue => issue.type === 'orphan').repairs, []);
+
+        const results = await reconcileService.repair([{ id: 'orphan:local:mock-file-1769578612139', action: 'delete' }]);
+        assert.strictEqual(results[0].ok, false);
+    });
+
+    it('offers delete for an unrelated orphan', async () => {
+        emulator.push({ id: 'mock-file-1', name: 'Other.pdf', size: 3, webViewLink: '/uploads/mock_drive/1-Other.pdf' });
+        const { issues } = await reconcileService.scan();
+
+        assert.deepStrictEqual(issues.find(issue => issue.fileId === 'mock-file-1').repairs, ['delete']);
+    });
+
+    it('keeps the document provider when relinking into the shared emulator', async () => {
+        const [result] = await reconcileService.repair([{ id: 'missing:drive:mock-file-1769578612151', action: 'relink' }]);
+        assert.strictEqual(result.ok, true);
+
+        const [from, to] = Student.relinkFile.mock.calls[0].arguments;
+        assert.deepStrictEqual(from, { storage: 'drive', fileId: 'mock-file-1769578612151' });
+        assert.strictEqual(to.storage, 'drive');
+        assert.strictEqual(to.fileId, 'mock-file-1769578612139');
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Student = require('../models/Student');
+const storage = require('../services/storage');
+const searchIndex = require('../services/searchIndex');
+const trashService = require('../services/trashService');
+
+const DELETED_AT = '2026-01-01T00:00:00.000Z';
+
+// Mock-mode Drive: `mock-` ids are in the emulator, others need Drive itself
+function driveProvider({ configured }) {
+    return {
+        name: 'drive',
+        configured,
+        live: false,
+        reachable: fileId => String(fileId).startsWith('mock-'),
+        listFolder: async () => [{ id: 'mock-file-1', mimeType: 'application/pdf' }],
+        findStudentFolder: async () => null
+    };
+}
+
+describe('TrashService.purge', () => {
+    let drive;
+    let references;
+
+    function trashStudent(driveFolderId, fileId) {
+        mock.method(Student, 'findTrash', () => ({
+            students: [{
+                studentId: 'ST102',
+                deletedAt: DELETED_AT,
+                driveFolderId,
+                documents: { assignmentLinks: [{ id: 'doc-1', fileId, storage: 'drive' }] },
+                trash: []
+            }],
+            documents: []
+        }));
+    }
+
+    beforeEach(() => {
+        references = new Map();
+        mock.method(storage, 'get', () => drive);
+        mock.method(storage, 'deleteFile', async () => true);
+        mock.method(Student, 'delete', () => true);
+        mock.method(Student, 'countFileReferences', fileId => references.get(fileId) || 0);
+        mock.method(searchIndex, 'forgetFile', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('purges without Drive credentials and reports the Drive ids left behind', async () => {
+        drive = driveProvider({ configured: false });
+        trashStudent('1AbCdriveFolder', '1AbCdriveFile');
+
+        const result = await trashService.purge({ olderThanDays: 0 });
+        assert.strictEqual(result.students, 1);
+        assert.strictEqual(result.deferred, 0);
+        assert.deepStrictEqual(result.unreachable.map(f => f.fileId), ['1AbCdriveFile', '1AbCdriveFolder']);
+        assert.strictEqual(storage.deleteFile.mock.callCount(), 0);
+
+        // Nothing is left to wait for on the next run
+        assert.strictEqual(Student.delete.mock.callCount(), 1);
+    });
+
+    it('defers while a configured Drive is down', async () => {
+        drive = driveProvider({ configured: true });
+        trashStudent('1AbCdriveFolder', '1AbCdriveFile');
+
+        const result = await trashService.purge({ olderThanDays: 0 });
+        assert.deepStrictEqual({ students: result.students, deferred: result.deferred }, { students: 0, deferred: 1 });
+        assert.strictEqual(Student.delete.mock.callCount(), 0);
+    });
+
+    it('keeps a file and its folder while a linked duplicate still uses it', async () => {
+        drive = driveProvider({ configured: false });
+        trashStudent('mock-folder-1', 'mock-file-1');
+        references.set('mock-file-1', 1);
+
+        const result = await trashService.purge({ olderThanDays: 0 });
+        assert.strictEqual(result.students, 1);
+        assert.strictEqual(result.files, 0);
+        assert.strictEqual(storage.deleteFile.mock.callCount(), 0);
+    });
+});
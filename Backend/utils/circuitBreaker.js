@@ -0,0 +1,67 @@
+/**
+ * Circuit breaker for a remote service.
+ *
+ * closed:    requests go through; `failureThreshold` failures in a row open it
+ * open:      requests are refused until `resetTimeoutMs` has passed
+ * half-open: requests go through again as a trial; a success closes the
+ *            breaker, a failure opens it for another `resetTimeoutMs`
+ */
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * May a request be made now? Moves an open breaker whose timeout has
+     * passed to half-open.
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half-open';
+            console.log('🔌 Circuit half-open: trying the service again');
+        }
+        return this.state !== 'open';
+    }
+
+    success() {
+        if (this.state !== 'closed') console.log('🔌 Circuit closed: the service is back');
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    failure(error) {
+        this.failures++;
+        this.lastError = error ? error.message : null;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) this.trip(error);
+    }
+
+    /**
+     * Open the breaker now, whatever the failure count
+     */
+    trip(error) {
+        if (error) this.lastError = error.message;
+        if (this.state !== 'open') {
+            console.error(`🔌 Circuit open for ${Math.round(this.resetTimeoutMs / 1000)}s${this.lastError ? `: ${this.lastError}` : ''}`);
+        }
+        this.state = 'open';
+        this.openedAt = Date.now();
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
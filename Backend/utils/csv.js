@@ -0,0 +1,12 @@
+/**
+ * One CSV cell: quoted when needed, and with a leading `'` when it starts
+ * like a formula (=, +, -, @), so spreadsheets show user input such as
+ * =HYPERLINK(...) as text instead of running it.
+ */
+function csvEscape(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { csvEscape };
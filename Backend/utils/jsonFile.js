@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+class DatabaseCorruptError extends Error {
+    constructor(filePath, cause) {
+        super(`Database file ${filePath} is unreadable (${cause.message}). ` +
+            'Refusing to overwrite it: restore it from database/backups/.');
+        this.name = 'DatabaseCorruptError';
+        this.filePath = filePath;
+    }
+}
+
+// Block the thread without spinning the CPU (the model API is synchronous)
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read and parse a JSON file. Throws DatabaseCorruptError instead of
+ * silently returning an empty database.
+ */
+function readJson(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new DatabaseCorruptError(filePath, error);
+    }
+}
+
+/**
+ * Write JSON atomically: write a temp file, fsync it, then rename over the
+ * target. A crash leaves either the old or the new file, never a torn one.
+ */
+function writeJsonAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+    const fd = fs.openSync(tmpPath, 'w');
+
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Run `fn` while holding an exclusive lock file next to `filePath`.
+ * Serializes read-modify-write cycles across requests and processes.
+ */
+function withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let fd;
+
+    while (fd === undefined) {
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // A process that died while holding the lock leaves it behind
+            try {
+                const { mtimeMs } = fs.statSync(lockPath);
+                if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+                    fs.rmSync(lockPath, { force: true });
+                    continue;
+                }
+            } catch (statError) {
+                continue; // Released between open and stat
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for database lock ${lockPath}`);
+            }
+            sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    try {
+        fs.writeSync(fd, String(process.pid));
+        return fn();
+    } finally {
+        fs.closeSync(fd);
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+/**
+ * Copy `filePath` into `backupDir` as {name}.{timestamp}.bak, at most once
+ * per `minIntervalMs`, keeping the newest `keep` copies.
+ */
+function rotateBackup(filePath, { backupDir, keep = 10, minIntervalMs = 0 } = {}) {
+    if (!fs.existsSync(filePath) || keep <= 0) return null;
+
+    const dir = backupDir || path.join(path.dirname(filePath), 'backups');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const baseName = path.basename(filePath);
+    const existing = fs.readdirSync(dir)
+        .filter(f => f.startsWith(baseName + '.') && f.endsWith('.bak'))
+        .sort();
+
+    const latest = existing[existing.length - 1];
+    if (latest && minIntervalMs > 0) {
+        const { mtimeMs } = fs.statSync(path.join(dir, latest));
+        if (Date.now() - mtimeMs < minIntervalMs) return null;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(dir, `${baseName}.${stamp}.bak`);
+    fs.copyFileSync(filePath, backupPath);
+
+    existing.push(path.basename(backupPath));
+    existing.slice(0, Math.max(0, existing.length - keep)).forEach(f => {
+        fs.rmSync(path.join(dir, f), { force: true });
+    });
+
+    return backupPath;
+}
+
+module.exports = {
+    DatabaseCorruptError,
+    readJson,
+    writeJsonAtomic,
+    withLock,
+    rotateBackup
+};
@@ -0,0 +1,45 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (who is calling, from where) available to models
+ * and services without threading `req` through every call.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: start a context for the request
+ */
+function middleware(req, res, next) {
+    storage.run({ req }, next);
+}
+
+/**
+ * Current actor and IP, or a "system" actor outside of a request
+ * (scripts, background jobs)
+ */
+function current() {
+    const store = storage.getStore();
+    const req = store && store.req;
+
+    if (!req) {
+        return { actor: { id: 'system', name: 'System', role: 'system' }, ip: null };
+    }
+
+    const user = req.user;
+    return {
+        actor: user
+            ? { id: user.id, name: user.name, email: user.email, role: user.role }
+            : { id: 'anonymous', name: 'Anonymous', role: null },
+        ip: req.ip || null
+    };
+}
+
+/**
+ * Run `fn` on behalf of `user` outside of a request (a background job
+ * working through someone's upload), so audit events name them
+ */
+function runAs(user, fn) {
+    return storage.run({ req: { user, ip: null } }, fn);
+}
+
+module.exports = { middleware, current, runAs };
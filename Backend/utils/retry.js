@@ -0,0 +1,40 @@
+// Network failures worth another try
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Is this error worth retrying: a network failure, a timeout, a 5xx, or a
+ * rate limit (Google reports some of those as 403)?
+ */
+function isTransient(error) {
+    if (!error) return false;
+    if (TRANSIENT_CODES.includes(error.code)) return true;
+
+    const status = (error.response && error.response.status) || (typeof error.code === 'number' ? error.code : null);
+    if (TRANSIENT_STATUSES.includes(status)) return true;
+
+    const reasons = (error.errors || []).map(e => e.reason);
+    return status === 403 && reasons.some(reason => RATE_LIMIT_REASONS.includes(reason));
+}
+
+/**
+ * Run `fn(attempt)` until it succeeds, retrying transient errors up to
+ * `retries` times with exponential backoff and jitter
+ * (baseDelayMs, 2×, 4×, ... capped at maxDelayMs).
+ */
+async function retry(fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 10000, shouldRetry = isTransient, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+            if (onRetry) onRetry(error, attempt + 1, Math.round(delay));
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = { retry, isTransient };
@@ -1,6 +1,69 @@
 const API_BASE = '';
 let students = [];
-let selectedFile = null;
+// Current page of the students grid; fetched from the server
+let studentQuery = { page: 1, pageSize: 24, sort: 'name', order: 'asc', q: '', department: '', hasType: '', missingType: '' };
+let studentPage = null;
+let searchTimer = null;
+let filterTimer = null;
+let documentTypes = [];
+let selectedFiles = [];
+let currentBatch = null;
+
+// =======================
+// AUTHENTICATED REQUESTS
+// =======================
+
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+}
+
+function redirectToLogin() {
+    clearSession();
+    window.location.href = '/login';
+}
+
+async function refreshSession() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    try {
+        const res = await fetch(`${API_BASE}/api/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (!res.ok) return false;
+
+        const data = await res.json();
+        localStorage.setItem('authToken', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// fetch() wrapper: sends the session token, refreshes it once on 401,
+// and sends the user back to /login if the session is gone
+async function apiFetch(url, options = {}, retried = false) {
+    const headers = { ...(options.headers || {}) };
+    const token = localStorage.getItem('authToken');
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(url, { ...options, headers });
+
+    if (res.status === 401) {
+        if (!retried && await refreshSession()) {
+            return apiFetch(url, options, true);
+        }
+        redirectToLogin();
+        throw new Error('Session expired');
+    }
+
+    return res;
+}
 
 document.addEventListener('DOMContentLoaded', () => {
     // Auth Check
@@ -19,7 +82,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const avatarEl = document.querySelector('.avatar');
 
         if (nameEl) nameEl.textContent = user.name;
-        if (roleEl) roleEl.textContent = user.role === 'teacher' ? 'Faculty Member' : 'Student Account';
+        const roleLabels = { admin: 'Administrator', teacher: 'Faculty Member', student: 'Student Account' };
+        if (roleEl) roleEl.textContent = roleLabels[user.role] || 'Student Account';
         if (avatarEl) avatarEl.textContent = user.name.substring(0, 2).toUpperCase();
 
         // Background color for avatar based on role
@@ -34,19 +98,30 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    if (user.role === 'admin') {
+        ['trash', 'backups', 'quarantine'].forEach(sec => {
+            const link = document.querySelector(`.nav-link[data-section="${sec}"]`);
+            if (link) link.style.display = '';
+        });
+    }
+
     initNavigation();
     initUpload();
     initForms();
+    loadDocumentTypes();
     if (user.role !== 'student') loadStudents(); // Only load heavy data for teachers
 
     // Sign Out Handler
     const signOutBtn = document.querySelector('.fa-arrow-right-from-bracket').parentNode;
     if (signOutBtn) {
-        signOutBtn.addEventListener('click', (e) => {
+        signOutBtn.addEventListener('click', async (e) => {
             e.preventDefault();
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+            try {
+                await apiFetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+            } catch (err) {
+                // Session already gone, nothing to revoke
+            }
+            redirectToLogin();
         });
     }
 });
@@ -69,25 +144,105 @@ function showSection(sectionId) {
 
     if (sectionId === 'upload') populateStudentDropdown();
     if (sectionId === 'students') loadStudents();
+    if (sectionId === 'trash') loadTrash();
+    if (sectionId === 'backups') loadBackups();
+    if (sectionId === 'quarantine') loadQuarantine();
 }
 
 async function loadStudents() {
+    const params = new URLSearchParams();
+    Object.entries(studentQuery).forEach(([key, value]) => {
+        if (value !== '' && value !== null) params.set(key, value);
+    });
+
     try {
-        const res = await fetch(`${API_BASE}/api/students`);
-        students = await res.json();
+        const res = await apiFetch(`${API_BASE}/api/students?${params}`);
+        studentPage = await res.json();
+        if (!res.ok) throw new Error(studentPage.error);
+
+        students = studentPage.students;
         renderStudents();
+        renderStudentPager();
         updateStats();
     } catch (err) {
         console.error('Failed to load students:', err);
     }
 }
 
+function renderStudentPager() {
+    const pager = document.getElementById('students-pager');
+    if (!pager || !studentPage) return;
+
+    if (studentPage.totalPages <= 1) {
+        pager.innerHTML = '';
+        return;
+    }
+
+    const { page, totalPages, total } = studentPage;
+    pager.innerHTML = `
+        <button class="btn" style="background: #333; color: white;" ${page <= 1 ? 'disabled' : ''}
+            onclick="goToStudentPage(${page - 1})"><i class="fa-solid fa-chevron-left"></i></button>
+        <span style="color: #888; font-size: 13px;">Page ${page} of ${totalPages} · ${total} students</span>
+        <button class="btn" style="background: #333; color: white;" ${page >= totalPages ? 'disabled' : ''}
+            onclick="goToStudentPage(${page + 1})"><i class="fa-solid fa-chevron-right"></i></button>
+    `;
+}
+
+function goToStudentPage(page) {
+    studentQuery.page = page;
+    loadStudents();
+}
+
+function initStudentFilters() {
+    const bind = (id, apply) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            apply(e.target.value);
+            studentQuery.page = 1;
+            loadStudents();
+        });
+    };
+
+    document.getElementById('filter-text').addEventListener('input', (e) => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => {
+            studentQuery.q = e.target.value.trim();
+            studentQuery.page = 1;
+            loadStudents();
+        }, 250);
+    });
+    bind('filter-department', value => { studentQuery.department = value; });
+    bind('filter-has-type', value => { studentQuery.hasType = value; });
+    bind('filter-missing-type', value => { studentQuery.missingType = value; });
+    bind('filter-sort', value => {
+        const [sort, order] = value.split(':');
+        Object.assign(studentQuery, { sort, order });
+    });
+}
+
+async function loadDocumentTypes() {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/document-types`);
+        documentTypes = await res.json();
+
+        const typeOptions = prefix => documentTypes
+            .map(t => `<option value="${t.key}">${prefix} ${escapeHtml(t.label)}</option>`).join('');
+        document.getElementById('filter-has-type').innerHTML =
+            '<option value="">Has any document</option>' + typeOptions('Has');
+        document.getElementById('filter-missing-type').innerHTML =
+            '<option value="">Missing nothing</option>' + typeOptions('Missing');
+    } catch (err) {
+        console.error('Failed to load document types:', err);
+    }
+}
+
 function renderStudents() {
     const grid = document.getElementById('students-grid');
     const recentGrid = document.getElementById('recent-grid');
 
     if (students.length === 0) {
-        grid.innerHTML = '<div style="color: #666; grid-column: 1/-1; text-align: center; padding: 40px;">No students found. Add your first student!</div>';
+        const filtered = studentQuery.q || studentQuery.department || studentQuery.hasType || studentQuery.missingType;
+        grid.innerHTML = `<div style="color: #666; grid-column: 1/-1; text-align: center; padding: 40px;">
+            ${filtered ? 'No matching students found' : 'No students found. Add your first student!'}</div>`;
         return;
     }
 
@@ -145,16 +300,23 @@ function renderStudents() {
 }
 
 function countDocs(student) {
+    if (student.documentCount !== undefined) return student.documentCount;
     if (!student.documents) return 0;
     return Object.values(student.documents).reduce((sum, arr) => sum + arr.length, 0);
 }
 
-function updateStats() {
-    document.getElementById('total-students').textContent = students.length;
-    const totalDocs = students.reduce((sum, s) => sum + countDocs(s), 0);
-    document.getElementById('total-documents').textContent = totalDocs;
-    const depts = new Set(students.map(s => s.department).filter(Boolean));
-    document.getElementById('total-departments').textContent = depts.size;
+async function updateStats() {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/stats`);
+        const stats = await res.json();
+        if (!res.ok) return;
+
+        document.getElementById('total-students').textContent = stats.students;
+        document.getElementById('total-documents').textContent = stats.documents;
+        document.getElementById('total-departments').textContent = stats.departments;
+    } catch (err) {
+        console.error('Failed to load stats:', err);
+    }
 }
 
 function initUpload() {
@@ -167,24 +329,33 @@ function initUpload() {
     dropzone.addEventListener('drop', (e) => {
         e.preventDefault();
         dropzone.classList.remove('dragover');
-        if (e.dataTransfer.files.length) handleFile(e.dataTransfer.files[0]);
+        if (e.dataTransfer.files.length) handleFiles(e.dataTransfer.files);
     });
 
     fileInput.addEventListener('change', (e) => {
-        if (e.target.files.length) handleFile(e.target.files[0]);
+        if (e.target.files.length) handleFiles(e.target.files);
     });
 }
 
-function handleFile(file) {
-    selectedFile = file;
-    document.getElementById('file-name').textContent = file.name;
+function handleFiles(files) {
+    selectedFiles = Array.from(files);
+    const total = selectedFiles.reduce((sum, f) => sum + f.size, 0);
+    document.getElementById('file-name').textContent = selectedFiles.length === 1
+        ? selectedFiles[0].name
+        : `${selectedFiles.length} files (${formatSize(total)})`;
     document.getElementById('selected-file').style.display = 'flex';
     document.getElementById('dropzone').style.display = 'none';
     updateUploadBtn();
 }
 
+// Several files or a ZIP go to /upload/batch, one file through a resumable session
+function isBatchUpload() {
+    return selectedFiles.length > 1 || (selectedFiles.length === 1 && /\.zip$/i.test(selectedFiles[0].name));
+}
+
 function removeFile() {
-    selectedFile = null;
+    selectedFiles = [];
+    hideUploadProgress();
     document.getElementById('file-input').value = '';
     document.getElementById('selected-file').style.display = 'none';
     document.getElementById('dropzone').style.display = 'block';
@@ -193,45 +364,218 @@ function removeFile() {
 
 function updateUploadBtn() {
     const studentId = document.getElementById('upload-student').value;
-    document.getElementById('upload-btn').disabled = !(selectedFile && studentId);
+    // In a batch the student comes from each file name; the picked one is the default
+    document.getElementById('upload-btn').disabled = !(selectedFiles.length && (studentId || isBatchUpload()));
 }
 
-function populateStudentDropdown() {
+async function populateStudentDropdown() {
     const select = document.getElementById('upload-student');
-    select.innerHTML = '<option value="">Select student...</option>' +
-        students.map(s => `<option value="${s.studentId}">${s.studentId} - ${s.name || 'Unnamed'}</option>`).join('');
     select.addEventListener('change', updateUploadBtn);
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/students/options`);
+        const options = await res.json();
+        if (!res.ok) return;
+
+        select.innerHTML = '<option value="">Select student...</option>' +
+            options.map(s => `<option value="${escapeHtml(s.studentId)}">${escapeHtml(s.studentId)} - ${escapeHtml(s.name || 'Unnamed')}</option>`).join('');
+    } catch (err) {
+        console.error('Failed to load students:', err);
+    }
 }
 
 function initForms() {
     document.getElementById('upload-form').addEventListener('submit', handleUpload);
     document.getElementById('add-student-form').addEventListener('submit', handleAddStudent);
     document.getElementById('search-input').addEventListener('input', handleSearch);
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-bar')) hideSearchResults();
+    });
+    initStudentFilters();
+}
+
+// =======================
+// RESUMABLE UPLOADS
+// =======================
+
+// Waits before re-sending a chunk after a network error; then the upload pauses
+const UPLOAD_RETRY_DELAYS = [1000, 2000, 4000, 8000, 15000];
+
+// Sessions are remembered per file, so picking the same file again resumes it
+function uploadSessionKey(file) {
+    return `uploadSession:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function setUploadProgress(offset, size, label) {
+    const percent = size ? Math.floor(offset / size * 100) : 0;
+    document.getElementById('upload-progress').style.display = 'block';
+    document.getElementById('upload-progress-bar').style.width = `${percent}%`;
+    document.getElementById('upload-progress-text').textContent =
+        label || `${formatSize(offset)} of ${formatSize(size)} (${percent}%)`;
+}
+
+function hideUploadProgress() {
+    document.getElementById('upload-progress').style.display = 'none';
+    document.getElementById('upload-progress-bar').style.width = '0%';
+}
+
+// Resume the file's saved session if it is still there with the same form
+// fields, otherwise start a new one. Null where the server has no
+// resumable uploads (serverless without shared storage)
+async function openUploadSession(file, fields) {
+    const key = uploadSessionKey(file);
+    const saved = JSON.parse(localStorage.getItem(key) || 'null');
+
+    if (saved) {
+        const sameFields = JSON.stringify(saved.fields) === JSON.stringify(fields);
+        const res = await apiFetch(`${API_BASE}/upload/sessions/${saved.sessionId}`, sameFields ? {} : { method: 'DELETE' });
+        if (sameFields && res.ok) return res.json();
+        localStorage.removeItem(key);
+    }
+
+    const res = await apiFetch(`${API_BASE}/upload/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, mimeType: file.type, size: file.size, ...fields })
+    });
+    const data = await res.json();
+    if (res.status === 503 && data.resumable === false) return null;
+    if (!res.ok) throw new Error(data.error || 'Could not start the upload');
+
+    localStorage.setItem(key, JSON.stringify({ sessionId: data.sessionId, fields }));
+    return data;
+}
+
+// Send one chunk; after a network or server error wait and ask the server
+// where to go on, since the chunk may have arrived
+async function sendUploadChunk(file, progress) {
+    const start = progress.nextChunk * progress.chunkSize;
+    const chunk = file.slice(start, Math.min(start + progress.chunkSize, file.size));
+    const url = `${API_BASE}/upload/sessions/${progress.sessionId}`;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const res = await apiFetch(`${url}/chunks/${progress.nextChunk}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk
+            });
+            const data = await res.json();
+            if (res.ok || res.status === 409) return data;
+            if (res.status < 500) throw Object.assign(new Error(data.error || 'Upload failed'), { fatal: true });
+        } catch (err) {
+            if (err.fatal || err.message === 'Session expired') throw err;
+        }
+
+        if (attempt >= UPLOAD_RETRY_DELAYS.length) {
+            throw Object.assign(new Error('Connection lost'), { interrupted: true });
+        }
+        setUploadProgress(start, file.size, `Connection problem, retrying in ${UPLOAD_RETRY_DELAYS[attempt] / 1000}s...`);
+        await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAYS[attempt]));
+
+        try {
+            const res = await apiFetch(url);
+            if (res.ok) return res.json();
+            if (res.status === 404) throw Object.assign(new Error('The upload session expired, start again'), { fatal: true });
+        } catch (err) {
+            if (err.fatal || err.message === 'Session expired') throw err;
+        }
+    }
 }
 
 async function handleUpload(e) {
     e.preventDefault();
-    if (!selectedFile) return;
+    if (!selectedFiles.length) return;
+    if (isBatchUpload()) return handleBatchUpload();
 
+    const file = selectedFiles[0];
     const studentId = document.getElementById('upload-student').value;
     const btn = document.getElementById('upload-btn');
     btn.disabled = true;
     btn.textContent = 'Uploading...';
 
-    const formData = new FormData();
-    formData.append('file', selectedFile);
-    formData.append('studentId', studentId);
+    const fields = {
+        studentId,
+        semester: document.getElementById('upload-semester').value,
+        tags: document.getElementById('upload-tags').value,
+        onDuplicate: document.getElementById('upload-on-duplicate').value
+    };
+    if (document.getElementById('upload-check-all').checked) fields.duplicateScope = 'all';
 
     try {
-        const res = await fetch(`${API_BASE}/upload`, { method: 'POST', body: formData });
-        const data = await res.json();
+        let progress = await openUploadSession(file, fields);
+        let res;
+
+        if (progress) {
+            setUploadProgress(progress.offset, file.size, progress.offset ? `Resuming at ${formatSize(progress.offset)}...` : null);
+
+            while (!progress.complete) {
+                progress = await sendUploadChunk(file, progress);
+                setUploadProgress(progress.offset, file.size);
+            }
+
+            setUploadProgress(file.size, file.size, 'Classifying and storing...');
+            res = await apiFetch(`${API_BASE}/upload/sessions/${progress.sessionId}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ async: true })
+            });
+        } else {
+            // No sessions here: the whole file in one request
+            setUploadProgress(0, file.size, 'Uploading, classifying and storing...');
+            const formData = new FormData();
+            formData.append('file', file);
+            Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+            res = await apiFetch(`${API_BASE}/upload`, { method: 'POST', body: formData });
+        }
+        let status = res.status;
+        let data = await res.json();
+        // After a server error the session is kept, so Upload tries again
+        if (status < 500) localStorage.removeItem(uploadSessionKey(file));
+
+        // Queued: the server works on it in the background
+        if (status === 202) ({ status, data } = await waitForUploadJob(data, file.size));
+        hideUploadProgress();
 
         document.getElementById('ai-response').style.display = 'block';
         document.getElementById('ai-message').textContent = data.aiResponse || 'Upload complete';
 
-        showToast(data.success ? 'Document uploaded successfully!' : 'Upload failed', data.success ? 'success' : 'error');
-        if (data.success) { removeFile(); loadStudents(); }
+        if (data.duplicate) {
+            const dup = data.duplicate;
+            const where = `${dup.fileName} (${dup.studentId}, ${new Date(dup.uploadedAt).toLocaleDateString()})`;
+            const messages = {
+                409: `Already uploaded as ${where}`,
+                link: `Same file as ${where} - linked to the existing copy`,
+                version: `Same file as ${where} - stored as a new version`
+            };
+            document.getElementById('ai-message').textContent +=
+                '\n' + (status === 409 ? messages[409] : messages[data.linked ? 'link' : 'version']);
+            if (status === 409) {
+                showToast('Duplicate file: ' + messages[409], 'error');
+                btn.disabled = false;
+                btn.textContent = 'Upload';
+                return;
+            }
+        }
+
+        const failure = data.quarantined ? `${data.error}; the file is held for an administrator to review` : (data.error || 'Upload failed');
+        showToast(data.success ? 'Document uploaded successfully!' : failure, data.success ? 'success' : 'error');
+        if (data.success) {
+            removeFile();
+            document.getElementById('upload-tags').value = '';
+            loadStudents();
+        }
     } catch (err) {
+        if (err.interrupted) {
+            document.getElementById('upload-progress-text').textContent =
+                'Upload paused: the connection was lost. Press Resume when you are back online.';
+            showToast('Upload interrupted; it will resume where it stopped', 'error');
+            btn.disabled = false;
+            btn.textContent = 'Resume Upload';
+            return;
+        }
+        hideUploadProgress();
+        if (err.fatal) localStorage.removeItem(uploadSessionKey(file));
         showToast('Upload failed: ' + err.message, 'error');
     }
 
@@ -239,6 +583,149 @@ async function handleUpload(e) {
     btn.textContent = 'Upload';
 }
 
+// =======================
+// UPLOAD JOBS
+// =======================
+
+const JOB_POLL_INTERVAL = 1500;
+
+function describeJobStage(job) {
+    if (job.status === 'retrying') {
+        return `Attempt ${job.attempts} of ${job.maxAttempts} failed (${job.error}), trying again at ${new Date(job.nextAttemptAt).toLocaleTimeString()}...`;
+    }
+    if (job.stage === 'classified') {
+        const classified = job.stages.find(s => s.stage === 'classified');
+        const type = documentTypes.find(t => t.key === classified.documentType);
+        return `Filed under ${classified.studentId} as ${type ? type.label : classified.documentType}, storing...`;
+    }
+    return job.status === 'processing' ? 'Classifying...' : 'Waiting to be processed...';
+}
+
+// Poll the job until the worker is done with it; resolves with the answer
+// /upload would have given: { status, data }
+async function waitForUploadJob(job, size) {
+    while (job.status !== 'done' && job.status !== 'failed') {
+        setUploadProgress(size, size, describeJobStage(job));
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+
+        try {
+            const res = await apiFetch(`${API_BASE}/api/jobs/${job.id}`);
+            if (res.ok) job = await res.json();
+            else if (res.status === 404) throw Object.assign(new Error('The upload job is gone'), { fatal: true });
+        } catch (err) {
+            // Network errors: the job goes on without us, keep asking
+            if (err.fatal || err.message === 'Session expired') throw err;
+        }
+    }
+    return { status: job.resultStatus, data: job.result };
+}
+
+// =======================
+// BATCH UPLOADS
+// =======================
+
+const BATCH_STATUS_COLORS = { stored: 'var(--success)', review: '#f59e0b', failed: 'var(--danger)' };
+const BATCH_STATUS_LABELS = { stored: 'Stored', review: 'Needs review', failed: 'Failed' };
+
+async function handleBatchUpload() {
+    const btn = document.getElementById('upload-btn');
+    btn.disabled = true;
+    btn.textContent = 'Uploading...';
+
+    const formData = new FormData();
+    selectedFiles.forEach(file => formData.append('files', file));
+    const studentId = document.getElementById('upload-student').value;
+    if (studentId) formData.append('studentId', studentId);
+    formData.append('semester', document.getElementById('upload-semester').value);
+    formData.append('tags', document.getElementById('upload-tags').value);
+    formData.append('onDuplicate', document.getElementById('upload-on-duplicate').value);
+    if (document.getElementById('upload-check-all').checked) formData.append('duplicateScope', 'all');
+
+    setUploadProgress(0, 0, `Uploading and classifying ${selectedFiles.length === 1 ? 'the archive' : `${selectedFiles.length} files`}...`);
+
+    try {
+        const res = await apiFetch(`${API_BASE}/upload/batch`, { method: 'POST', body: formData });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Upload failed');
+
+        renderBatchResult(data);
+        const s = data.summary;
+        showToast(`${s.stored} of ${s.total} files stored`, s.stored === s.total ? 'success' : 'error');
+        removeFile();
+        loadStudents();
+    } catch (err) {
+        showToast('Upload failed: ' + err.message, 'error');
+    }
+
+    hideUploadProgress();
+    btn.textContent = 'Upload';
+    updateUploadBtn();
+}
+
+function renderBatchResult(batch) {
+    currentBatch = batch;
+    const s = batch.summary;
+    document.getElementById('batch-results').style.display = 'block';
+    document.getElementById('batch-summary').innerHTML = `${s.total} files: <strong>${s.stored}</strong> stored,
+        <span style="color: ${s.review ? BATCH_STATUS_COLORS.review : 'inherit'};">${s.review} need review</span>,
+        <span style="color: ${s.failed ? BATCH_STATUS_COLORS.failed : 'inherit'};">${s.failed} failed</span>`;
+
+    document.getElementById('batch-rows').innerHTML = `
+        <table style="width: 100%; font-size: 13px; border-collapse: collapse;">
+            <tr style="color: #888; text-align: left;"><th>File</th><th>Student</th><th>Type</th><th>Result</th></tr>
+            ${batch.items.map(item => `
+                <tr style="border-top: 1px solid #333;">
+                    <td style="padding: 6px 4px;">
+                        ${escapeHtml(item.fileName)}
+                        ${item.source ? `<div style="color: #888; font-size: 11px;">${escapeHtml(item.source)}</div>` : ''}
+                    </td>
+                    <td>${item.retryable
+                        ? `<input type="text" class="form-control batch-student" data-id="${escapeHtml(item.id)}"
+                            value="${escapeHtml(item.studentId || '')}" placeholder="Student ID" style="padding: 4px 6px; width: 110px;">`
+                        : escapeHtml(item.studentId || '-')}</td>
+                    <td>${escapeHtml(item.documentType || '-')}</td>
+                    <td style="color: ${BATCH_STATUS_COLORS[item.status] || 'inherit'};">
+                        ${BATCH_STATUS_LABELS[item.status] || escapeHtml(item.status)}${item.linked ? ' (linked)' : ''}
+                        ${item.error ? `<div style="color: #888; font-size: 11px;">${escapeHtml(item.error)}</div>` : ''}
+                    </td>
+                </tr>`).join('')}
+        </table>`;
+
+    const retryable = batch.items.filter(item => item.retryable).length;
+    const retryBtn = document.getElementById('batch-retry-btn');
+    retryBtn.style.display = retryable ? '' : 'none';
+    retryBtn.textContent = `Retry ${retryable} failed`;
+}
+
+// Send the failed and review files again, with the student IDs as edited in the table
+async function retryBatch() {
+    if (!currentBatch) return;
+
+    const items = Array.from(document.querySelectorAll('#batch-rows .batch-student'))
+        .map(input => ({ id: input.dataset.id, studentId: input.value.trim() || undefined }));
+    const retryBtn = document.getElementById('batch-retry-btn');
+    retryBtn.disabled = true;
+    retryBtn.textContent = 'Retrying...';
+
+    try {
+        const res = await apiFetch(`${API_BASE}/upload/batch/${currentBatch.batchId}/retry`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Retry failed');
+
+        renderBatchResult(data);
+        showToast(`${data.summary.stored} of ${data.summary.total} files stored`, data.summary.failed || data.summary.review ? 'error' : 'success');
+        loadStudents();
+    } catch (err) {
+        showToast('Retry failed: ' + err.message, 'error');
+        renderBatchResult(currentBatch);
+    }
+    retryBtn.disabled = false;
+}
+
 async function handleAddStudent(e) {
     e.preventDefault();
 
@@ -250,7 +737,7 @@ async function handleAddStudent(e) {
     };
 
     try {
-        const res = await fetch(`${API_BASE}/api/students`, {
+        const res = await apiFetch(`${API_BASE}/api/students`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
@@ -270,95 +757,823 @@ async function handleAddStudent(e) {
     }
 }
 
+let viewedStudent = null;
+const docFilters = { text: '', semester: '', year: '' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 async function viewStudent(studentId) {
-    const student = students.find(s => s.studentId === studentId);
-    if (!student) return;
+    let student;
+    try {
+        const res = await apiFetch(`${API_BASE}/api/students/${encodeURIComponent(studentId)}`);
+        student = await res.json();
+        if (!res.ok) throw new Error(student.error);
+    } catch (err) {
+        showToast('Could not load student', 'error');
+        return;
+    }
+
+    viewedStudent = student;
+    Object.assign(docFilters, { text: '', semester: '', year: '' });
 
     document.getElementById('view-student-title').textContent = student.name || student.studentId;
 
-    const docs = student.documents || {};
-    const docTypes = [
-        { key: 'assignmentLinks', label: 'Assignments', icon: 'fa-book' },
-        { key: 'idCardLinks', label: 'ID Cards', icon: 'fa-id-card' },
-        { key: 'certificateLinks', label: 'Certificates', icon: 'fa-certificate' },
-        { key: 'feeReceiptLinks', label: 'Fee Receipts', icon: 'fa-receipt' }
-    ];
+    const years = [...new Set(Object.values(student.documents || {}).flat()
+        .map(d => d.academicYear).filter(Boolean))].sort().reverse();
 
-    let html = `
+    const html = `
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 30px; background: #252525; padding: 20px; border-radius: 12px;">
             <div>
                 <p style="color: #888; font-size: 12px;">Student ID</p>
-                <p style="color: white; font-weight: 600;">${student.studentId}</p>
+                <p style="color: white; font-weight: 600;">${escapeHtml(student.studentId)}</p>
             </div>
             <div>
                 <p style="color: #888; font-size: 12px;">Department</p>
-                <p style="color: white; font-weight: 600;">${student.department || 'N/A'}</p>
+                <p style="color: white; font-weight: 600;">${escapeHtml(student.department || 'N/A')}</p>
             </div>
             <div>
                 <p style="color: #888; font-size: 12px;">Email</p>
-                <p style="color: white; font-weight: 600;">${student.email || 'N/A'}</p>
+                <p style="color: white; font-weight: 600;">${escapeHtml(student.email || 'N/A')}</p>
             </div>
         </div>
+
+        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 10px; margin-bottom: 20px;">
+            <input type="text" class="form-control" placeholder="Filter by name, tag or note..."
+                oninput="docFilters.text = this.value.toLowerCase(); renderStudentDocuments()">
+            <select class="form-control" onchange="docFilters.semester = this.value; renderStudentDocuments()">
+                <option value="">All semesters</option>
+                ${[1, 2, 3, 4, 5, 6, 7, 8].map(n => `<option value="${n}">Semester ${n}</option>`).join('')}
+            </select>
+            <select class="form-control" onchange="docFilters.year = this.value; renderStudentDocuments()">
+                <option value="">All years</option>
+                ${years.map(y => `<option value="${escapeHtml(y)}">${escapeHtml(y)}</option>`).join('')}
+            </select>
+        </div>
+
+        <div id="student-documents"></div>
     `;
 
-    docTypes.forEach(({ key, label, icon }) => {
-        const items = docs[key] || [];
-        html += `<div style="margin-bottom: 24px;">
+    document.getElementById('view-student-body').innerHTML = html;
+    document.getElementById('trash-student-btn').style.display = isAdmin() ? '' : 'none';
+    renderStudentDocuments();
+    openModal('view-student-modal');
+}
+
+function matchesDocFilters(d) {
+    if (docFilters.semester && String(d.semester) !== docFilters.semester) return false;
+    if (docFilters.year && d.academicYear !== docFilters.year) return false;
+    if (docFilters.text) {
+        const haystack = [d.fileName, d.notes, ...(d.tags || [])].join(' ').toLowerCase();
+        if (!haystack.includes(docFilters.text)) return false;
+    }
+    return true;
+}
+
+function renderDocument(type, d, canEdit) {
+    const meta = [
+        formatSize(d.size),
+        d.mimeType,
+        d.academicYear,
+        d.semester ? `Sem ${d.semester}` : null,
+        d.uploadedBy ? `by ${d.uploadedBy.name || d.uploadedBy.email || d.uploadedBy.role}` : null,
+        new Date(d.uploadedAt || Date.now()).toLocaleDateString()
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    const tags = (d.tags || []).map(t =>
+        `<span class="meta-tag" style="font-size: 11px;">#${escapeHtml(t)}</span>`).join(' ');
+
+    return `<div style="background: #2a2a2a; padding: 12px; border-radius: 8px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+            <a href="${escapeHtml(d.shareableLink)}" target="_blank" style="color: white; text-decoration: none; display: flex; align-items: center; gap: 10px; font-size: 14px;">
+                <i class="fa-regular fa-file-pdf" style="color: #ef4444;"></i>
+                ${escapeHtml(d.fileName)}
+                <span class="meta-tag" style="font-size: 11px;">v${d.version || 1}</span>
+            </a>
+            <div style="display: flex; gap: 4px;">
+                <button type="button" onclick="toggleDocumentHistory('${type}', '${d.id}')"
+                    style="background: none; border: none; color: #888; cursor: pointer;" title="Version history">
+                    <i class="fa-solid fa-clock-rotate-left"></i></button>
+                <button type="button" onclick="uploadDocumentVersion('${type}', '${d.id}')"
+                    style="background: none; border: none; color: #888; cursor: pointer;" title="Upload new version">
+                    <i class="fa-solid fa-upload"></i></button>
+                ${canEdit ? `<button type="button" onclick="toggleDocumentEdit('${d.id}')"
+                    style="background: none; border: none; color: #888; cursor: pointer;" title="Edit details">
+                    <i class="fa-solid fa-pen"></i></button>` : ''}
+                ${isAdmin() ? `<button type="button" onclick="trashDocument('${type}', '${d.id}')"
+                    style="background: none; border: none; color: #ef4444; cursor: pointer;" title="Move to trash">
+                    <i class="fa-solid fa-trash-can"></i></button>` : ''}
+            </div>
+        </div>
+        <div style="font-size: 11px; color: #666; margin-top: 6px;">${meta}</div>
+        ${d.checksum ? `<div style="font-size: 11px; color: #555; font-family: monospace;" title="SHA-256 ${d.checksum}">sha256 ${d.checksum.substring(0, 12)}…</div>` : ''}
+        ${tags ? `<div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px;">${tags}</div>` : ''}
+        ${d.notes ? `<p style="font-size: 13px; color: #aaa; margin-top: 8px; white-space: pre-wrap;">${escapeHtml(d.notes)}</p>` : ''}
+        <div id="doc-history-${d.id}" style="display: none; margin-top: 12px; border-top: 1px solid #333; padding-top: 10px;"></div>
+        ${canEdit ? `<form id="doc-edit-${d.id}" style="display: none; margin-top: 12px;" onsubmit="saveDocument(event, '${type}', '${d.id}')">
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                <input name="academicYear" class="form-control" placeholder="2025-26" value="${escapeHtml(d.academicYear || '')}">
+                <select name="semester" class="form-control">
+                    <option value="">No semester</option>
+                    ${[1, 2, 3, 4, 5, 6, 7, 8].map(n => `<option value="${n}" ${d.semester === n ? 'selected' : ''}>Semester ${n}</option>`).join('')}
+                </select>
+            </div>
+            <input name="tags" class="form-control" style="margin-top: 10px;" placeholder="Tags (comma separated)" value="${escapeHtml((d.tags || []).join(', '))}">
+            <textarea name="notes" class="form-control" style="margin-top: 10px;" rows="2" placeholder="Teacher note">${escapeHtml(d.notes || '')}</textarea>
+            <button type="submit" class="btn btn-primary" style="margin-top: 10px;">Save</button>
+        </form>` : ''}
+    </div>`;
+}
+
+function renderStudentDocuments() {
+    const container = document.getElementById('student-documents');
+    if (!container || !viewedStudent) return;
+
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    const canEdit = user.role === 'admin' || user.role === 'teacher';
+    const docs = viewedStudent.documents || {};
+
+    container.innerHTML = documentTypes.map(({ key, label, icon }) => {
+        const items = (docs[`${key}Links`] || []).filter(matchesDocFilters);
+
+        let html = `<div style="margin-bottom: 24px;">
             <h4 style="color: #a0a0a0; margin-bottom: 12px; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">
-                <i class="fa-solid ${icon}" style="margin-right: 8px;"></i> ${label}
+                <i class="fa-solid ${icon}" style="margin-right: 8px;"></i> ${escapeHtml(label)}
             </h4>`;
 
         if (items.length) {
-            html += '<div style="display: grid; gap: 10px;">' + items.map(d =>
-                `<div style="background: #2a2a2a; padding: 12px; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
-                    <a href="${d.shareableLink}" target="_blank" style="color: white; text-decoration: none; display: flex; align-items: center; gap: 10px; font-size: 14px;">
-                        <i class="fa-regular fa-file-pdf" style="color: #ef4444;"></i>
-                        ${d.fileName}
-                    </a>
-                    <span style="font-size: 11px; color: #666;">${new Date(d.uploadedAt || Date.now()).toLocaleDateString()}</span>
-                </div>`
-            ).join('') + '</div>';
+            html += '<div style="display: grid; gap: 10px;">' +
+                items.map(d => renderDocument(key, d, canEdit)).join('') + '</div>';
         } else {
             html += '<p style="color: #444; font-size: 13px; font-style: italic;">No documents uploaded</p>';
         }
-        html += '</div>';
+        return html + '</div>';
+    }).join('');
+}
+
+function replaceViewedDocument(docType, doc) {
+    const list = viewedStudent.documents[`${docType}Links`];
+    const index = list.findIndex(d => d.id === doc.id);
+    if (index !== -1) list[index] = doc;
+}
+
+function documentUrl(docType, docId) {
+    return `${API_BASE}/api/students/${encodeURIComponent(viewedStudent.studentId)}/documents/${docType}/${docId}`;
+}
+
+async function toggleDocumentHistory(docType, docId) {
+    const drawer = document.getElementById(`doc-history-${docId}`);
+    if (!drawer) return;
+    if (drawer.style.display !== 'none') {
+        drawer.style.display = 'none';
+        return;
+    }
+
+    drawer.style.display = 'block';
+    drawer.innerHTML = '<p style="color: #666; font-size: 12px;">Loading history...</p>';
+
+    try {
+        const res = await apiFetch(`${documentUrl(docType, docId)}/versions`);
+        const versions = await res.json();
+        if (!res.ok) throw new Error(versions.error);
+
+        const user = JSON.parse(localStorage.getItem('user') || '{}');
+        const canRestore = user.role === 'admin' || user.role === 'teacher';
+
+        drawer.innerHTML = versions.map(v => `
+            <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; padding: 6px 0; color: ${v.current ? 'white' : '#999'};">
+                <div>
+                    <strong>v${v.version}</strong> ${v.current ? '(current)' : ''}
+                    · ${new Date(v.uploadedAt).toLocaleString()}
+                    ${v.uploadedBy ? `· ${escapeHtml(v.uploadedBy.name || v.uploadedBy.email || v.uploadedBy.role)}` : ''}
+                    ${v.size !== null && v.size !== undefined ? `· ${formatSize(v.size)}` : ''}
+                </div>
+                <div style="display: flex; gap: 10px;">
+                    <a href="${escapeHtml(v.downloadLink || v.shareableLink)}" target="_blank" style="color: #60a5fa;">Download</a>
+                    ${canRestore && !v.current ? `<a href="#" style="color: #fbbf24;"
+                        onclick="event.preventDefault(); restoreDocumentVersion('${docType}', '${docId}', ${v.version})">Restore</a>` : ''}
+                </div>
+            </div>`).join('');
+    } catch (err) {
+        drawer.innerHTML = '<p style="color: #ef4444; font-size: 12px;">Could not load history</p>';
+    }
+}
+
+function uploadDocumentVersion(docType, docId) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.addEventListener('change', async () => {
+        if (!input.files.length) return;
+
+        const formData = new FormData();
+        formData.append('file', input.files[0]);
+
+        try {
+            const res = await apiFetch(`${documentUrl(docType, docId)}/versions`, { method: 'POST', body: formData });
+            const data = await res.json();
+            if (!res.ok) {
+                showToast(data.error || 'Failed to upload version', 'error');
+                return;
+            }
+
+            replaceViewedDocument(docType, data);
+            showToast(`Version ${data.version} uploaded`, 'success');
+            renderStudentDocuments();
+        } catch (err) {
+            showToast('Failed to upload version', 'error');
+        }
     });
+    input.click();
+}
 
-    document.getElementById('view-student-body').innerHTML = html;
-    openModal('view-student-modal');
+async function restoreDocumentVersion(docType, docId, version) {
+    if (!confirm(`Make version ${version} the current version?`)) return;
+
+    try {
+        const res = await apiFetch(`${documentUrl(docType, docId)}/versions/${version}/restore`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Failed to restore version', 'error');
+            return;
+        }
+
+        replaceViewedDocument(docType, data);
+        showToast(`Version ${version} restored`, 'success');
+        renderStudentDocuments();
+    } catch (err) {
+        showToast('Failed to restore version', 'error');
+    }
 }
 
-function handleSearch(e) {
-    const query = e.target.value.toLowerCase();
-    const filtered = students.filter(s =>
-        s.studentId.toLowerCase().includes(query) ||
-        (s.name && s.name.toLowerCase().includes(query)) ||
-        (s.department && s.department.toLowerCase().includes(query))
-    );
-    renderFilteredStudents(filtered);
+function isAdmin() {
+    return JSON.parse(localStorage.getItem('user') || '{}').role === 'admin';
 }
 
-function renderFilteredStudents(list) {
-    const grid = document.getElementById('students-grid');
-    if (list.length === 0) {
-        grid.innerHTML = '<div class="empty-state">No matching students found</div>';
+async function trashDocument(docType, docId) {
+    if (!confirm('Move this document to the trash?')) return;
+
+    try {
+        const res = await apiFetch(documentUrl(docType, docId), { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Failed to delete document', 'error');
+            return;
+        }
+
+        const list = viewedStudent.documents[`${docType}Links`];
+        viewedStudent.documents[`${docType}Links`] = list.filter(d => d.id !== docId);
+        showToast('Document moved to trash', 'success');
+        renderStudentDocuments();
+    } catch (err) {
+        showToast('Failed to delete document', 'error');
+    }
+}
+
+async function trashStudent() {
+    if (!viewedStudent || !confirm(`Move ${viewedStudent.name || viewedStudent.studentId} to the trash?`)) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/students/${encodeURIComponent(viewedStudent.studentId)}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Failed to delete student', 'error');
+            return;
+        }
+
+        showToast('Student moved to trash', 'success');
+        closeModal('view-student-modal');
+        loadStudents();
+    } catch (err) {
+        showToast('Failed to delete student', 'error');
+    }
+}
+
+function toggleDocumentEdit(docId) {
+    const form = document.getElementById(`doc-edit-${docId}`);
+    if (form) form.style.display = form.style.display === 'none' ? 'block' : 'none';
+}
+
+async function saveDocument(e, docType, docId) {
+    e.preventDefault();
+    const form = e.target;
+
+    const changes = {
+        academicYear: form.academicYear.value.trim() || null,
+        semester: form.semester.value || null,
+        tags: form.tags.value,
+        notes: form.notes.value
+    };
+
+    try {
+        const res = await apiFetch(documentUrl(docType, docId), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await res.json();
+
+        if (!res.ok) {
+            showToast(data.error || 'Failed to save document', 'error');
+            return;
+        }
+
+        replaceViewedDocument(docType, data);
+        showToast('Document updated', 'success');
+        renderStudentDocuments();
+    } catch (err) {
+        showToast('Failed to save document', 'error');
+    }
+}
+
+// =======================
+// ROSTER IMPORT / EXPORT
+// =======================
+
+const IMPORT_FIELD_LABELS = { studentId: 'Student ID', name: 'Name', department: 'Department', email: 'Email', phone: 'Phone' };
+const IMPORT_ACTION_COLORS = { create: 'var(--success)', update: '#3b82f6', unchanged: '#888', skip: '#888', error: 'var(--danger)' };
+let importMapping = null;
+
+function openImportModal() {
+    document.getElementById('import-file').value = '';
+    resetImportPreview();
+    openModal('import-students-modal');
+}
+
+// A new file gets its mapping guessed again
+function resetImportPreview() {
+    importMapping = null;
+    ['import-mapping', 'import-summary', 'import-rows'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+    document.getElementById('import-confirm-btn').style.display = 'none';
+}
+
+// Column choices from the mapping selects, once the file has been read
+function readImportMapping() {
+    if (!importMapping) return null;
+    const mapping = {};
+    document.querySelectorAll('#import-mapping select').forEach(select => {
+        if (select.value) mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+}
+
+async function sendImport(dryRun) {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) {
+        showToast('Choose a CSV or XLSX file first', 'error');
+        return null;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mode', document.getElementById('import-mode').value);
+    formData.append('dryRun', String(dryRun));
+    const mapping = readImportMapping();
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+
+    const res = await apiFetch(`${API_BASE}/api/students/import`, { method: 'POST', body: formData });
+    return res.json();
+}
+
+function renderImportMapping(result) {
+    importMapping = result.mapping || {};
+    const options = header => result.headers
+        .map(h => `<option value="${escapeHtml(h)}" ${h === header ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('');
+
+    document.getElementById('import-mapping').innerHTML = result.fields.map(field => `
+        <label style="font-size: 12px; color: #888;">
+            ${IMPORT_FIELD_LABELS[field] || field}
+            <select class="form-control" data-field="${field}" onchange="previewImport()" style="width: auto; margin-top: 4px;">
+                <option value="">(not in file)</option>${options(importMapping[field])}
+            </select>
+        </label>`).join('');
+}
+
+function renderImportResult(result) {
+    renderImportMapping(result);
+
+    const summary = document.getElementById('import-summary');
+    const rows = document.getElementById('import-rows');
+    const confirmBtn = document.getElementById('import-confirm-btn');
+
+    if (result.error) {
+        summary.innerHTML = `<span style="color: var(--danger);">${escapeHtml(result.error)}</span>`;
+        rows.innerHTML = '';
+        confirmBtn.style.display = 'none';
         return;
     }
-    grid.innerHTML = list.map(s => `
-        <div class="student-card" onclick="viewStudent('${s.studentId}')">
-            <div class="student-header">
-                <div class="student-avatar">${s.name?.charAt(0) || s.studentId.charAt(0)}</div>
+
+    const s = result.summary;
+    summary.innerHTML = `${s.total} rows: <strong>${s.create}</strong> new, <strong>${s.update}</strong> updated,
+        ${s.unchanged} unchanged, ${s.skip} skipped,
+        <span style="color: ${s.error ? 'var(--danger)' : 'inherit'};">${s.error} with errors</span>`;
+
+    rows.innerHTML = `
+        <table style="width: 100%; font-size: 13px; border-collapse: collapse;">
+            <tr style="color: #888; text-align: left;"><th>Row</th><th>Student ID</th><th>Name</th><th>Result</th></tr>
+            ${result.rows.map(r => `
+                <tr style="border-top: 1px solid #333;">
+                    <td style="padding: 6px 4px;">${r.row}</td>
+                    <td>${escapeHtml(r.studentId)}</td>
+                    <td>${escapeHtml(r.name)}</td>
+                    <td style="color: ${IMPORT_ACTION_COLORS[r.action]};">
+                        ${r.action === 'error' ? r.errors.map(escapeHtml).join('<br>') : r.action}
+                        ${r.changes ? `<span style="color: #888;">(${r.changes.join(', ')})</span>` : ''}
+                    </td>
+                </tr>`).join('')}
+        </table>`;
+
+    const pending = s.create + s.update;
+    confirmBtn.style.display = result.dryRun && pending ? '' : 'none';
+    confirmBtn.textContent = `Import ${pending} student${pending === 1 ? '' : 's'}`;
+}
+
+async function previewImport() {
+    try {
+        const result = await sendImport(true);
+        if (result) renderImportResult(result);
+    } catch (err) {
+        showToast('Could not read the file', 'error');
+    }
+}
+
+async function confirmImport() {
+    try {
+        const result = await sendImport(false);
+        if (!result) return;
+        renderImportResult(result);
+        if (result.error) return;
+
+        showToast(`Imported: ${result.summary.create} new, ${result.summary.update} updated`, 'success');
+        loadStudents();
+        updateStats();
+    } catch (err) {
+        showToast('Import failed', 'error');
+    }
+}
+
+async function exportStudents(format) {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/students/export?format=${format}`);
+        if (!res.ok) throw new Error();
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = `students-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        showToast('Export failed', 'error');
+    }
+}
+
+// =======================
+// TRASH (ADMIN)
+// =======================
+
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    try {
+        const res = await apiFetch(`${API_BASE}/api/trash`);
+        const trash = await res.json();
+        if (!res.ok) throw new Error(trash.error);
+
+        document.getElementById('trash-retention').textContent =
+            `Items are purged ${trash.retentionDays} days after deletion`;
+
+        const row = (title, subtitle, item, restoreCall) => `
+            <div style="background: #2a2a2a; padding: 12px 16px; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
                 <div>
-                    <div class="student-name">${s.name || 'Unnamed'}</div>
-                    <div class="student-id">${s.studentId}</div>
+                    <div style="color: white; font-size: 14px;">${title}</div>
+                    <div style="color: #888; font-size: 12px;">${subtitle}</div>
+                    <div style="color: #666; font-size: 11px;">
+                        Deleted ${new Date(item.deletedAt).toLocaleString()}
+                        ${item.deletedBy ? `by ${escapeHtml(item.deletedBy.name || item.deletedBy.role)}` : ''}
+                        · purged after ${new Date(item.purgeAfter).toLocaleDateString()}
+                    </div>
                 </div>
+                <button class="btn" onclick="${restoreCall}" style="background: #333; color: white;">
+                    <i class="fa-solid fa-rotate-left"></i> Restore
+                </button>
+            </div>`;
+
+        const students = trash.students.map(s => row(
+            `<i class="fa-solid fa-user-graduate" style="margin-right: 6px;"></i>${escapeHtml(s.name || s.studentId)}`,
+            `${escapeHtml(s.studentId)} · ${escapeHtml(s.department || 'No Dept')} · ${s.documentCount} docs`,
+            s,
+            `restoreFromTrash('${encodeURIComponent(s.studentId)}')`
+        ));
+        const documents = trash.documents.map(d => row(
+            `<i class="fa-regular fa-file" style="margin-right: 6px;"></i>${escapeHtml(d.document.fileName)}`,
+            `${escapeHtml(d.studentId)} · ${escapeHtml(d.documentType)}`,
+            d,
+            `restoreFromTrash('${encodeURIComponent(d.studentId)}', '${d.document.id}')`
+        ));
+
+        const items = [...students, ...documents];
+        list.innerHTML = items.length
+            ? `<div style="display: grid; gap: 10px;">${items.join('')}</div>`
+            : '<div class="empty-state">Trash is empty</div>';
+    } catch (err) {
+        list.innerHTML = '<div class="empty-state">Could not load the trash</div>';
+    }
+}
+
+async function restoreFromTrash(studentId, docId = null) {
+    const url = docId
+        ? `${API_BASE}/api/trash/students/${studentId}/documents/${docId}/restore`
+        : `${API_BASE}/api/trash/students/${studentId}/restore`;
+
+    try {
+        const res = await apiFetch(url, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Restore failed', 'error');
+            return;
+        }
+
+        showToast('Restored', 'success');
+        loadTrash();
+        loadStudents();
+    } catch (err) {
+        showToast('Restore failed', 'error');
+    }
+}
+
+async function purgeTrash(everything) {
+    const question = everything
+        ? 'Permanently delete everything in the trash, files included?'
+        : 'Permanently delete items past the retention period?';
+    if (!confirm(question)) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/trash/purge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(everything ? { olderThanDays: 0 } : {})
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Purge failed', 'error');
+            return;
+        }
+
+        const problems = [
+            data.deferred && `${data.deferred} waiting for Google Drive`,
+            data.failed.length && `${data.failed.length} files could not be deleted`,
+            data.unreachable.length && `${data.unreachable.length} left on Google Drive, which is not configured`
+        ].filter(Boolean);
+        showToast(`Purged ${data.students} students, ${data.documents} documents, ${data.files} files` +
+            (problems.length ? ` (${problems.join(', ')})` : ''), problems.length ? 'error' : 'success');
+        loadTrash();
+    } catch (err) {
+        showToast('Purge failed', 'error');
+    }
+}
+
+// =======================
+// BACKUPS (ADMIN)
+// =======================
+
+async function loadBackups() {
+    const list = document.getElementById('backups-list');
+    try {
+        const res = await apiFetch(`${API_BASE}/api/backups`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+
+        document.getElementById('backups-retention').textContent =
+            `Database and stored files · the newest ${data.keep} archives are kept`;
+
+        list.innerHTML = data.backups.length
+            ? `<div style="display: grid; gap: 10px;">${data.backups.map(b => `
+                <div style="background: #2a2a2a; padding: 12px 16px; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
+                    <div>
+                        <div style="color: white; font-size: 14px;">${new Date(b.createdAt).toLocaleString()}</div>
+                        <div style="color: #888; font-size: 12px;">${escapeHtml(b.reason)} · ${formatSize(b.size)}</div>
+                    </div>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="btn" onclick="downloadBackup('${escapeHtml(b.name)}')" style="background: #333; color: white;">
+                            <i class="fa-solid fa-download"></i>
+                        </button>
+                        <button class="btn" onclick="restoreBackup('${escapeHtml(b.name)}')" style="background: var(--danger); color: white;">
+                            <i class="fa-solid fa-rotate-left"></i> Restore
+                        </button>
+                    </div>
+                </div>`).join('')}</div>`
+            : '<div class="empty-state">No backups yet</div>';
+    } catch (err) {
+        list.innerHTML = '<div class="empty-state">Could not load backups</div>';
+    }
+}
+
+async function createBackup() {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/backups`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Backup failed', 'error');
+            return;
+        }
+        showToast(`Backup written (${data.files} files)`, 'success');
+        loadBackups();
+    } catch (err) {
+        showToast('Backup failed', 'error');
+    }
+}
+
+async function downloadBackup(name) {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/backups/${encodeURIComponent(name)}/download`);
+        if (!res.ok) throw new Error();
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        showToast('Download failed', 'error');
+    }
+}
+
+async function restoreBackup(name) {
+    if (!confirm('Replace all students, users and stored files with this backup? The current state is backed up first.')) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/backups/${encodeURIComponent(name)}/restore`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Restore failed', 'error');
+            return;
+        }
+        showToast(`Restored ${data.files} files`, 'success');
+        loadBackups();
+        updateStats();
+    } catch (err) {
+        showToast('Restore failed', 'error');
+    }
+}
+
+// =======================
+// QUARANTINE (ADMIN)
+// =======================
+
+async function loadQuarantine() {
+    const list = document.getElementById('quarantine-list');
+    try {
+        const res = await apiFetch(`${API_BASE}/api/quarantine`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+
+        list.innerHTML = data.files.length
+            ? `<div style="display: grid; gap: 10px;">${data.files.map(f => `
+                <div style="background: #2a2a2a; padding: 12px 16px; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
+                    <div>
+                        <div style="color: white; font-size: 14px;">${escapeHtml(f.fileName)}</div>
+                        <div style="color: var(--danger); font-size: 12px;">${escapeHtml(f.reason)}</div>
+                        <div style="color: #666; font-size: 11px;">
+                            Sent as ${escapeHtml(f.declaredType)} · ${formatSize(f.size)}
+                            · by ${escapeHtml(f.uploadedBy.name || f.uploadedBy.role)}
+                            ${f.fields.studentId ? `for ${escapeHtml(f.fields.studentId)}` : ''}
+                            · ${new Date(f.quarantinedAt).toLocaleString()}
+                        </div>
+                    </div>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="btn" onclick="downloadQuarantined('${f.id}', '${escapeHtml(encodeURIComponent(f.fileName))}')" style="background: #333; color: white;">
+                            <i class="fa-solid fa-download"></i>
+                        </button>
+                        <button class="btn" onclick="releaseQuarantined('${f.id}')" style="background: #333; color: white;">
+                            <i class="fa-solid fa-unlock"></i> Release
+                        </button>
+                        <button class="btn" onclick="deleteQuarantined('${f.id}')" style="background: var(--danger); color: white;">
+                            <i class="fa-solid fa-trash-can"></i>
+                        </button>
+                    </div>
+                </div>`).join('')}</div>`
+            : '<div class="empty-state">No files in quarantine</div>';
+    } catch (err) {
+        list.innerHTML = '<div class="empty-state">Could not load the quarantine</div>';
+    }
+}
+
+async function downloadQuarantined(id, fileName) {
+    try {
+        const res = await apiFetch(`${API_BASE}/api/quarantine/${id}/download`);
+        if (!res.ok) throw new Error();
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = decodeURIComponent(fileName);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        showToast('Download failed', 'error');
+    }
+}
+
+async function releaseQuarantined(id) {
+    if (!confirm('Store this file as if it had passed the checks?')) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/quarantine/${id}/release`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Release failed', 'error');
+            return;
+        }
+        showToast(`Stored for ${data.studentId}`, 'success');
+        loadQuarantine();
+    } catch (err) {
+        showToast('Release failed', 'error');
+    }
+}
+
+async function deleteQuarantined(id) {
+    if (!confirm('Delete this file for good?')) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/api/quarantine/${id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error();
+        showToast('File deleted', 'success');
+        loadQuarantine();
+    } catch (err) {
+        showToast('Delete failed', 'error');
+    }
+}
+
+// Header search: full-text over students, file names, tags and document text
+function handleSearch(e) {
+    clearTimeout(searchTimer);
+    const q = e.target.value.trim();
+    if (q.length < 2) return hideSearchResults();
+    searchTimer = setTimeout(() => runSearch(q), 250);
+}
+
+async function runSearch(q) {
+    const panel = document.getElementById('search-results');
+    try {
+        const res = await apiFetch(`${API_BASE}/api/search?q=${encodeURIComponent(q)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        // A newer query may have been typed meanwhile
+        if (document.getElementById('search-input').value.trim() !== q) return;
+
+        panel.innerHTML = data.results.length
+            ? data.results.map(renderSearchGroup).join('')
+            : '<div class="search-group" style="color: #888;">No results</div>';
+        panel.classList.add('active');
+    } catch (err) {
+        console.error('Search failed:', err);
+        hideSearchResults();
+    }
+}
+
+function hideSearchResults() {
+    document.getElementById('search-results').classList.remove('active');
+}
+
+// Snippet text with its [start, end) highlight ranges wrapped in <mark>
+function renderSnippet(snippet) {
+    let html = '';
+    let at = 0;
+    snippet.highlights.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.slice(at, start)) + `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        at = end;
+    });
+    return html + escapeHtml(snippet.text.slice(at));
+}
+
+function renderSearchGroup(group) {
+    const snippets = list => (list || [])
+        .map(s => `<div class="search-snippet">${renderSnippet(s)}</div>`).join('');
+    const typeLabel = key => (documentTypes.find(t => t.key === key) || {}).label || key;
+    const more = group.documentMatches - group.documents.length;
+
+    return `
+        <div class="search-group">
+            <div class="search-student" onclick="hideSearchResults(); viewStudent('${escapeHtml(group.studentId)}')">
+                <strong>${escapeHtml(group.name || 'Unnamed')}</strong>
+                <span style="color: #888; font-size: 12px;">${escapeHtml(group.studentId)} · ${escapeHtml(group.department || '')}</span>
+                ${group.student ? snippets(group.student.snippets) : ''}
             </div>
-            <div class="student-meta">
-                <span class="meta-tag">${s.department || 'No Dept'}</span>
-                <span class="meta-tag">📄 ${countDocs(s)} docs</span>
-            </div>
-        </div>
-    `).join('');
+            ${group.documents.map(d => `
+                <a class="search-document" href="${escapeHtml(d.shareableLink || '#')}" target="_blank" rel="noopener">
+                    <i class="fa-regular fa-file-lines"></i> ${escapeHtml(d.fileName)}
+                    <span style="color: #888; font-size: 12px;">${escapeHtml(typeLabel(d.documentType))}</span>
+                    ${snippets(d.snippets)}
+                </a>`).join('')}
+            ${more > 0 ? `<div class="search-snippet" style="padding-left: 12px;">+${more} more documents</div>` : ''}
+        </div>`;
 }
 
 function openModal(id) { document.getElementById(id).classList.add('active'); }
@@ -443,7 +1658,7 @@ function initChat() {
         const loadingId = appendMsg('...', 'bot');
 
         try {
-            const res = await fetch('/api/chat', {
+            const res = await apiFetch('/api/chat', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ message: text })